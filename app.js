@@ -15,6 +15,10 @@ import timetableRoutes from './routes/timetableRoutes.js';
 import attendanceRoutes from './routes/attendanceRoutes.js';
 import bunkPredictorRoutes from './routes/bunkPredictorRoutes.js';
 import profileRoutes from './routes/profileRoutes.js';
+import semesterRoutes from './routes/semesterRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
 
 const app = express();
 
@@ -86,6 +90,10 @@ app.use('/api/timetable', timetableRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/bunk-predictor', bunkPredictorRoutes);
 app.use('/api/profile', profileRoutes);
+app.use('/api/semesters', semesterRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // API documentation route
 app.get('/api', (req, res) => {
@@ -99,6 +107,9 @@ app.get('/api', (req, res) => {
       attendance: '/api/attendance',
       bunkPredictor: '/api/bunk-predictor',
       profile: '/api/profile',
+      semesters: '/api/semesters',
+      calendar: '/api/calendar',
+      notifications: '/api/notifications',
     },
   });
 });
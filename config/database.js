@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import runMigrations from '../utils/migrations.js';
 
 /**
  * Connect to MongoDB database
@@ -15,6 +16,8 @@ const connectDB = async () => {
     const conn = await mongoose.connect(process.env.MONGODB_URI, options);
 
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
+
+    await runMigrations();
     
     // Handle connection events
     mongoose.connection.on('error', (err) => {
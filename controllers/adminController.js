@@ -0,0 +1,76 @@
+import { reconcileAllSubjects } from '../utils/subjectCounters.js';
+import { getJobStatuses, triggerJob } from '../utils/jobScheduler.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * @route   POST /api/admin/reconcile-counters
+ * @desc    Recompute every subject's counters from attendance records
+ * @access  Private (admin)
+ */
+export const reconcileCounters = async (req, res, next) => {
+  try {
+    const fix = req.body.fix === true || req.body.fix === 'true';
+
+    const summary = await reconcileAllSubjects({
+      fix,
+      userId: req.body.userId || null,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: fix
+        ? `Fixed ${summary.fixed} of ${summary.outOfSync} out-of-sync subject(s)`
+        : `Found ${summary.outOfSync} out-of-sync subject(s)`,
+      data: summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    Get the schedule, last outcome and lock of every background job
+ * @access  Private (admin)
+ */
+export const getJobs = async (req, res, next) => {
+  try {
+    const jobs = await getJobStatuses();
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      data: {
+        jobs,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/admin/jobs/:name/run
+ * @desc    Run a background job on the scheduler's next poll
+ * @access  Private (admin)
+ */
+export const runJob = async (req, res, next) => {
+  try {
+    const job = await triggerJob(req.params.name);
+
+    if (!job) {
+      return next(new AppError('Job not found', 404));
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Job ${job.name} will run shortly`,
+      data: {
+        name: job.name,
+        nextRunAt: job.nextRunAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
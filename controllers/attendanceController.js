@@ -1,7 +1,133 @@
 import DailyAttendance from '../models/DailyAttendance.js';
+import User from '../models/User.js';
 import Subject from '../models/Subject.js';
 import Timetable from '../models/Timetable.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { runInTransaction } from '../utils/transaction.js';
+import {
+  counterIncrement,
+  incrementCounters,
+  getRecordDelta,
+} from '../utils/subjectCounters.js';
+import {
+  MAX_LOOKAHEAD_DAYS,
+  startOfDay,
+  startOfUserDay,
+  userToday,
+  dayName,
+  addDays,
+  toDateKey,
+  getCalendarEvents,
+  findCancellingEvent,
+  estimateLectureTimeline,
+  weeklyRate,
+  batchFilter,
+} from '../utils/academicCalendar.js';
+import {
+  calculatePercentage,
+  meetsMinimum,
+  classesNeeded,
+  safeBunks,
+  projectedPercentage,
+} from '../utils/attendanceMath.js';
+import {
+  getStatusRules,
+  isAttendedStatus,
+  isCountedStatus,
+} from '../utils/attendanceStatus.js';
+import {
+  MAX_IMPORT_ROWS,
+  parseCSV,
+  parseXLSX,
+  rowsToRecords,
+} from '../utils/spreadsheetParser.js';
+import {
+  IMPORT_COLUMNS,
+  resolveImportRows,
+  planImport,
+} from '../utils/attendanceImport.js';
+import { getDaySessions, findSessionRecord } from '../utils/timetableOverrides.js';
+import { getSemesterRange } from '../utils/attendanceProjection.js';
+import {
+  MAX_CALENDAR_DAYS,
+  monthRange,
+  buildAttendanceCalendar,
+} from '../utils/attendanceCalendar.js';
+import { PENDING_LOOKBACK_DAYS, findPendingSessions } from '../utils/pendingAttendance.js';
+import { verifyAttendanceLinkToken } from '../utils/tokenUtils.js';
+
+/**
+ * Summarise a subject's counters for attendance responses
+ * @param {Object} subject - Subject document
+ * @returns {Object} Subject counters and percentage
+ */
+const subjectSummary = (subject) => ({
+  id: subject._id,
+  name: subject.name,
+  totalLectures: subject.totalLectures,
+  attendedLectures: subject.attendedLectures,
+  absentLectures: subject.absentLectures,
+  attendancePercentage: subject.attendancePercentage,
+});
+
+/**
+ * Build the timetable sessions of a day, overrides included, with their attendance
+ * @param {Object} user - User document
+ * @param {ObjectId|null} semesterId - Semester in scope
+ * @param {Date} day - Start of the day
+ * @returns {Object} Day view with sessions and records outside the timetable
+ */
+const getDayView = async (user, semesterId, day) => {
+  const [daySessions, records, events] = await Promise.all([
+    getDaySessions(user, semesterId, day, { populate: 'name code color' }),
+    DailyAttendance.find({
+      userId: user._id,
+      semesterId,
+      date: { $gte: day, $lt: addDays(day, 1) },
+    }).sort({ startTime: 1 }),
+    getCalendarEvents(user._id, day, day),
+  ]);
+
+  const sessionRecords = new Set();
+
+  const sessions = daySessions.map((session) => {
+    const cancellation = findCancellingEvent(events, day, session.subjectId);
+    const record = findSessionRecord(records, session) || null;
+
+    if (record) sessionRecords.add(record);
+
+    return {
+      sessionId: session._id,
+      timetableEntryId: session.timetableEntryId,
+      overrideId: session.overrideId,
+      override: session.override,
+      subject: {
+        id: session.subjectId._id,
+        name: session.subjectId.name,
+        code: session.subjectId.code,
+        color: session.subjectId.color,
+      },
+      startTime: session.startTime,
+      endTime: session.endTime,
+      room: session.room,
+      lectureType: session.lectureType,
+      cancelled: session.cancelled || (cancellation ? cancellation.title : null),
+      attendance: record,
+    };
+  });
+
+  const holiday = findCancellingEvent(events, day);
+
+  return {
+    date: day,
+    dayOfWeek: dayName(day),
+    isTeachingDay: !holiday,
+    holiday: holiday ? { title: holiday.title, type: holiday.type } : null,
+    sessions,
+    otherRecords: records.filter((record) => !sessionRecords.has(record)),
+    unmarked: sessions.filter((s) => !s.attendance && !s.cancelled).length,
+  };
+};
 
 /**
  * @route   GET /api/attendance
@@ -12,19 +138,19 @@ export const getAttendanceRecords = async (req, res, next) => {
   try {
     const { subjectId, startDate, endDate, status } = req.query;
 
-    const filter = { userId: req.user._id };
+    const filter = { userId: req.user._id, semesterId: req.semesterId };
 
     if (subjectId) filter.subjectId = subjectId;
     if (status) filter.status = status;
     if (startDate || endDate) {
       filter.date = {};
-      if (startDate) filter.date.$gte = new Date(startDate);
-      if (endDate) filter.date.$lte = new Date(endDate);
+      if (startDate) filter.date.$gte = startOfUserDay(startDate, req.user);
+      if (endDate) filter.date.$lte = startOfUserDay(endDate, req.user);
     }
 
     const records = await DailyAttendance.find(filter)
       .populate('subjectId', 'name code color')
-      .sort({ date: -1 });
+      .sort({ date: -1, startTime: 1 });
 
     res.status(200).json({
       success: true,
@@ -46,20 +172,20 @@ export const getAttendanceRecords = async (req, res, next) => {
 export const getAttendanceByDate = async (req, res, next) => {
   try {
     const { date } = req.params;
-    const targetDate = new Date(date);
-    
-    // Set to start of day
-    targetDate.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
+    const targetDate = startOfUserDay(date, req.user);
 
     const records = await DailyAttendance.find({
       userId: req.user._id,
+      semesterId: req.semesterId,
       date: {
         $gte: targetDate,
-        $lte: endOfDay,
+        $lt: addDays(targetDate, 1),
       },
-    }).populate('subjectId', 'name code color');
+    })
+      .populate('subjectId', 'name code color')
+      .sort({ startTime: 1 });
+
+    const dayView = await getDayView(req.user, req.semesterId, targetDate);
 
     res.status(200).json({
       success: true,
@@ -67,6 +193,7 @@ export const getAttendanceByDate = async (req, res, next) => {
       count: records.length,
       data: {
         records,
+        day: dayView,
       },
     });
   } catch (error) {
@@ -81,87 +208,495 @@ export const getAttendanceByDate = async (req, res, next) => {
  */
 export const markAttendance = async (req, res, next) => {
   try {
-    const { subjectId, date, status, notes } = req.body;
+    const { subjectId, date, status, notes, timetableEntryId, startTime } = req.body;
 
     // Verify subject belongs to user
     const subject = await Subject.findOne({
       _id: subjectId,
       userId: req.user._id,
+      semesterId: req.semesterId,
     });
 
     if (!subject) {
       return next(new AppError('Subject not found', 404));
     }
 
-    const attendanceDate = new Date(date);
-    attendanceDate.setHours(0, 0, 0, 0);
+    const rules = getStatusRules(req.user);
 
-    // Check if attendance already marked for this date
-    let existing = await DailyAttendance.findOne({
-      userId: req.user._id,
-      subjectId,
-      date: attendanceDate,
-    });
+    const attendanceDate = startOfDay(date);
 
-    let attendance;
-    let isUpdate = false;
+    // Work out which session of the day this record is for
+    let session = { timetableEntryId: null, startTime: startTime || null };
+    let isInferredSession = false;
 
-    if (existing) {
-      // Update existing attendance record
-      isUpdate = true;
-      const oldStatus = existing.status;
-      
-      existing.status = status;
-      if (notes !== undefined) existing.notes = notes;
-      await existing.save();
-      
-      // Update subject counts if status changed
-      if (status !== oldStatus) {
-        if (oldStatus === 'present' && status === 'absent') {
-          subject.attendedLectures -= 1;
-        } else if (oldStatus === 'absent' && status === 'present') {
-          subject.attendedLectures += 1;
-        }
-        await subject.save();
+    if (timetableEntryId) {
+      const entry = await Timetable.findOne({
+        _id: timetableEntryId,
+        userId: req.user._id,
+        subjectId: subject._id,
+      });
+
+      if (!entry) {
+        return next(new AppError('Timetable entry not found', 404));
       }
-      
-      attendance = existing;
-    } else {
-      // Create new attendance record
-      attendance = await DailyAttendance.create({
+
+      // A session moved on this day is held at its new time
+      const moved = (
+        await getDaySessions(req.user, req.semesterId, attendanceDate, { subjectId: subject._id })
+      ).find((s) => s.timetableEntryId?.toString() === entry._id.toString());
+
+      session = { timetableEntryId: entry._id, startTime: (moved || entry).startTime };
+    } else if (!startTime) {
+      const daySessions = (
+        await getDaySessions(req.user, req.semesterId, attendanceDate, { subjectId: subject._id })
+      ).filter((s) => !s.cancelled);
+
+      if (daySessions.length > 1) {
+        return next(
+          new AppError(
+            `${subject.name} has ${daySessions.length} lectures on this day. Specify timetableEntryId or startTime.`,
+            400
+          )
+        );
+      }
+
+      if (daySessions.length === 1) {
+        session = {
+          timetableEntryId: daySessions[0].timetableEntryId,
+          startTime: daySessions[0].startTime,
+        };
+        isInferredSession = true;
+      }
+    }
+
+    // Record and counters are written together or not at all
+    const { attendance, isUpdate } = await runInTransaction(async (txn) => {
+      // Read the baseline inside the transaction so a concurrent re-sync is seen
+      const current = await Subject.findById(subject._id).select('baseline').session(txn);
+
+      // Check if attendance already marked for this session
+      let existing = await DailyAttendance.findOne({
         userId: req.user._id,
+        semesterId: req.semesterId,
         subjectId,
         date: attendanceDate,
-        status,
-        notes,
-      });
+        ...session,
+      }).session(txn);
+
+      // Records from before sessions were tracked have no session - adopt them
+      if (!existing && isInferredSession) {
+        existing = await DailyAttendance.findOne({
+          userId: req.user._id,
+          semesterId: req.semesterId,
+          subjectId,
+          date: attendanceDate,
+          timetableEntryId: null,
+          startTime: null,
+        }).session(txn);
+
+        if (existing) Object.assign(existing, session);
+      }
 
-      // Update subject lecture counts
-      subject.totalLectures += 1;
-      if (status === 'present') {
-        subject.attendedLectures += 1;
+      if (existing) {
+        // Update existing attendance record
+        const oldStatus = existing.status;
+
+        existing.status = status;
+        if (notes !== undefined) existing.notes = notes;
+        await existing.save({ session: txn });
+
+        await incrementCounters(
+          subject._id,
+          getRecordDelta(current, attendanceDate, oldStatus, status, rules),
+          txn
+        );
+
+        return { attendance: existing, isUpdate: true };
       }
-      await subject.save();
-    }
 
-    const populatedAttendance = await DailyAttendance.findById(attendance._id).populate(
-      'subjectId',
-      'name code color'
-    );
+      // Create new attendance record
+      const [created] = await DailyAttendance.create(
+        [
+          {
+            userId: req.user._id,
+            semesterId: req.semesterId,
+            subjectId,
+            date: attendanceDate,
+            ...session,
+            status,
+            notes,
+          },
+        ],
+        { session: txn }
+      );
+
+      await incrementCounters(
+        subject._id,
+        getRecordDelta(current, attendanceDate, null, status, rules),
+        txn
+      );
+
+      return { attendance: created, isUpdate: false };
+    });
+
+    const [populatedAttendance, updatedSubject] = await Promise.all([
+      DailyAttendance.findById(attendance._id).populate('subjectId', 'name code color'),
+      Subject.findById(subject._id),
+    ]);
 
     res.status(isUpdate ? 200 : 201).json({
       success: true,
       message: isUpdate ? 'Attendance updated successfully' : 'Attendance marked successfully',
       data: {
         attendance: populatedAttendance,
-        subject: {
-          id: subject._id,
-          name: subject.name,
-          totalLectures: subject.totalLectures,
-          attendedLectures: subject.attendedLectures,
-          absentLectures: subject.absentLectures,
-          attendancePercentage: subject.attendancePercentage,
+        subject: subjectSummary(updatedSubject),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/attendance/day
+ * @desc    Mark attendance for every timetable session of a day at once
+ * @access  Private
+ */
+export const markDayAttendance = async (req, res, next) => {
+  try {
+    const { date, markAll, statuses = {} } = req.body;
+
+    const rules = getStatusRules(req.user);
+    const day = startOfDay(date);
+
+    // Sessions are keyed by timetable entry ID, or override ID for extra lectures
+    const [lectures, events] = await Promise.all([
+      getDaySessions(req.user, req.semesterId, day),
+      getCalendarEvents(req.user._id, day, day),
+    ]);
+
+    const lecturesById = new Map(lectures.map((lecture) => [lecture._id.toString(), lecture]));
+
+    const unknownEntries = Object.keys(statuses).filter((id) => !lecturesById.has(id));
+    if (unknownEntries.length > 0) {
+      return next(
+        new AppError(`Not in the timetable for this day: ${unknownEntries.join(', ')}`, 400)
+      );
+    }
+
+    const unknownStatuses = Object.values(statuses).filter((status) => !rules[status]);
+    if (unknownStatuses.length > 0) {
+      return next(new AppError(`Unknown attendance status: ${unknownStatuses.join(', ')}`, 400));
+    }
+
+    // Explicit statuses win; markAll covers the rest except cancelled sessions
+    const targets = [];
+    const skipped = [];
+
+    lectures.forEach((lecture) => {
+      const id = lecture._id.toString();
+
+      if (statuses[id]) {
+        targets.push({ lecture, status: statuses[id] });
+      } else if (markAll) {
+        const cancellation = lecture.cancelled ||
+          findCancellingEvent(events, day, lecture.subjectId)?.title;
+        if (cancellation) {
+          skipped.push({
+            sessionId: lecture._id,
+            timetableEntryId: lecture.timetableEntryId,
+            reason: cancellation,
+          });
+        } else {
+          targets.push({ lecture, status: markAll });
+        }
+      }
+    });
+
+    const subjectIds = [...new Set(targets.map(({ lecture }) => lecture.subjectId.toString()))];
+    const subjects = await Subject.find({
+      _id: { $in: subjectIds },
+      userId: req.user._id,
+      semesterId: req.semesterId,
+    });
+    const activeSubjectIds = new Set(subjects.map((subject) => subject._id.toString()));
+
+    const summary = { marked: 0, updated: 0, unchanged: 0, skipped: skipped.length };
+
+    await runInTransaction(async (session) => {
+      // The transaction may be retried, so count from scratch each attempt
+      Object.assign(summary, { marked: 0, updated: 0, unchanged: 0 });
+
+      const existing = await DailyAttendance.find({
+        userId: req.user._id,
+        semesterId: req.semesterId,
+        date: day,
+      }).session(session);
+
+      const baselines = await Subject.find({ _id: { $in: [...activeSubjectIds] } })
+        .select('baseline')
+        .session(session);
+      const subjectsById = new Map(baselines.map((subject) => [subject._id.toString(), subject]));
+
+      // Records from before sessions were tracked can be adopted by a subject's only session
+      const lecturesPerSubject = {};
+      lectures.forEach((lecture) => {
+        const subjectId = lecture.subjectId.toString();
+        lecturesPerSubject[subjectId] = (lecturesPerSubject[subjectId] || 0) + 1;
+      });
+      const legacyBySubject = new Map(
+        existing
+          .filter((record) => !record.timetableEntryId && !record.startTime)
+          .map((record) => [record.subjectId.toString(), record])
+      );
+
+      const attendanceOps = [];
+      const increments = {};
+
+      targets.forEach(({ lecture, status }) => {
+        const subjectId = lecture.subjectId.toString();
+        if (!activeSubjectIds.has(subjectId)) return;
+
+        const record = findSessionRecord(existing, lecture) ||
+          (lecturesPerSubject[subjectId] === 1 ? legacyBySubject.get(subjectId) : undefined);
+        const oldStatus = record ? record.status : null;
+
+        if (oldStatus === status) {
+          summary.unchanged++;
+          return;
+        }
+
+        if (record) {
+          attendanceOps.push({
+            updateOne: {
+              filter: { _id: record._id },
+              update: {
+                $set: {
+                  status,
+                  markedAt: new Date(),
+                  timetableEntryId: lecture.timetableEntryId,
+                  startTime: lecture.startTime,
+                },
+              },
+            },
+          });
+          summary.updated++;
+        } else {
+          attendanceOps.push({
+            insertOne: {
+              document: {
+                userId: req.user._id,
+                semesterId: req.semesterId,
+                subjectId: lecture.subjectId,
+                date: day,
+                timetableEntryId: lecture.timetableEntryId,
+                startTime: lecture.startTime,
+                status,
+              },
+            },
+          });
+          summary.marked++;
+        }
+
+        const delta = getRecordDelta(subjectsById.get(subjectId), day, oldStatus, status, rules);
+        increments[subjectId] = increments[subjectId] || { totalLectures: 0, attendedLectures: 0 };
+        increments[subjectId].totalLectures += delta.totalLectures;
+        increments[subjectId].attendedLectures += delta.attendedLectures;
+      });
+
+      if (attendanceOps.length > 0) {
+        await DailyAttendance.bulkWrite(attendanceOps, { session });
+      }
+
+      // One counter update per affected subject
+      const subjectOps = Object.entries(increments)
+        .filter(([, inc]) => inc.totalLectures !== 0 || inc.attendedLectures !== 0)
+        .map(([subjectId, inc]) => ({
+          updateOne: {
+            filter: { _id: subjectId },
+            update: counterIncrement(inc),
+          },
+        }));
+
+      if (subjectOps.length > 0) {
+        await Subject.bulkWrite(subjectOps, { session });
+      }
+    });
+
+    const dayView = await getDayView(req.user, req.semesterId, day);
+
+    res.status(200).json({
+      success: true,
+      message: `Marked ${summary.marked} and updated ${summary.updated} session(s)`,
+      data: {
+        summary,
+        skipped,
+        day: dayView,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/attendance/import
+ * @desc    Import attendance history from a CSV or XLSX file (dry run supported)
+ * @access  Private
+ */
+export const importAttendance = async (req, res, next) => {
+  try {
+    // Accept a raw CSV/XLSX body or JSON { csv } / { xlsx: base64 }
+    const options = Buffer.isBuffer(req.body) || typeof req.body === 'string'
+      ? req.query
+      : { ...req.query, ...req.body };
+    const dryRun = String(options.dryRun) === 'true';
+    const skipErrors = String(options.skipErrors) === 'true';
+    const dateFormat = options.dateFormat === 'mdy' ? 'mdy' : 'dmy';
+
+    let rows;
+    try {
+      if (Buffer.isBuffer(req.body)) {
+        rows = await parseXLSX(req.body);
+      } else if (typeof req.body === 'string') {
+        rows = parseCSV(req.body);
+      } else if (req.body.xlsx) {
+        rows = await parseXLSX(Buffer.from(req.body.xlsx, 'base64'));
+      } else {
+        rows = parseCSV(req.body.csv);
+      }
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+
+    if (rows.length - 1 > MAX_IMPORT_ROWS) {
+      return next(new AppError(`A file can have at most ${MAX_IMPORT_ROWS} rows`, 400));
+    }
+
+    const { records, missing } = rowsToRecords(rows, IMPORT_COLUMNS);
+
+    const missingRequired = ['date', 'status'].filter((column) => missing.includes(column));
+    if (missing.includes('subject') && missing.includes('code')) {
+      missingRequired.push('subject');
+    }
+    if (missingRequired.length > 0) {
+      return next(new AppError(`Missing column(s): ${missingRequired.join(', ')}`, 400));
+    }
+
+    const rules = getStatusRules(req.user);
+
+    const [subjects, entries] = await Promise.all([
+      Subject.find({ userId: req.user._id, semesterId: req.semesterId, isActive: true }),
+      Timetable.find({
+        userId: req.user._id,
+        semesterId: req.semesterId,
+        isActive: true,
+        ...batchFilter(req.user),
+      }),
+    ]);
+
+    const resolved = resolveImportRows(records, {
+      subjects,
+      entries,
+      rules,
+      dateFormat,
+      today: userToday(req.user),
+    });
+    const validRows = resolved.filter((row) => row.errors.length === 0);
+    const errors = resolved
+      .filter((row) => row.errors.length > 0)
+      .map((row) => ({ row: row.row, errors: row.errors }));
+
+    // Existing records for the imported subjects and dates
+    const findExisting = (session = null) => {
+      if (validRows.length === 0) return [];
+
+      const times = validRows.map((row) => row.date.getTime());
+      return DailyAttendance.find({
+        userId: req.user._id,
+        semesterId: req.semesterId,
+        subjectId: { $in: [...new Set(validRows.map((row) => row.subject._id.toString()))] },
+        date: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) },
+      }).session(session);
+    };
+
+    const context = { rules, userId: req.user._id, semesterId: req.semesterId };
+    let plan = planImport(validRows, await findExisting(), context);
+
+    const summarise = (actions) => ({
+      rows: records.length,
+      valid: validRows.length,
+      invalid: errors.length,
+      insert: actions.filter((a) => a.action === 'insert').length,
+      update: actions.filter((a) => a.action === 'update').length,
+      unchanged: actions.filter((a) => a.action === 'unchanged').length,
+      skipped: actions.filter((a) => a.action === 'skipped').length,
+    });
+
+    const preview = () => {
+      const actionsByRow = new Map(plan.actions.map((action) => [action.row, action]));
+
+      return resolved.map((row) => ({
+        row: row.row,
+        date: row.date ? toDateKey(row.date) : null,
+        subject: row.subject
+          ? { id: row.subject._id, name: row.subject.name, code: row.subject.code }
+          : null,
+        match: row.match,
+        status: row.status,
+        startTime: row.startTime,
+        ...(actionsByRow.get(row.row) || { action: 'error' }),
+        errors: row.errors,
+      }));
+    };
+
+    if (dryRun || (errors.length > 0 && !skipErrors)) {
+      return res.status(dryRun ? 200 : 400).json({
+        success: dryRun,
+        message: dryRun
+          ? 'Dry run - nothing was imported'
+          : `${errors.length} row(s) have errors. Fix them or set skipErrors to import the valid rows.`,
+        data: {
+          dryRun,
+          summary: summarise(plan.actions),
+          rows: preview(),
+          errors,
         },
+      });
+    }
+
+    // Records and counters are written together; counters change once per subject
+    await runInTransaction(async (session) => {
+      plan = planImport(validRows, await findExisting(session), context);
+
+      if (plan.attendanceOps.length > 0) {
+        await DailyAttendance.bulkWrite(plan.attendanceOps, { session });
+      }
+
+      const subjectOps = Object.entries(plan.increments)
+        .filter(([, inc]) => inc.totalLectures !== 0 || inc.attendedLectures !== 0)
+        .map(([subjectId, inc]) => ({
+          updateOne: {
+            filter: { _id: subjectId },
+            update: counterIncrement(inc),
+          },
+        }));
+
+      if (subjectOps.length > 0) {
+        await Subject.bulkWrite(subjectOps, { session });
+      }
+    });
+
+    const summary = summarise(plan.actions);
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${summary.insert} and updated ${summary.update} record(s)`,
+      data: {
+        dryRun,
+        summary,
+        rows: preview(),
+        errors,
       },
     });
   } catch (error) {
@@ -181,51 +716,65 @@ export const updateAttendance = async (req, res, next) => {
     const attendance = await DailyAttendance.findOne({
       _id: req.params.id,
       userId: req.user._id,
+      semesterId: req.semesterId,
     });
 
     if (!attendance) {
       return next(new AppError('Attendance record not found', 404));
     }
 
-    const oldStatus = attendance.status;
-    const subject = await Subject.findById(attendance.subjectId);
+    const rules = getStatusRules(req.user);
 
-    if (!subject) {
+    if (status && !rules[status]) {
+      return next(new AppError(`Unknown attendance status: ${status}`, 400));
+    }
+
+    const subjectExists = await Subject.exists({ _id: attendance.subjectId });
+
+    if (!subjectExists) {
       return next(new AppError('Subject not found', 404));
     }
 
-    // Update attendance record
-    if (status) attendance.status = status;
-    if (notes !== undefined) attendance.notes = notes;
-    await attendance.save();
-
-    // Update subject counts if status changed
-    if (status && status !== oldStatus) {
-      if (oldStatus === 'present' && status === 'absent') {
-        subject.attendedLectures -= 1;
-      } else if (oldStatus === 'absent' && status === 'present') {
-        subject.attendedLectures += 1;
+    const updated = await runInTransaction(async (txn) => {
+      // Re-read inside the transaction so a concurrent change is not overwritten
+      const record = await DailyAttendance.findById(attendance._id).session(txn);
+
+      // Deleted by a concurrent request
+      if (!record) return false;
+
+      const oldStatus = record.status;
+
+      if (status) record.status = status;
+      if (notes !== undefined) record.notes = notes;
+      await record.save({ session: txn });
+
+      if (status) {
+        const current = await Subject.findById(record.subjectId).select('baseline').session(txn);
+        await incrementCounters(
+          record.subjectId,
+          getRecordDelta(current, record.date, oldStatus, status, rules),
+          txn
+        );
       }
-      await subject.save();
+
+      return true;
+    });
+
+    if (!updated) {
+      return next(new AppError('Attendance record not found', 404));
     }
 
-    const populatedAttendance = await DailyAttendance.findById(attendance._id).populate(
-      'subjectId',
-      'name code color'
-    );
+    const [populatedAttendance, subject] = await Promise.all([
+      DailyAttendance.findById(attendance._id).populate('subjectId', 'name code color'),
+      Subject.findById(attendance.subjectId),
+    ]);
 
     res.status(200).json({
       success: true,
       message: 'Attendance updated successfully',
       data: {
         attendance: populatedAttendance,
-        subject: {
-          id: subject._id,
-          name: subject.name,
-          totalLectures: subject.totalLectures,
-          attendedLectures: subject.attendedLectures,
-          attendancePercentage: subject.attendancePercentage,
-        },
+        subject: subjectSummary(subject),
       },
     });
   } catch (error) {
@@ -243,24 +792,30 @@ export const deleteAttendance = async (req, res, next) => {
     const attendance = await DailyAttendance.findOne({
       _id: req.params.id,
       userId: req.user._id,
+      semesterId: req.semesterId,
     });
 
     if (!attendance) {
       return next(new AppError('Attendance record not found', 404));
     }
 
-    const subject = await Subject.findById(attendance.subjectId);
+    const rules = getStatusRules(req.user);
 
-    if (subject) {
-      // Update subject counts
-      subject.totalLectures -= 1;
-      if (attendance.status === 'present') {
-        subject.attendedLectures -= 1;
-      }
-      await subject.save();
-    }
+    await runInTransaction(async (txn) => {
+      // Only the request that actually deletes the record adjusts the counters
+      const deleted = await DailyAttendance.findOneAndDelete({ _id: attendance._id }, { session: txn });
+
+      if (!deleted) return;
 
-    await DailyAttendance.deleteOne({ _id: attendance._id });
+      const current = await Subject.findById(deleted.subjectId).select('baseline').session(txn);
+      if (current) {
+        await incrementCounters(
+          deleted.subjectId,
+          getRecordDelta(current, deleted.date, deleted.status, null, rules),
+          txn
+        );
+      }
+    });
 
     res.status(200).json({
       success: true,
@@ -281,25 +836,42 @@ export const getAttendanceStats = async (req, res, next) => {
     const user = req.user;
     const subjects = await Subject.find({
       userId: req.user._id,
+      semesterId: req.semesterId,
       isActive: true,
     });
 
     // Fetch user's timetable to get realistic schedule
     const timetable = await Timetable.find({
       userId: req.user._id,
+      semesterId: req.semesterId,
       isActive: true,
+      ...batchFilter(req.user),
     }).populate('subjectId', 'name');
 
-    // Calculate lectures per week from timetable
-    const lecturesPerWeek = timetable.length;
-    const lecturesPerDay = lecturesPerWeek > 0 ? lecturesPerWeek / 5 : subjects.length; // Assume 5 working days
+    // Holidays and cancellations ahead, so timelines skip non-teaching days
+    const timelineStart = addDays(userToday(req.user), 1);
+
+    // Calculate lectures per week from timetable; alternate-week entries count
+    // fractionally and entries that have ended don't count
+    const runningEntries = timetable.filter((entry) => weeklyRate(entry, timelineStart) > 0);
+    const lecturesPerWeek = Number(
+      runningEntries.reduce((sum, entry) => sum + weeklyRate(entry, timelineStart), 0).toFixed(2)
+    );
+    const workingDaysPerWeek = new Set(runningEntries.map((entry) => entry.dayOfWeek)).size;
+    const lecturesPerDay = lecturesPerWeek > 0 ? lecturesPerWeek / workingDaysPerWeek : subjects.length;
+    const calendarEvents = await getCalendarEvents(
+      req.user._id,
+      timelineStart,
+      addDays(timelineStart, MAX_LOOKAHEAD_DAYS)
+    );
 
     // Group timetable by subject to see frequency
     const subjectFrequency = {};
-    timetable.forEach(entry => {
+    runningEntries.forEach(entry => {
       const subjectId = entry.subjectId?._id?.toString();
       if (subjectId) {
-        subjectFrequency[subjectId] = (subjectFrequency[subjectId] || 0) + 1;
+        subjectFrequency[subjectId] =
+          (subjectFrequency[subjectId] || 0) + weeklyRate(entry, timelineStart);
       }
     });
 
@@ -313,7 +885,13 @@ export const getAttendanceStats = async (req, res, next) => {
       totalLectures += subject.totalLectures;
       totalAttended += subject.attendedLectures;
 
-      if (subject.attendancePercentage >= subject.minimumAttendance) {
+      const isAboveMin = meetsMinimum(
+        subject.attendedLectures,
+        subject.totalLectures,
+        subject.minimumAttendance
+      );
+
+      if (isAboveMin) {
         subjectsAboveMin++;
       } else {
         subjectsBelowMin++;
@@ -323,9 +901,24 @@ export const getAttendanceStats = async (req, res, next) => {
 
       const subjectId = subject._id.toString();
       const weeklyFrequency = subjectFrequency[subjectId] || 1;
-      const weeksNeeded = subject.classesNeeded > 0 
+      let weeksNeeded = subject.classesNeeded > 0 
         ? Math.ceil(subject.classesNeeded / weeklyFrequency) 
         : 0;
+      let estimatedCompletionDate = null;
+
+      if (subject.classesNeeded > 0 && subjectFrequency[subjectId]) {
+        const subjectTimetable = timetable.filter(
+          (entry) => entry.subjectId?._id?.toString() === subjectId
+        );
+        const timeline = estimateLectureTimeline(
+          subjectTimetable,
+          calendarEvents,
+          subject.classesNeeded,
+          timelineStart
+        );
+        weeksNeeded = Math.ceil(timeline.calendarDays / 7);
+        estimatedCompletionDate = timeline.completionDate;
+      }
 
       return {
         id: subject._id,
@@ -337,16 +930,15 @@ export const getAttendanceStats = async (req, res, next) => {
         minimumRequired: subject.minimumAttendance,
         safeBunks: subject.safeBunks,
         classesNeeded: subject.classesNeeded,
-        weeklyFrequency,
+        weeklyFrequency: Number(weeklyFrequency.toFixed(2)),
         weeksNeeded,
-        status: subject.attendancePercentage >= subject.minimumAttendance ? 'safe' : 'risk',
+        estimatedCompletionDate,
+        status: isAboveMin ? 'safe' : 'risk',
       };
     });
 
     // Use user's manually set attendance if available (from college records)
-    const calculatedAttendance = totalLectures > 0 
-      ? Number(((totalAttended / totalLectures) * 100).toFixed(2))
-      : 0;
+    const calculatedAttendance = calculatePercentage(totalAttended, totalLectures);
     
     const overallAttendance = user.currentOverallAttendance ?? calculatedAttendance;
 
@@ -357,24 +949,31 @@ export const getAttendanceStats = async (req, res, next) => {
     let overallClassesNeeded = 0;
     let estimatedWeeks = 0;
     let estimatedDays = 0;
+    let estimatedCompletionDate = null;
 
     if (overallAttendance < targetAttendance) {
       // If using college records, calculate based on that
-      let currentAttended = user.currentOverallAttendance 
+      const currentAttended = user.currentOverallAttendance 
         ? Math.round((overallAttendance * totalLectures) / 100)
         : totalAttended;
-      let currentTotal = totalLectures;
 
-      while (((currentAttended + overallClassesNeeded + 1) / (currentTotal + overallClassesNeeded + 1)) * 100 < targetAttendance) {
-        overallClassesNeeded++;
-        if (overallClassesNeeded > 1000) break; // Safety limit
-      }
-      overallClassesNeeded++; // Add one more for safety
+      // At least one class, since the (possibly rounded) percentage is below target
+      overallClassesNeeded = Math.max(
+        1,
+        classesNeeded(currentAttended, totalLectures, targetAttendance)
+      );
 
-      // Calculate realistic timeline based on timetable
+      // Calculate realistic timeline based on timetable and academic calendar
       if (lecturesPerWeek > 0) {
-        estimatedWeeks = Math.ceil(overallClassesNeeded / lecturesPerWeek);
-        estimatedDays = estimatedWeeks * 5; // 5 working days per week
+        const timeline = estimateLectureTimeline(
+          timetable,
+          calendarEvents,
+          overallClassesNeeded,
+          timelineStart
+        );
+        estimatedDays = timeline.teachingDays;
+        estimatedWeeks = Math.ceil(timeline.calendarDays / 7);
+        estimatedCompletionDate = timeline.completionDate;
       } else {
         // Fallback if no timetable
         estimatedDays = Math.ceil(overallClassesNeeded / (subjects.length || 1));
@@ -382,56 +981,50 @@ export const getAttendanceStats = async (req, res, next) => {
     }
 
     // Calculate overall safe bunks (how many lectures can be bunked while staying above target)
-    let overallSafeBunks = 0;
-    if (overallAttendance >= targetAttendance) {
-      let attended = totalAttended;
-      let total = totalLectures;
-
-      while (((attended) / (total + 1)) * 100 >= targetAttendance) {
-        overallSafeBunks++;
-        total++;
-        if (overallSafeBunks > 1000) break; // Safety limit
-      }
-    }
+    const overallSafeBunks = overallAttendance >= targetAttendance
+      ? safeBunks(totalAttended, totalLectures, targetAttendance)
+      : 0;
 
     // Calculate projected attendance after attending next N classes
     const projectedAfter5Classes = totalLectures > 0
-      ? Number((((totalAttended + 5) / (totalLectures + 5)) * 100).toFixed(2))
+      ? projectedPercentage(totalAttended, totalLectures, { attend: 5 })
       : 0;
     
     const projectedAfter10Classes = totalLectures > 0
-      ? Number((((totalAttended + 10) / (totalLectures + 10)) * 100).toFixed(2))
+      ? projectedPercentage(totalAttended, totalLectures, { attend: 10 })
       : 0;
 
-    // Get recent attendance (last 7 days)
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    // Get recent attendance (the last 7 days, today included, in the user's time zone)
+    const weekStart = addDays(userToday(req.user), -6);
 
     const recentRecords = await DailyAttendance.find({
       userId: req.user._id,
-      date: { $gte: sevenDaysAgo },
+      semesterId: req.semesterId,
+      date: { $gte: weekStart },
     }).populate('subjectId', 'name');
 
-    const presentCount = recentRecords.filter(r => r.status === 'present').length;
-    const absentCount = recentRecords.filter(r => r.status === 'absent').length;
+    // Only statuses that count toward the total affect the trend
+    const statusRules = getStatusRules(user);
+    const countedRecent = recentRecords.filter(r => isCountedStatus(r.status, statusRules));
 
-    const currentWeekPercentage = recentRecords.length > 0
-      ? Number(((presentCount / recentRecords.length) * 100).toFixed(2))
-      : 0;
+    const presentCount = countedRecent.filter(r => isAttendedStatus(r.status, statusRules)).length;
+    const absentCount = countedRecent.length - presentCount;
 
-    // Get previous week data for trend comparison
-    const fourteenDaysAgo = new Date();
-    fourteenDaysAgo.setDate(fourteenDaysAgo.getDate() - 14);
+    const currentWeekPercentage = calculatePercentage(presentCount, countedRecent.length);
 
+    // Get previous week data for trend comparison
     const previousWeekRecords = await DailyAttendance.find({
       userId: req.user._id,
-      date: { $gte: fourteenDaysAgo, $lt: sevenDaysAgo },
+      semesterId: req.semesterId,
+      date: { $gte: addDays(weekStart, -7), $lt: weekStart },
     });
 
-    const previousWeekPresent = previousWeekRecords.filter(r => r.status === 'present').length;
-    const previousWeekPercentage = previousWeekRecords.length > 0
-      ? Number(((previousWeekPresent / previousWeekRecords.length) * 100).toFixed(2))
-      : 0;
+    const countedPrevious = previousWeekRecords.filter(r => isCountedStatus(r.status, statusRules));
+    const previousWeekPresent = countedPrevious.filter(r => isAttendedStatus(r.status, statusRules)).length;
+    const previousWeekPercentage = calculatePercentage(
+      previousWeekPresent,
+      countedPrevious.length
+    );
     
     const trend = currentWeekPercentage - previousWeekPercentage;
 
@@ -440,7 +1033,7 @@ export const getAttendanceStats = async (req, res, next) => {
     
     if (overallAttendance < targetAttendance) {
       const timelineMessage = lecturesPerWeek > 0
-        ? `Based on your timetable (${lecturesPerWeek} lectures/week), you need approximately ${estimatedWeeks} weeks (${estimatedDays} days) of perfect attendance.`
+        ? `Based on your timetable (${lecturesPerWeek} lectures/week) and academic calendar, you need approximately ${estimatedWeeks} weeks (${estimatedDays} teaching days) of perfect attendance.`
         : `You need to attend ${overallClassesNeeded} consecutive classes.`;
 
       recommendations.push({
@@ -520,6 +1113,7 @@ export const getAttendanceStats = async (req, res, next) => {
           projectedAfter10Classes,
           estimatedDaysToTarget: estimatedDays,
           estimatedWeeksToTarget: estimatedWeeks,
+          estimatedCompletionDate,
           lecturesPerWeek,
           lecturesPerDay: Number(lecturesPerDay.toFixed(1)),
         },
@@ -532,7 +1126,7 @@ export const getAttendanceStats = async (req, res, next) => {
           last7Days: {
             present: presentCount,
             absent: absentCount,
-            total: recentRecords.length,
+            total: countedRecent.length,
             percentage: currentWeekPercentage.toFixed(2),
             trend: trend.toFixed(2),
             trendDirection: trend > 0 ? 'improving' : trend < 0 ? 'declining' : 'stable',
@@ -547,6 +1141,196 @@ export const getAttendanceStats = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/attendance/calendar
+ * @desc    Get per-day attendance for a month or the whole semester, with weekly
+ *          and monthly percentages per subject
+ * @access  Private
+ */
+export const getAttendanceCalendar = async (req, res, next) => {
+  try {
+    const today = userToday(req.user);
+    const semester = await getSemesterRange(req.user, req.semesterId);
+    const range = req.query.range || 'month';
+
+    let from;
+    let to;
+
+    if (range === 'semester') {
+      if (!semester.start) {
+        return next(new AppError('Set the semester start date to view the whole semester', 400));
+      }
+
+      from = startOfDay(semester.start);
+      to = startOfDay(semester.end || today);
+    } else {
+      ({ from, to } = monthRange(req.query.month || toDateKey(today).slice(0, 7)));
+    }
+
+    if (to < from) {
+      return next(new AppError('Semester end date is before its start date', 400));
+    }
+
+    if ((to - from) / (24 * 60 * 60 * 1000) + 1 > MAX_CALENDAR_DAYS) {
+      return next(new AppError(`Calendar can cover at most ${MAX_CALENDAR_DAYS} days`, 400));
+    }
+
+    const subjects = await Subject.find({
+      userId: req.user._id,
+      semesterId: req.semesterId,
+      isActive: true,
+    })
+      .select('name code color')
+      .sort({ name: 1 });
+
+    const calendar = await buildAttendanceCalendar(req.user, req.semesterId, {
+      from,
+      to,
+      today,
+      semesterStart: semester.start ? startOfDay(semester.start) : null,
+      semesterEnd: semester.end ? startOfDay(semester.end) : null,
+      subjects,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        range,
+        from: toDateKey(from),
+        to: toDateKey(to),
+        ...calendar,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/attendance/pending
+ * @desc    Get past timetable sessions that were never marked
+ * @access  Private
+ */
+export const getPendingAttendance = async (req, res, next) => {
+  try {
+    const days = req.query.days ?? PENDING_LOOKBACK_DAYS;
+    const { from, to, pending } = await findPendingSessions(req.user, req.semesterId, { days });
+
+    res.status(200).json({
+      success: true,
+      count: pending.length,
+      data: {
+        from,
+        to,
+        pending,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/attendance/link
+ * @desc    Mark a session from a one-click link in the attendance digest
+ * @access  Public (signed link token)
+ */
+export const markAttendanceFromLink = async (req, res, next) => {
+  try {
+    let link;
+    try {
+      link = verifyAttendanceLinkToken(req.body.token);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+
+    const user = await User.findById(link.userId);
+
+    if (!user || !user.isActive) {
+      return next(new AppError('Account not found or deactivated', 403));
+    }
+
+    // Links only write to the semester they were sent for, while it is active
+    const semesterId = user.activeSemester || null;
+    if (String(semesterId) !== String(link.semesterId)) {
+      return next(new AppError('This semester is no longer active', 400));
+    }
+
+    const rules = getStatusRules(user);
+    if (!rules[link.status]) {
+      return next(new AppError('Invalid attendance status', 400));
+    }
+
+    const subject = await Subject.findOne({
+      _id: link.subjectId,
+      userId: user._id,
+      semesterId,
+    });
+
+    if (!subject) {
+      return next(new AppError('Subject not found', 404));
+    }
+
+    const attendanceDate = startOfDay(link.date);
+    const session = {
+      timetableEntryId: link.timetableEntryId || null,
+      startTime: link.startTime || null,
+    };
+
+    // A session marked in the meantime is left as it is
+    const { attendance, created } = await runInTransaction(async (txn) => {
+      const current = await Subject.findById(subject._id).select('baseline').session(txn);
+
+      const existing = await DailyAttendance.findOne({
+        userId: user._id,
+        semesterId,
+        subjectId: subject._id,
+        date: attendanceDate,
+        ...session,
+      }).session(txn);
+
+      if (existing) {
+        return { attendance: existing, created: false };
+      }
+
+      const [record] = await DailyAttendance.create(
+        [
+          {
+            userId: user._id,
+            semesterId,
+            subjectId: subject._id,
+            date: attendanceDate,
+            ...session,
+            status: link.status,
+          },
+        ],
+        { session: txn }
+      );
+
+      await incrementCounters(
+        subject._id,
+        getRecordDelta(current, attendanceDate, null, link.status, rules),
+        txn
+      );
+
+      return { attendance: record, created: true };
+    });
+
+    const updatedSubject = await Subject.findById(subject._id);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Attendance marked successfully' : 'This lecture was already marked',
+      data: {
+        attendance,
+        subject: subjectSummary(updatedSubject),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   GET /api/attendance/subject/:subjectId/history
  * @desc    Get attendance history for a specific subject
@@ -561,6 +1345,7 @@ export const getSubjectAttendanceHistory = async (req, res, next) => {
     const subject = await Subject.findOne({
       _id: subjectId,
       userId: req.user._id,
+      semesterId: req.semesterId,
     });
 
     if (!subject) {
@@ -569,11 +1354,22 @@ export const getSubjectAttendanceHistory = async (req, res, next) => {
 
     const history = await DailyAttendance.find({
       userId: req.user._id,
+      semesterId: req.semesterId,
       subjectId,
     })
-      .sort({ date: -1 })
+      .sort({ date: -1, startTime: -1 })
       .limit(parseInt(limit));
 
+    // Group sessions by day (a subject can have several lectures a day)
+    const groupedByDate = history.reduce((acc, record) => {
+      const day = toDateKey(record.date);
+      if (!acc[day]) {
+        acc[day] = [];
+      }
+      acc[day].push(record);
+      return acc;
+    }, {});
+
     res.status(200).json({
       success: true,
       count: history.length,
@@ -584,6 +1380,7 @@ export const getSubjectAttendanceHistory = async (req, res, next) => {
           attendance: subject.attendancePercentage,
         },
         history,
+        groupedByDate,
       },
     });
   } catch (error) {
@@ -1,11 +1,37 @@
 import User from '../models/User.js';
 import PendingUser from '../models/PendingUser.js';
-import { generateTokens, verifyRefreshToken } from '../utils/tokenUtils.js';
-import { generateVerificationToken } from '../utils/tokenGenerator.js';
-import { sendVerificationEmail, sendWelcomeEmail } from '../utils/emailService.js';
+import Session from '../models/Session.js';
+import { verifyRefreshToken } from '../utils/tokenUtils.js';
+import { createSession, rotateSession, revokeSessions } from '../utils/sessionUtils.js';
+import {
+  generateVerificationToken,
+  generateResetToken,
+  hashString,
+} from '../utils/tokenGenerator.js';
+import {
+  sendVerificationEmail,
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+} from '../utils/emailService.js';
 import { verifyGoogleToken } from '../config/googleOAuth.js';
 import { AppError } from '../middleware/errorHandler.js';
 
+/**
+ * Build the error returned when an inactive account tries to sign in
+ * @param {Object} user - User document
+ * @returns {AppError} Error explaining how to get back in
+ */
+const inactiveAccountError = (user) => {
+  if (user.deletionScheduledFor) {
+    return new AppError(
+      `This account is scheduled for deletion on ${user.deletionScheduledFor.toDateString()}. ` +
+        'Use the link in the confirmation email to cancel.',
+      403
+    );
+  }
+  return new AppError('Your account has been deactivated. Reactivate it to log in.', 403);
+};
+
 /**
  * @route   POST /api/auth/signup
  * @desc    Register a new user (email & password)
@@ -13,11 +39,26 @@ import { AppError } from '../middleware/errorHandler.js';
  */
 export const signup = async (req, res, next) => {
   try {
-    const { name, email, college, password } = req.body;
+    const { name, email, college, password, timezone } = req.body;
 
     // Check if user already exists in Users collection
     const existingUser = await User.findOne({ email });
     if (existingUser) {
+      // The email becomes free again once a deleted account is purged
+      if (existingUser.deletionScheduledFor) {
+        return next(
+          new AppError(
+            `The account with this email will be deleted on ${existingUser.deletionScheduledFor.toDateString()}. ` +
+              'Cancel the deletion or sign up again after that date.',
+            400
+          )
+        );
+      }
+      if (!existingUser.isActive) {
+        return next(
+          new AppError('An account with this email is deactivated. Reactivate it instead.', 400)
+        );
+      }
       return next(new AppError('User with this email already exists', 400));
     }
 
@@ -37,6 +78,7 @@ export const signup = async (req, res, next) => {
       email,
       college,
       password,
+      timezone,
       verificationToken: token,
       tokenExpiry: expiry,
     });
@@ -89,6 +131,7 @@ export const verifyEmail = async (req, res, next) => {
       email: pendingUser.email,
       college: pendingUser.college,
       password: pendingUser.password,
+      timezone: pendingUser.timezone || undefined,
       emailVerified: true,
       authProvider: 'local',
     });
@@ -99,12 +142,8 @@ export const verifyEmail = async (req, res, next) => {
     // Send welcome email
     await sendWelcomeEmail(user.email, user.name);
 
-    // Generate JWT tokens
-    const { accessToken, refreshToken } = generateTokens(user);
-
-    // Save refresh token to user
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Start a session and generate JWT tokens
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
@@ -149,7 +188,7 @@ export const login = async (req, res, next) => {
 
     // Check if user is active
     if (!user.isActive) {
-      return next(new AppError('Your account has been deactivated', 403));
+      return next(inactiveAccountError(user));
     }
 
     // Verify password
@@ -159,11 +198,9 @@ export const login = async (req, res, next) => {
       return next(new AppError('Invalid email or password', 401));
     }
 
-    // Generate JWT tokens
-    const { accessToken, refreshToken } = generateTokens(user);
+    // Start a session and generate JWT tokens
+    const { accessToken, refreshToken } = await createSession(user, req);
 
-    // Save refresh token
-    user.refreshToken = refreshToken;
     user.lastLogin = new Date();
     await user.save();
 
@@ -177,8 +214,10 @@ export const login = async (req, res, next) => {
           email: user.email,
           college: user.college,
           profilePicture: user.profilePicture,
+          activeSemester: user.activeSemester,
           semesterStart: user.semesterStart,
           semesterEnd: user.semesterEnd,
+          timezone: user.timezone,
           overallMinimumAttendance: user.overallMinimumAttendance,
           emailVerified: user.emailVerified,
         },
@@ -207,6 +246,10 @@ export const googleAuth = async (req, res, next) => {
     let user = await User.findOne({ email: googleUser.email });
 
     if (user) {
+      if (!user.isActive) {
+        return next(inactiveAccountError(user));
+      }
+
       // User exists - log them in
       if (!user.googleId) {
         // Link Google account to existing account
@@ -231,11 +274,9 @@ export const googleAuth = async (req, res, next) => {
       await sendWelcomeEmail(user.email, user.name);
     }
 
-    // Generate JWT tokens
-    const { accessToken, refreshToken } = generateTokens(user);
+    // Start a session and generate JWT tokens
+    const { accessToken, refreshToken } = await createSession(user, req);
 
-    // Save refresh token
-    user.refreshToken = refreshToken;
     user.lastLogin = new Date();
     await user.save();
 
@@ -249,8 +290,10 @@ export const googleAuth = async (req, res, next) => {
           email: user.email,
           college: user.college,
           profilePicture: user.profilePicture,
+          activeSemester: user.activeSemester,
           semesterStart: user.semesterStart,
           semesterEnd: user.semesterEnd,
+          timezone: user.timezone,
           overallMinimumAttendance: user.overallMinimumAttendance,
           emailVerified: user.emailVerified,
           authProvider: user.authProvider,
@@ -264,6 +307,104 @@ export const googleAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   POST /api/auth/reactivate
+ * @desc    Reactivate a deactivated account (email & password, or Google token)
+ * @access  Public
+ */
+export const reactivateAccount = async (req, res, next) => {
+  try {
+    const { email, password, token } = req.body;
+
+    let user;
+
+    if (token) {
+      const googleUser = await verifyGoogleToken(token);
+      user = await User.findOne({ email: googleUser.email, googleId: googleUser.googleId });
+    } else {
+      user = await User.findOne({ email }).select('+password');
+
+      if (user && (!user.password || !(await user.comparePassword(password)))) {
+        user = null;
+      }
+    }
+
+    if (!user) {
+      return next(new AppError('Invalid credentials', 401));
+    }
+
+    if (user.isActive) {
+      return next(new AppError('This account is already active', 400));
+    }
+
+    // Accounts waiting to be deleted are restored with the emailed cancel link
+    if (user.deletionScheduledFor) {
+      return next(inactiveAccountError(user));
+    }
+
+    user.isActive = true;
+    user.lastLogin = new Date();
+    await user.save();
+
+    const { accessToken, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account reactivated successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          college: user.college,
+          profilePicture: user.profilePicture,
+          activeSemester: user.activeSemester,
+          semesterStart: user.semesterStart,
+          semesterEnd: user.semesterEnd,
+          timezone: user.timezone,
+          overallMinimumAttendance: user.overallMinimumAttendance,
+          emailVerified: user.emailVerified,
+        },
+        accessToken,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/cancel-deletion
+ * @desc    Cancel a pending account deletion using the emailed token
+ * @access  Public
+ */
+export const cancelAccountDeletion = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      deletionCancelToken: hashString(req.body.token),
+      deletionScheduledFor: { $gt: new Date() },
+    }).select('+deletionCancelToken');
+
+    if (!user) {
+      return next(new AppError('Invalid or expired cancellation link', 400));
+    }
+
+    user.isActive = true;
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    user.deletionCancelToken = undefined;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled. You can now log in again.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   POST /api/auth/refresh
  * @desc    Refresh access token using refresh token
@@ -280,22 +421,32 @@ export const refreshToken = async (req, res, next) => {
     // Verify refresh token
     const decoded = verifyRefreshToken(token);
 
-    // Find user with this refresh token
-    const user = await User.findOne({
-      _id: decoded.userId,
-      refreshToken: token,
-    }).select('+refreshToken');
+    // Find the session (token family) this refresh token belongs to
+    const session = await Session.findOne({
+      userId: decoded.userId,
+      family: decoded.sessionId,
+    });
 
-    if (!user) {
+    if (!session || !session.isActive) {
       return next(new AppError('Invalid refresh token', 401));
     }
 
-    // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user);
+    const user = await User.findById(decoded.userId);
 
-    // Update refresh token
-    user.refreshToken = newRefreshToken;
-    await user.save();
+    if (!user || !user.isActive) {
+      return next(new AppError('Invalid refresh token', 401));
+    }
+
+    // Rotate tokens; this fails when the token is no longer the latest one,
+    // i.e. it was already rotated and is being replayed - revoke the whole family
+    const tokens = await rotateSession(session, token, user, req);
+
+    if (!tokens) {
+      await revokeSessions({ _id: session._id }, 'reuse_detected');
+      return next(new AppError('Refresh token reuse detected. Please log in again.', 401));
+    }
+
+    const { accessToken, refreshToken: newRefreshToken } = tokens;
 
     res.status(200).json({
       success: true,
@@ -317,9 +468,10 @@ export const refreshToken = async (req, res, next) => {
  */
 export const logout = async (req, res, next) => {
   try {
-    // Clear refresh token
-    req.user.refreshToken = null;
-    await req.user.save();
+    // Revoke the current session
+    if (req.sessionId) {
+      await revokeSessions({ userId: req.user._id, family: req.sessionId }, 'logout');
+    }
 
     res.status(200).json({
       success: true,
@@ -330,6 +482,88 @@ export const logout = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout from all devices
+ * @access  Private
+ */
+export const logoutAll = async (req, res, next) => {
+  try {
+    const revokedCount = await revokeSessions({ userId: req.user._id }, 'logout_all');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: {
+        revokedCount,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get active sessions for current user
+ * @access  Private
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    const mappedSessions = sessions.map((session) => ({
+      id: session._id,
+      deviceLabel: session.deviceLabel,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.family === req.sessionId,
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: mappedSessions.length,
+      data: {
+        sessions: mappedSessions,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke a session (log out a device)
+ * @access  Private
+ */
+export const revokeSession = async (req, res, next) => {
+  try {
+    const revokedCount = await revokeSessions(
+      { _id: req.params.id, userId: req.user._id },
+      'revoked'
+    );
+
+    if (revokedCount === 0) {
+      return next(new AppError('Session not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user
@@ -392,3 +626,77 @@ export const resendVerification = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send password reset link to email
+ * @access  Public
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Only local accounts have a password to reset
+    if (user && user.isActive && user.authProvider === 'local') {
+      const { token, expiry } = generateResetToken();
+
+      // Store only the hash so a leaked database can't be used to reset passwords
+      user.passwordResetToken = hashString(token);
+      user.passwordResetExpiry = expiry;
+      await user.save();
+
+      // Not awaited: waiting for the mail server would make existing accounts
+      // respond noticeably slower. Send failures are logged by the email service.
+      sendPasswordResetEmail(user.email, user.name, token).catch((error) => {
+        console.error('✗ Failed to send password reset email:', error.message);
+      });
+    }
+
+    // Same response either way so the endpoint can't be used to probe for accounts
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password using reset token
+ * @access  Public
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    // Find user with valid, unexpired token
+    const user = await User.findOne({
+      passwordResetToken: hashString(token),
+      passwordResetExpiry: { $gt: new Date() },
+    }).select('+password +passwordResetToken +passwordResetExpiry');
+
+    if (!user) {
+      return next(new AppError('Invalid or expired password reset token', 400));
+    }
+
+    // Update password and consume the token
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpiry = undefined;
+    await user.save();
+
+    // Log out existing sessions
+    await revokeSessions({ userId: user._id }, 'password_reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. You can now log in with your new password.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
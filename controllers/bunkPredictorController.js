@@ -1,5 +1,148 @@
 import Subject from '../models/Subject.js';
+import Timetable from '../models/Timetable.js';
+import DailyAttendance from '../models/DailyAttendance.js';
 import { AppError } from '../middleware/errorHandler.js';
+import {
+  MAX_LOOKAHEAD_DAYS,
+  startOfDay,
+  userToday,
+  addDays,
+  getCalendarEvents,
+  findNextLecture,
+  estimateLectureTimeline,
+  occursOn,
+  batchFilter,
+  dayName,
+} from '../utils/academicCalendar.js';
+import { getRangeSessions, findSessionRecord } from '../utils/timetableOverrides.js';
+import {
+  getSemesterEnd,
+  countRemainingLectures,
+  projectAttendance,
+} from '../utils/attendanceProjection.js';
+import {
+  calculatePercentage,
+  meetsMinimum,
+  classesNeeded,
+} from '../utils/attendanceMath.js';
+import { toMinutes, compareTimes } from '../utils/timeOfDay.js';
+import { userTimeZone, minutesNow } from '../utils/timezone.js';
+
+/**
+ * Load the timetable and upcoming calendar events for the current semester
+ * @param {Object} req - Express request
+ * @returns {Object} Object containing timetable, events, today and the user's time zone
+ */
+const loadSchedule = async (req) => {
+  const today = userToday(req.user);
+
+  const [timetable, events] = await Promise.all([
+    Timetable.find({
+      userId: req.user._id,
+      semesterId: req.semesterId,
+      isActive: true,
+      ...batchFilter(req.user),
+    }).sort({ startMinutes: 1 }),
+    getCalendarEvents(req.user._id, today, addDays(today, MAX_LOOKAHEAD_DAYS)),
+  ]);
+
+  return { timetable, events, today, timeZone: userTimeZone(req.user) };
+};
+
+/**
+ * Find the next lecture of a subject that hasn't started yet
+ * @param {Object} schedule - Timetable, calendar events, today and time zone
+ * @param {ObjectId} subjectId - Subject ID
+ * @returns {Object|null} Next lecture summary
+ */
+const getNextLecture = ({ timetable, events, today, timeZone }, subjectId) => {
+  const currentMinutes = minutesNow(timeZone);
+
+  let lecture = findNextLecture(timetable, events, subjectId, today);
+
+  // Today's lecture has already started, so look from tomorrow
+  if (
+    lecture &&
+    lecture.date.getTime() === today.getTime() &&
+    toMinutes(lecture.entry.startTime) <= currentMinutes
+  ) {
+    const laterToday = timetable.filter(
+      (entry) =>
+        occursOn(entry, lecture.date) &&
+        entry.subjectId.toString() === subjectId.toString() &&
+        toMinutes(entry.startTime) > currentMinutes
+    );
+    lecture = laterToday.length > 0
+      ? { date: lecture.date, entry: laterToday[0] }
+      : findNextLecture(timetable, events, subjectId, addDays(today, 1));
+  }
+
+  if (!lecture) return null;
+
+  return {
+    date: lecture.date,
+    dayOfWeek: lecture.entry.dayOfWeek,
+    startTime: lecture.entry.startTime,
+    endTime: lecture.entry.endTime,
+    room: lecture.entry.room,
+  };
+};
+
+/**
+ * Pick which lectures to skip without dropping any subject below its minimum
+ * Whole days are freed first (days with fewer lectures first), then single
+ * lectures while each subject still has skips left.
+ * @param {Array} lectures - Lectures in the range
+ * @param {Object} budgets - Skippable lectures left, keyed by subject ID
+ * @returns {Object} Object containing skip, attend and fullDaysOff
+ */
+const planSkips = (lectures, budgets) => {
+  const remaining = { ...budgets };
+  const byDay = new Map();
+
+  lectures.forEach((lecture) => {
+    const key = lecture.date.getTime();
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(lecture);
+  });
+
+  const skipped = new Set();
+  const fullDaysOff = [];
+
+  [...byDay.values()]
+    .sort((a, b) => a.length - b.length || a[0].date - b[0].date)
+    .forEach((dayLectures) => {
+      const needed = {};
+      dayLectures.forEach((lecture) => {
+        needed[lecture.subjectId] = (needed[lecture.subjectId] || 0) + 1;
+      });
+
+      const fits = Object.entries(needed).every(
+        ([subjectId, count]) => (remaining[subjectId] || 0) >= count
+      );
+
+      if (fits) {
+        Object.entries(needed).forEach(([subjectId, count]) => {
+          remaining[subjectId] -= count;
+        });
+        dayLectures.forEach((lecture) => skipped.add(lecture));
+        fullDaysOff.push(dayLectures[0].date);
+      }
+    });
+
+  lectures.forEach((lecture) => {
+    if (!skipped.has(lecture) && remaining[lecture.subjectId] > 0) {
+      remaining[lecture.subjectId] -= 1;
+      skipped.add(lecture);
+    }
+  });
+
+  return {
+    skip: lectures.filter((lecture) => skipped.has(lecture)),
+    attend: lectures.filter((lecture) => !skipped.has(lecture)),
+    fullDaysOff: fullDaysOff.sort((a, b) => a - b),
+  };
+};
 
 /**
  * @route   POST /api/bunk-predictor/predict
@@ -13,6 +156,7 @@ export const predictBunk = async (req, res, next) => {
     const subject = await Subject.findOne({
       _id: subjectId,
       userId: req.user._id,
+      semesterId: req.semesterId,
     });
 
     if (!subject) {
@@ -25,23 +169,36 @@ export const predictBunk = async (req, res, next) => {
     // Calculate after bunking one lecture
     const afterBunkAttended = subject.attendedLectures;
     const afterBunkTotal = subject.totalLectures + 1;
-    const afterBunkPercentage = Number(
-      ((afterBunkAttended / afterBunkTotal) * 100).toFixed(2)
-    );
+    const afterBunkPercentage = calculatePercentage(afterBunkAttended, afterBunkTotal);
 
-    const canBunk = afterBunkPercentage >= minAttendance;
+    const canBunk = meetsMinimum(afterBunkAttended, afterBunkTotal, minAttendance);
     const safeBunks = subject.safeBunks;
 
+    const schedule = await loadSchedule(req);
+    const nextLecture = getNextLecture(schedule, subject._id);
+
     // Calculate classes needed to recover if bunked
-    let classesNeededToRecover = 0;
-    if (!canBunk) {
-      let attended = subject.attendedLectures;
-      let total = subject.totalLectures + 1; // After bunk
-      
-      while (((attended + classesNeededToRecover + 1) / (total + classesNeededToRecover + 1)) * 100 < minAttendance) {
-        classesNeededToRecover++;
-      }
-      classesNeededToRecover++;
+    const classesNeededToRecover = canBunk
+      ? 0
+      : classesNeeded(afterBunkAttended, afterBunkTotal, minAttendance);
+
+    // When the recovery lectures will actually be held, skipping holidays
+    let recoveryEstimate = null;
+    if (!canBunk && nextLecture) {
+      const subjectTimetable = schedule.timetable.filter(
+        (entry) => entry.subjectId.toString() === subject._id.toString()
+      );
+      const timeline = estimateLectureTimeline(
+        subjectTimetable,
+        schedule.events,
+        classesNeededToRecover,
+        addDays(nextLecture.date, 1)
+      );
+      recoveryEstimate = {
+        teachingDays: timeline.teachingDays,
+        weeks: Math.ceil(timeline.calendarDays / 7),
+        completionDate: timeline.completionDate,
+      };
     }
 
     const result = {
@@ -52,6 +209,8 @@ export const predictBunk = async (req, res, next) => {
       minimumRequired: minAttendance,
       attendanceDrop: Number((currentPercentage - afterBunkPercentage).toFixed(2)),
       classesNeededToRecover,
+      nextLecture,
+      recoveryEstimate,
       recommendation: canBunk
         ? `You can safely bunk. Your attendance will be ${afterBunkPercentage}%, which is above the minimum ${minAttendance}%.`
         : `You should NOT bunk. Your attendance will drop to ${afterBunkPercentage}%, which is below the minimum ${minAttendance}%. You'll need to attend ${classesNeededToRecover} consecutive classes to recover.`,
@@ -88,20 +247,21 @@ export const bulkPredictBunk = async (req, res, next) => {
   try {
     const subjects = await Subject.find({
       userId: req.user._id,
+      semesterId: req.semesterId,
       isActive: true,
     });
 
+    const schedule = await loadSchedule(req);
+
     const predictions = subjects.map((subject) => {
       const currentPercentage = subject.attendancePercentage;
       const minAttendance = subject.minimumAttendance;
 
       const afterBunkAttended = subject.attendedLectures;
       const afterBunkTotal = subject.totalLectures + 1;
-      const afterBunkPercentage = Number(
-        ((afterBunkAttended / afterBunkTotal) * 100).toFixed(2)
-      );
+      const afterBunkPercentage = calculatePercentage(afterBunkAttended, afterBunkTotal);
 
-      const canBunk = afterBunkPercentage >= minAttendance;
+      const canBunk = meetsMinimum(afterBunkAttended, afterBunkTotal, minAttendance);
 
       return {
         subjectId: subject._id,
@@ -110,6 +270,7 @@ export const bulkPredictBunk = async (req, res, next) => {
         canBunk,
         safeBunks: subject.safeBunks,
         afterBunkAttendance: afterBunkPercentage,
+        nextLecture: getNextLecture(schedule, subject._id),
       };
     });
 
@@ -154,6 +315,7 @@ export const simulateBunks = async (req, res, next) => {
     const subject = await Subject.findOne({
       _id: subjectId,
       userId: req.user._id,
+      semesterId: req.semesterId,
     });
 
     if (!subject) {
@@ -166,8 +328,8 @@ export const simulateBunks = async (req, res, next) => {
 
     for (let i = 1; i <= numberOfBunks; i++) {
       total += 1;
-      const percentage = Number(((attended / total) * 100).toFixed(2));
-      const isSafe = percentage >= subject.minimumAttendance;
+      const percentage = calculatePercentage(attended, total);
+      const isSafe = meetsMinimum(attended, total, subject.minimumAttendance);
 
       simulation.push({
         bunkNumber: i,
@@ -206,3 +368,207 @@ export const simulateBunks = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * @route   GET /api/bunk-predictor/projection
+ * @desc    Project end-of-semester attendance from remaining lectures
+ * @access  Private
+ */
+export const getProjection = async (req, res, next) => {
+  try {
+    const semesterEnd = await getSemesterEnd(req.user, req.semesterId);
+
+    if (!semesterEnd) {
+      return next(new AppError('Set your semester end date to see projections', 400));
+    }
+
+    const subjects = await Subject.find({
+      userId: req.user._id,
+      semesterId: req.semesterId,
+      isActive: true,
+    });
+
+    const remaining = await countRemainingLectures({
+      userId: req.user._id,
+      semesterId: req.semesterId,
+      semesterEnd,
+      batch: req.user.batch,
+      timezone: req.user.timezone,
+    });
+
+    let totalLectures = 0;
+    let totalAttended = 0;
+    let totalRemaining = 0;
+
+    const projections = subjects.map((subject) => {
+      const remainingLectures = remaining[subject._id.toString()] || 0;
+
+      totalLectures += subject.totalLectures;
+      totalAttended += subject.attendedLectures;
+      totalRemaining += remainingLectures;
+
+      return {
+        subjectId: subject._id,
+        subjectName: subject.name,
+        currentAttendance: subject.attendancePercentage,
+        minimumRequired: subject.minimumAttendance,
+        ...projectAttendance(subject, remainingLectures),
+      };
+    });
+
+    const overall = projectAttendance(
+      {
+        attendedLectures: totalAttended,
+        totalLectures,
+        minimumAttendance: req.user.overallMinimumAttendance || 75,
+      },
+      totalRemaining
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        semesterEnd,
+        summary: {
+          totalSubjects: subjects.length,
+          unreachableSubjects: projections.filter((p) => p.isUnreachable).length,
+          atRiskSubjects: projections.filter((p) => p.status === 'at_risk').length,
+          overall,
+        },
+        projections,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/bunk-predictor/plan
+ * @desc    Plan which lectures can be skipped in a date range
+ * @access  Private
+ */
+export const planBunks = async (req, res, next) => {
+  try {
+    const today = userToday(req.user);
+    const endDate = startOfDay(req.body.endDate);
+
+    if (endDate < today) {
+      return next(new AppError('Cannot plan bunks for dates that have passed', 400));
+    }
+
+    // Past lectures are already in the counters, so the plan starts today at the earliest
+    const startDate = new Date(Math.max(startOfDay(req.body.startDate), today));
+
+    // Extra, cancelled and moved lectures count, like everywhere else
+    const [subjects, days, markedToday] = await Promise.all([
+      Subject.find({
+        userId: req.user._id,
+        semesterId: req.semesterId,
+        isActive: true,
+      }),
+      getRangeSessions(req.user, req.semesterId, startDate, endDate),
+      DailyAttendance.find({
+        userId: req.user._id,
+        semesterId: req.semesterId,
+        date: today,
+      }),
+    ]);
+
+    const subjectsById = new Map(subjects.map((s) => [s._id.toString(), s]));
+
+    const lectures = days
+      .flatMap(({ date, sessions }) => sessions.map((session) => ({ date, session })))
+      .filter(({ session }) => subjectsById.has(session.subjectId.toString()))
+      // Today's lectures that are already marked are counted already
+      .filter(
+        ({ date, session }) =>
+          date.getTime() !== today.getTime() || !findSessionRecord(markedToday, session)
+      )
+      .map(({ date, session }) => ({
+        date,
+        dayOfWeek: dayName(date),
+        startTime: session.startTime,
+        endTime: session.endTime,
+        room: session.room,
+        timetableEntryId: session.timetableEntryId,
+        override: session.override,
+        subjectId: session.subjectId.toString(),
+        subjectName: subjectsById.get(session.subjectId.toString()).name,
+      }))
+      .sort((a, b) => a.date - b.date || compareTimes(a.startTime, b.startTime));
+
+    const lecturesPerSubject = {};
+    lectures.forEach((lecture) => {
+      lecturesPerSubject[lecture.subjectId] = (lecturesPerSubject[lecture.subjectId] || 0) + 1;
+    });
+
+    const budgets = {};
+
+    const affectedSubjects = Object.entries(lecturesPerSubject).map(([subjectId, count]) => {
+      const subject = subjectsById.get(subjectId);
+      const projection = projectAttendance(subject, count);
+
+      budgets[subjectId] = Math.min(count, projection.maxAbsencesAllowed);
+
+      return {
+        subjectId: subject._id,
+        subjectName: subject.name,
+        lecturesInRange: count,
+        minimumRequired: subject.minimumAttendance,
+        currentAttendance: subject.attendancePercentage,
+        afterSkippingAll: projection.worstCasePercentage,
+        dropsBelowMinimum: !meetsMinimum(
+          subject.attendedLectures,
+          subject.totalLectures + count,
+          subject.minimumAttendance
+        ),
+        maxSkippable: budgets[subjectId],
+      };
+    });
+
+    const canSkipAll = affectedSubjects.every((s) => !s.dropsBelowMinimum);
+
+    let suggestion = null;
+    if (!canSkipAll) {
+      const plan = planSkips(lectures, budgets);
+
+      affectedSubjects.forEach((s) => {
+        const subject = subjectsById.get(s.subjectId.toString());
+        const skippedCount = plan.skip.filter(
+          (lecture) => lecture.subjectId === s.subjectId.toString()
+        ).length;
+        const total = subject.totalLectures + s.lecturesInRange;
+        const attended = subject.attendedLectures + s.lecturesInRange - skippedCount;
+
+        s.afterSuggestedPlan = calculatePercentage(attended, total);
+      });
+
+      suggestion = {
+        ...plan,
+        message: `You can safely skip ${plan.skip.length} of ${lectures.length} lectures` +
+          (plan.fullDaysOff.length > 0 ? `, including ${plan.fullDaysOff.length} full day(s) off.` : '.'),
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        range: {
+          startDate,
+          endDate,
+        },
+        totalLectures: lectures.length,
+        canSkipAll,
+        subjects: affectedSubjects,
+        lectures,
+        suggestion,
+        recommendation: canSkipAll
+          ? `You can safely skip all ${lectures.length} lectures in this range.`
+          : `Skipping the whole range drops ${affectedSubjects.filter((s) => s.dropsBelowMinimum).map((s) => s.subjectName).join(', ')} below the minimum.`,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,249 @@
+import CalendarEvent from '../models/CalendarEvent.js';
+import Subject from '../models/Subject.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { parseICS } from '../utils/icsParser.js';
+import { startOfDay, startOfUserDay, addDays } from '../utils/academicCalendar.js';
+import { userTimeZone } from '../utils/timezone.js';
+
+/**
+ * Guess the event type from an imported event title
+ * @param {String} title - Event title
+ * @returns {String} Event type
+ */
+const classifyEvent = (title = '') => {
+  if (/exam|test|assessment/i.test(title)) return 'exam';
+  if (/break|vacation|recess/i.test(title)) return 'break';
+  if (/cancel/i.test(title)) return 'cancellation';
+  return 'holiday';
+};
+
+/**
+ * @route   GET /api/calendar
+ * @desc    Get calendar events with optional date range
+ * @access  Private
+ */
+export const getCalendarEvents = async (req, res, next) => {
+  try {
+    const { from, to, type } = req.query;
+
+    const filter = { userId: req.user._id };
+
+    if (type) filter.type = type;
+    if (from) filter.endDate = { $gte: startOfUserDay(from, req.user) };
+    if (to) filter.startDate = { $lte: startOfUserDay(to, req.user) };
+
+    const events = await CalendarEvent.find(filter)
+      .populate('subjectId', 'name code color')
+      .sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: {
+        events,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/calendar
+ * @desc    Add a holiday, break, exam period or cancellation
+ * @access  Private
+ */
+export const createCalendarEvent = async (req, res, next) => {
+  try {
+    const { title, type, startDate, endDate, subjectId } = req.body;
+
+    // Verify subject belongs to user
+    if (subjectId) {
+      const subject = await Subject.findOne({
+        _id: subjectId,
+        userId: req.user._id,
+      });
+
+      if (!subject) {
+        return next(new AppError('Subject not found', 404));
+      }
+    }
+
+    const event = await CalendarEvent.create({
+      userId: req.user._id,
+      title,
+      type,
+      startDate: startOfDay(startDate),
+      endDate: startOfDay(endDate || startDate),
+      subjectId: subjectId || null,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar event created successfully',
+      data: {
+        event,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/calendar/:id
+ * @desc    Update a calendar event
+ * @access  Private
+ */
+export const updateCalendarEvent = async (req, res, next) => {
+  try {
+    const event = await CalendarEvent.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!event) {
+      return next(new AppError('Calendar event not found', 404));
+    }
+
+    // If updating subject, verify it exists
+    if (req.body.subjectId) {
+      const subject = await Subject.findOne({
+        _id: req.body.subjectId,
+        userId: req.user._id,
+      });
+
+      if (!subject) {
+        return next(new AppError('Subject not found', 404));
+      }
+    }
+
+    if (req.body.title !== undefined) event.title = req.body.title;
+    if (req.body.type !== undefined) event.type = req.body.type;
+    if (req.body.subjectId !== undefined) event.subjectId = req.body.subjectId || null;
+    if (req.body.startDate) event.startDate = startOfDay(req.body.startDate);
+    if (req.body.endDate) event.endDate = startOfDay(req.body.endDate);
+
+    await event.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar event updated successfully',
+      data: {
+        event,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/calendar/:id
+ * @desc    Delete a calendar event
+ * @access  Private
+ */
+export const deleteCalendarEvent = async (req, res, next) => {
+  try {
+    const event = await CalendarEvent.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!event) {
+      return next(new AppError('Calendar event not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar event deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/calendar/import
+ * @desc    Import holidays and breaks from an iCalendar (.ics) file
+ * @access  Private
+ */
+export const importCalendar = async (req, res, next) => {
+  try {
+    // Accept a raw text/calendar body or JSON { ics, type }
+    const ics = typeof req.body === 'string' ? req.body : req.body.ics;
+    const type = typeof req.body === 'string' ? req.query.type : req.body.type;
+
+    let parsedEvents;
+    try {
+      parsedEvents = parseICS(ics, userTimeZone(req.user));
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+
+    let imported = 0;
+    let updated = 0;
+    const skipped = [];
+
+    for (const parsed of parsedEvents) {
+      if (parsed.rrule) {
+        skipped.push({
+          uid: parsed.uid,
+          title: parsed.summary,
+          reason: 'Recurring events are not supported',
+        });
+        continue;
+      }
+
+      const startDate = startOfDay(parsed.start);
+      let endDate = parsed.end ? startOfDay(parsed.end) : startDate;
+
+      // All-day DTEND is exclusive
+      if (parsed.allDay && parsed.end) {
+        endDate = addDays(endDate, -1);
+      }
+
+      if (endDate < startDate) endDate = startDate;
+
+      const eventData = {
+        userId: req.user._id,
+        title: (parsed.summary || 'Holiday').slice(0, 200),
+        type: type || classifyEvent(parsed.summary),
+        startDate,
+        endDate,
+        source: 'ics',
+        externalId: parsed.uid || null,
+      };
+
+      // Re-importing the same feed updates events instead of duplicating them
+      if (parsed.uid) {
+        const result = await CalendarEvent.updateOne(
+          { userId: req.user._id, externalId: parsed.uid },
+          { $set: eventData },
+          { upsert: true, runValidators: true }
+        );
+
+        if (result.upsertedCount > 0) {
+          imported++;
+        } else {
+          updated++;
+        }
+      } else {
+        await CalendarEvent.create(eventData);
+        imported++;
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${imported} event(s), updated ${updated}, skipped ${skipped.length}`,
+      data: {
+        imported,
+        updated,
+        skipped,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
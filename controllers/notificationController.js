@@ -0,0 +1,234 @@
+import User from '../models/User.js';
+import PushSubscription from '../models/PushSubscription.js';
+import LectureNotification from '../models/LectureNotification.js';
+import { generateSecureToken } from '../utils/tokenGenerator.js';
+import { isPushConfigured, deliverNotification } from '../utils/notificationChannels.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Describe a user's notification preferences for responses (never the webhook secret)
+ * @param {Object} user - User document
+ * @param {Number} pushDevices - Subscribed devices
+ * @returns {Object} Preferences and push setup
+ */
+const preferencesSummary = (user, pushDevices) => {
+  const { webhookSecret, ...preferences } = user.notifications.toObject();
+
+  return {
+    preferences,
+    push: {
+      available: isPushConfigured(),
+      vapidPublicKey: process.env.VAPID_PUBLIC_KEY || null,
+      devices: pushDevices,
+    },
+  };
+};
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get pre-lecture notification preferences and the Web Push public key
+ * @access  Private
+ */
+export const getNotificationPreferences = async (req, res, next) => {
+  try {
+    const pushDevices = await PushSubscription.countDocuments({ userId: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      data: preferencesSummary(req.user, pushDevices),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Update channels, lead time, quiet hours and webhook URL
+ * @access  Private
+ */
+export const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+notifications.webhookSecret');
+    const preferences = user.notifications;
+
+    const allowedUpdates = [
+      'enabled',
+      'channels',
+      'leadMinutes',
+      'quietHoursStart',
+      'quietHoursEnd',
+      'webhookUrl',
+    ];
+
+    allowedUpdates.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        preferences[field] = req.body[field];
+      }
+    });
+
+    if (preferences.channels.includes('webhook') && !preferences.webhookUrl) {
+      return next(new AppError('Set a webhook URL to use the webhook channel', 400));
+    }
+
+    if (preferences.channels.includes('push') && !isPushConfigured()) {
+      return next(new AppError('Push notifications are not available on this server', 400));
+    }
+
+    // A new webhook URL gets a new signing secret, shown only in this response
+    let webhookSecret;
+    if (user.isModified('notifications.webhookUrl')) {
+      webhookSecret = preferences.webhookUrl ? generateSecureToken() : undefined;
+      preferences.webhookSecret = webhookSecret;
+    }
+
+    await user.save();
+
+    const pushDevices = await PushSubscription.countDocuments({ userId: user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: {
+        ...preferencesSummary(user, pushDevices),
+        ...(webhookSecret && { webhookSecret }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/notifications/push-subscriptions
+ * @desc    Subscribe this browser or device to Web Push notifications
+ * @access  Private
+ */
+export const subscribePush = async (req, res, next) => {
+  try {
+    if (!isPushConfigured()) {
+      return next(new AppError('Push notifications are not available on this server', 400));
+    }
+
+    const { endpoint, keys } = req.body;
+
+    // An endpoint belongs to one browser, so it moves to whoever subscribes it last
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        userId: req.user._id,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        userAgent: req.get('user-agent') || null,
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Push notifications enabled on this device',
+      data: {
+        subscription: {
+          id: subscription._id,
+          endpoint: subscription.endpoint,
+          createdAt: subscription.createdAt,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/notifications/push-subscriptions
+ * @desc    Unsubscribe a device from Web Push notifications
+ * @access  Private
+ */
+export const unsubscribePush = async (req, res, next) => {
+  try {
+    const result = await PushSubscription.deleteOne({
+      endpoint: req.body.endpoint,
+      userId: req.user._id,
+    });
+
+    if (result.deletedCount === 0) {
+      return next(new AppError('Push subscription not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Push notifications disabled on this device',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/notifications/test
+ * @desc    Send a test notification on the chosen channels
+ * @access  Private
+ */
+export const sendTestNotification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+notifications.webhookSecret');
+    const channels = req.body.channels || user.notifications.channels;
+
+    if (channels.length === 0) {
+      return next(new AppError('No notification channels are selected', 400));
+    }
+
+    const deliveries = await deliverNotification(
+      user,
+      {
+        type: 'test',
+        title: 'Test notification',
+        body: 'Lecture reminders will arrive like this one.',
+        url: `${process.env.FRONTEND_URL}/settings`,
+        data: {},
+      },
+      channels
+    );
+
+    const failed = Object.keys(deliveries).filter((channel) => !deliveries[channel].ok);
+
+    res.status(200).json({
+      success: true,
+      message:
+        failed.length === 0
+          ? 'Test notification sent'
+          : `Test notification failed on: ${failed.join(', ')}`,
+      data: {
+        deliveries,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/notifications/history
+ * @desc    Get the pre-lecture notifications sent in the last 30 days
+ * @access  Private
+ */
+export const getNotificationHistory = async (req, res, next) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const notifications = await LectureNotification.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .populate('subjectId', 'name code color');
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      data: {
+        notifications,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,27 @@
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Semester from '../models/Semester.js';
+import Subject from '../models/Subject.js';
+import DailyAttendance from '../models/DailyAttendance.js';
+import { revokeSessions } from '../utils/sessionUtils.js';
+import { counterIncrement } from '../utils/subjectCounters.js';
+import { runInTransaction } from '../utils/transaction.js';
+import {
+  buildAccountExport,
+  buildAttendanceRegisterCSV,
+  buildAttendanceReport,
+  renderAttendanceReportPDF,
+} from '../utils/accountExport.js';
+import { toDateKey, addDays, userToday, startOfUserDay } from '../utils/academicCalendar.js';
+import { getDeletionGraceDays } from '../utils/accountDeletion.js';
+import { generateSecureToken, hashString } from '../utils/tokenGenerator.js';
+import { sendAccountDeletionEmail } from '../utils/emailService.js';
+import {
+  BUILT_IN_STATUSES,
+  DEFAULT_ATTENDANCE_STATUSES,
+  getStatusRules,
+  getStatusCounts,
+} from '../utils/attendanceStatus.js';
 import { AppError } from '../middleware/errorHandler.js';
 
 /**
@@ -34,6 +57,10 @@ export const updateProfile = async (req, res, next) => {
     const allowedUpdates = [
       'name',
       'college',
+      'batch',
+      'timezone',
+      'attendanceDigest',
+      'weeklyReport',
       'semesterStart',
       'semesterEnd',
       'currentOverallAttendance',
@@ -47,8 +74,24 @@ export const updateProfile = async (req, res, next) => {
       }
     });
 
+    // Read semester dates in the (possibly just updated) time zone
+    ['semesterStart', 'semesterEnd'].forEach((field) => {
+      if (req.body[field]) user[field] = startOfUserDay(req.body[field], user);
+    });
+
     await user.save();
 
+    // Semester dates belong to the active semester when there is one
+    if (user.activeSemester && (req.body.semesterStart || req.body.semesterEnd)) {
+      const semester = await Semester.findById(user.activeSemester);
+
+      if (semester && !semester.isClosed) {
+        semester.startDate = user.semesterStart;
+        semester.endDate = user.semesterEnd;
+        await semester.save();
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -106,6 +149,49 @@ export const changePassword = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/profile/export
+ * @desc    Export account data as JSON, a CSV attendance register or a PDF report
+ * @access  Private
+ */
+export const exportAccount = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+    const filename = `bunk-buzz-${format === 'pdf' ? 'report' : 'export'}-${toDateKey(userToday(req.user))}`;
+
+    if (format === 'csv') {
+      const csv = await buildAttendanceRegisterCSV(req.user, req.semesterId, req.query.subjectId);
+
+      if (csv === null) {
+        return next(new AppError('Subject not found', 404));
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.status(200).send(csv);
+    }
+
+    if (format === 'pdf') {
+      const report = await buildAttendanceReport(req.user, req.semesterId);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      res.status(200);
+      return renderAttendanceReportPDF(report).pipe(res);
+    }
+
+    const data = await buildAccountExport(req.user);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   DELETE /api/profile
  * @desc    Deactivate account
@@ -116,9 +202,11 @@ export const deactivateAccount = async (req, res, next) => {
     const user = await User.findById(req.user._id);
 
     user.isActive = false;
-    user.refreshToken = null;
     await user.save();
 
+    // Log out all devices
+    await revokeSessions({ userId: user._id }, 'deactivated');
+
     res.status(200).json({
       success: true,
       message: 'Account deactivated successfully',
@@ -127,3 +215,212 @@ export const deactivateAccount = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * @route   POST /api/profile/deletion
+ * @desc    Request permanent account deletion after a grace period
+ * @access  Private
+ */
+export const requestAccountDeletion = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    // Accounts with a password must confirm it
+    if (user.password) {
+      if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+        return next(new AppError('Password is incorrect', 401));
+      }
+    }
+
+    const token = generateSecureToken();
+    const scheduledFor = addDays(new Date(), getDeletionGraceDays());
+
+    // Store only the hash of the cancel token, like password reset tokens
+    user.isActive = false;
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = scheduledFor;
+    user.deletionCancelToken = hashString(token);
+    await user.save();
+
+    // Log out all devices
+    await revokeSessions({ userId: user._id }, 'deletion_requested');
+
+    const emailSent = await sendAccountDeletionEmail(user.email, user.name, token, scheduledFor);
+
+    res.status(200).json({
+      success: true,
+      message: `Account scheduled for deletion on ${scheduledFor.toDateString()}`,
+      data: {
+        deletionScheduledFor: scheduledFor,
+        emailSent,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/profile/attendance-statuses
+ * @desc    Get attendance statuses and their counting rules
+ * @access  Private
+ */
+export const getAttendanceStatuses = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        statuses: Object.values(getStatusRules(req.user)),
+        builtIn: BUILT_IN_STATUSES,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/profile/attendance-statuses
+ * @desc    Replace attendance statuses and recount subjects whose rules changed
+ * @access  Private
+ */
+export const updateAttendanceStatuses = async (req, res, next) => {
+  try {
+    const keys = req.body.statuses.map((status) => status.key);
+    if (new Set(keys).size !== keys.length) {
+      return next(new AppError('Status keys must be unique', 400));
+    }
+
+    // Built-in statuses keep their rules; only the label can change
+    const statuses = req.body.statuses.map((status) => {
+      const builtIn = DEFAULT_ATTENDANCE_STATUSES.find(
+        (s) => s.key === status.key && BUILT_IN_STATUSES.includes(s.key)
+      );
+
+      return builtIn
+        ? { ...builtIn, label: status.label }
+        : {
+            key: status.key,
+            label: status.label,
+            countsTowardTotal: status.countsTowardTotal,
+            countsAsAttended: status.countsAsAttended,
+          };
+    });
+
+    DEFAULT_ATTENDANCE_STATUSES
+      .filter((status) => BUILT_IN_STATUSES.includes(status.key) && !keys.includes(status.key))
+      .forEach((status) => statuses.unshift({ ...status }));
+
+    const newRules = getStatusRules({ attendanceStatuses: statuses });
+
+    // The old rules, the in-use check and the recount are read in the same
+    // transaction as the writes, so records marked meanwhile can't be miscounted
+    const { changed, subjectsUpdated } = await runInTransaction(async (session) => {
+      const user = await User.findById(req.user._id).session(session);
+      const oldRules = getStatusRules(user);
+
+      // Statuses that are still used by records cannot be removed
+      const removed = Object.keys(oldRules).filter((key) => !newRules[key]);
+      if (removed.length > 0) {
+        const inUse = await DailyAttendance.distinct('status', {
+          userId: user._id,
+          status: { $in: removed },
+        }).session(session);
+
+        if (inUse.length > 0) {
+          throw new AppError(`Cannot remove statuses that are in use: ${inUse.join(', ')}`, 400);
+        }
+      }
+
+      // Recount subjects for statuses whose counting rules changed
+      const changed = Object.keys(newRules).filter((key) => {
+        if (!oldRules[key]) return false;
+        const before = getStatusCounts(key, oldRules);
+        const after = getStatusCounts(key, newRules);
+        return (
+          before.totalLectures !== after.totalLectures ||
+          before.attendedLectures !== after.attendedLectures
+        );
+      });
+
+      let operations = [];
+      let subjectsUpdated = 0;
+
+      if (changed.length > 0) {
+        const usage = await DailyAttendance.aggregate([
+          { $match: { userId: user._id, status: { $in: changed } } },
+          // Records covered by a subject's baseline don't count toward its counters
+          {
+            $lookup: {
+              from: Subject.collection.name,
+              localField: 'subjectId',
+              foreignField: '_id',
+              pipeline: [{ $project: { asOf: '$baseline.asOf' } }],
+              as: 'subject',
+            },
+          },
+          {
+            $match: {
+              $expr: {
+                $let: {
+                  vars: { asOf: { $first: '$subject.asOf' } },
+                  in: { $or: [{ $not: ['$$asOf'] }, { $gt: ['$date', '$$asOf'] }] },
+                },
+              },
+            },
+          },
+          { $group: { _id: { subjectId: '$subjectId', status: '$status' }, count: { $sum: 1 } } },
+        ]).session(session);
+
+        const increments = {};
+        usage.forEach(({ _id, count }) => {
+          const before = getStatusCounts(_id.status, oldRules);
+          const after = getStatusCounts(_id.status, newRules);
+          const key = _id.subjectId.toString();
+
+          increments[key] = increments[key] || { totalLectures: 0, attendedLectures: 0 };
+          increments[key].totalLectures += (after.totalLectures - before.totalLectures) * count;
+          increments[key].attendedLectures += (after.attendedLectures - before.attendedLectures) * count;
+        });
+
+        operations = Object.entries(increments).map(([subjectId, inc]) => ({
+          updateOne: {
+            filter: { _id: subjectId, userId: user._id },
+            update: counterIncrement(inc),
+          },
+        }));
+      }
+
+      // Match the version read above so a concurrent rules change aborts this one;
+      // without a replica set this check is the only guard, so it runs first
+      const saved = await User.updateOne(
+        { _id: user._id, __v: user.__v },
+        { $set: { attendanceStatuses: statuses }, $inc: { __v: 1 } },
+        { session, runValidators: true }
+      );
+
+      if (saved.modifiedCount === 0) {
+        throw new mongoose.Error.VersionError(user, user.__v, ['attendanceStatuses']);
+      }
+
+      if (operations.length > 0) {
+        const result = await Subject.bulkWrite(operations, { session });
+        subjectsUpdated = result.modifiedCount;
+      }
+
+      return { changed, subjectsUpdated };
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance statuses updated successfully',
+      data: {
+        statuses: Object.values(newRules),
+        changedRules: changed,
+        subjectsUpdated,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
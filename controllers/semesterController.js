@@ -0,0 +1,311 @@
+import Semester from '../models/Semester.js';
+import Subject from '../models/Subject.js';
+import Timetable from '../models/Timetable.js';
+import TimetableOverride from '../models/TimetableOverride.js';
+import DailyAttendance from '../models/DailyAttendance.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { calculatePercentage } from '../utils/attendanceMath.js';
+
+/**
+ * Make a semester the user's active semester
+ * @param {Object} user - User document
+ * @param {Object} semester - Semester document
+ */
+const setActiveSemester = async (user, semester) => {
+  // The first semester adopts everything created before semesters existed
+  if (!user.activeSemester) {
+    const orphanFilter = { userId: user._id, semesterId: null };
+    const update = { semesterId: semester._id };
+
+    await Promise.all([
+      Subject.updateMany(orphanFilter, update),
+      Timetable.updateMany(orphanFilter, update),
+      TimetableOverride.updateMany(orphanFilter, update),
+      DailyAttendance.updateMany(orphanFilter, update),
+    ]);
+  }
+
+  user.activeSemester = semester._id;
+  user.semesterStart = semester.startDate;
+  user.semesterEnd = semester.endDate;
+  await user.save();
+};
+
+/**
+ * @route   GET /api/semesters
+ * @desc    Get all semesters for logged-in user
+ * @access  Private
+ */
+export const getSemesters = async (req, res, next) => {
+  try {
+    const semesters = await Semester.find({ userId: req.user._id }).sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: semesters.length,
+      data: {
+        semesters,
+        activeSemester: req.user.activeSemester,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/semesters/:id
+ * @desc    Get single semester with a summary of its data
+ * @access  Private
+ */
+export const getSemesterById = async (req, res, next) => {
+  try {
+    const semester = await Semester.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!semester) {
+      return next(new AppError('Semester not found', 404));
+    }
+
+    const filter = { userId: req.user._id, semesterId: semester._id };
+
+    const [subjects, timetableEntries, attendanceRecords] = await Promise.all([
+      Subject.find({ ...filter, isActive: true }),
+      Timetable.countDocuments({ ...filter, isActive: true }),
+      DailyAttendance.countDocuments(filter),
+    ]);
+
+    const totalLectures = subjects.reduce((sum, s) => sum + s.totalLectures, 0);
+    const totalAttended = subjects.reduce((sum, s) => sum + s.attendedLectures, 0);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        semester,
+        isActive: semester._id.equals(req.user.activeSemester),
+        summary: {
+          subjects: subjects.length,
+          timetableEntries,
+          attendanceRecords,
+          totalLectures,
+          totalAttended,
+          overallAttendance: calculatePercentage(totalAttended, totalLectures),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/semesters
+ * @desc    Create a new semester
+ * @access  Private
+ */
+export const createSemester = async (req, res, next) => {
+  try {
+    const { name, startDate, endDate, activate } = req.body;
+
+    const semester = await Semester.create({
+      userId: req.user._id,
+      name,
+      startDate,
+      endDate,
+    });
+
+    // A user's first semester always becomes the active one
+    if (activate || !req.user.activeSemester) {
+      await setActiveSemester(req.user, semester);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Semester created successfully',
+      data: {
+        semester,
+        isActive: semester._id.equals(req.user.activeSemester),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/semesters/:id
+ * @desc    Update a semester
+ * @access  Private
+ */
+export const updateSemester = async (req, res, next) => {
+  try {
+    const semester = await Semester.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!semester) {
+      return next(new AppError('Semester not found', 404));
+    }
+
+    if (semester.isClosed) {
+      return next(new AppError('Closed semesters are read-only', 400));
+    }
+
+    // Update fields
+    const allowedUpdates = ['name', 'startDate', 'endDate'];
+
+    allowedUpdates.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        semester[field] = req.body[field];
+      }
+    });
+
+    // Only one date may have changed, so the range is checked against the stored one
+    if (semester.endDate <= semester.startDate) {
+      return next(new AppError('End date must be after start date', 400));
+    }
+
+    await semester.save();
+
+    // Keep the user's semester dates in sync
+    if (semester._id.equals(req.user.activeSemester)) {
+      req.user.semesterStart = semester.startDate;
+      req.user.semesterEnd = semester.endDate;
+      await req.user.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Semester updated successfully',
+      data: {
+        semester,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/semesters/:id
+ * @desc    Delete an empty semester
+ * @access  Private
+ */
+export const deleteSemester = async (req, res, next) => {
+  try {
+    const semester = await Semester.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!semester) {
+      return next(new AppError('Semester not found', 404));
+    }
+
+    const subjectCount = await Subject.countDocuments({
+      userId: req.user._id,
+      semesterId: semester._id,
+    });
+
+    if (subjectCount > 0) {
+      return next(
+        new AppError('Cannot delete a semester that has subjects. Close it instead.', 400)
+      );
+    }
+
+    await Semester.deleteOne({ _id: semester._id });
+
+    if (semester._id.equals(req.user.activeSemester)) {
+      req.user.activeSemester = null;
+      await req.user.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Semester deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/semesters/:id/activate
+ * @desc    Switch the active semester
+ * @access  Private
+ */
+export const activateSemester = async (req, res, next) => {
+  try {
+    const semester = await Semester.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!semester) {
+      return next(new AppError('Semester not found', 404));
+    }
+
+    if (semester.isClosed) {
+      return next(new AppError('Cannot activate a closed semester', 400));
+    }
+
+    await setActiveSemester(req.user, semester);
+
+    res.status(200).json({
+      success: true,
+      message: 'Semester activated successfully',
+      data: {
+        semester,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/semesters/:id/close
+ * @desc    Close a semester and archive its data as read-only
+ * @access  Private
+ */
+export const closeSemester = async (req, res, next) => {
+  try {
+    const semester = await Semester.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!semester) {
+      return next(new AppError('Semester not found', 404));
+    }
+
+    if (semester.isClosed) {
+      return next(new AppError('Semester is already closed', 400));
+    }
+
+    semester.status = 'closed';
+    semester.closedAt = new Date();
+    await semester.save();
+
+    // Archived data is only reachable with ?semesterId= from now on
+    if (semester._id.equals(req.user.activeSemester)) {
+      req.user.activeSemester = null;
+      req.user.semesterStart = null;
+      req.user.semesterEnd = null;
+      await req.user.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Semester closed successfully. Its data is now archived.',
+      data: {
+        semester,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,17 @@
 import Subject from '../models/Subject.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { calculatePercentage, meetsMinimum } from '../utils/attendanceMath.js';
+import { getStatusRules } from '../utils/attendanceStatus.js';
+import { startOfDay } from '../utils/academicCalendar.js';
+import {
+  reconcileSubject as reconcileSubjectCounters,
+  resyncBaseline,
+} from '../utils/subjectCounters.js';
+import {
+  getSemesterEnd,
+  countRemainingLectures,
+  projectAttendance,
+} from '../utils/attendanceProjection.js';
 
 /**
  * @route   GET /api/subjects
@@ -10,6 +22,7 @@ export const getSubjects = async (req, res, next) => {
   try {
     const subjects = await Subject.find({
       userId: req.user._id,
+      semesterId: req.semesterId,
       isActive: true,
     }).sort({ createdAt: -1 });
 
@@ -22,9 +35,7 @@ export const getSubjects = async (req, res, next) => {
       totalAttended += subject.attendedLectures;
     });
 
-    const overallAttendance = totalLectures > 0 
-      ? Number(((totalAttended / totalLectures) * 100).toFixed(2))
-      : 0;
+    const overallAttendance = calculatePercentage(totalAttended, totalLectures);
 
     res.status(200).json({
       success: true,
@@ -51,6 +62,7 @@ export const getSubjectById = async (req, res, next) => {
     const subject = await Subject.findOne({
       _id: req.params.id,
       userId: req.user._id,
+      semesterId: req.semesterId,
     });
 
     if (!subject) {
@@ -75,9 +87,26 @@ export const getSubjectById = async (req, res, next) => {
  */
 export const createSubject = async (req, res, next) => {
   try {
+    const {
+      totalLectures = 0,
+      attendedLectures = 0,
+      baselineAsOf,
+      baseline: _baseline,
+      ...fields
+    } = req.body;
+
+    // Starting counts (e.g. from the college portal) become the baseline
     const subjectData = {
-      ...req.body,
+      ...fields,
       userId: req.user._id,
+      semesterId: req.semesterId,
+      baseline: {
+        totalLectures,
+        attendedLectures,
+        asOf: baselineAsOf ? startOfDay(baselineAsOf) : null,
+      },
+      totalLectures,
+      attendedLectures,
     };
 
     const subject = await Subject.create(subjectData);
@@ -104,18 +133,31 @@ export const updateSubject = async (req, res, next) => {
     const subject = await Subject.findOne({
       _id: req.params.id,
       userId: req.user._id,
+      semesterId: req.semesterId,
     });
 
     if (!subject) {
       return next(new AppError('Subject not found', 404));
     }
 
+    // Counters are derived from the baseline and tracked records
+    const countersChanged = ['totalLectures', 'attendedLectures'].some(
+      (field) => req.body[field] !== undefined && Number(req.body[field]) !== subject[field]
+    );
+
+    if (countersChanged) {
+      return next(
+        new AppError(
+          'Lecture counts cannot be edited directly. Use POST /api/subjects/:id/resync to update the baseline.',
+          400
+        )
+      );
+    }
+
     // Update fields
     const allowedUpdates = [
       'name',
       'code',
-      'totalLectures',
-      'attendedLectures',
       'minimumAttendance',
       'color',
       'faculty',
@@ -151,6 +193,7 @@ export const deleteSubject = async (req, res, next) => {
     const subject = await Subject.findOne({
       _id: req.params.id,
       userId: req.user._id,
+      semesterId: req.semesterId,
     });
 
     if (!subject) {
@@ -180,6 +223,7 @@ export const getSubjectStats = async (req, res, next) => {
     const subject = await Subject.findOne({
       _id: req.params.id,
       userId: req.user._id,
+      semesterId: req.semesterId,
     });
 
     if (!subject) {
@@ -193,10 +237,33 @@ export const getSubjectStats = async (req, res, next) => {
       totalLectures: subject.totalLectures,
       attendedLectures: subject.attendedLectures,
       missedLectures: subject.totalLectures - subject.attendedLectures,
+      baseline: subject.baseline,
+      tracked: subject.tracked,
       minimumAttendance: subject.minimumAttendance,
-      isAboveMinimum: subject.attendancePercentage >= subject.minimumAttendance,
+      isAboveMinimum: meetsMinimum(
+        subject.attendedLectures,
+        subject.totalLectures,
+        subject.minimumAttendance
+      ),
+      projection: null,
     };
 
+    // Remaining-semester projection needs a semester end date
+    const semesterEnd = await getSemesterEnd(req.user, req.semesterId);
+    if (semesterEnd) {
+      const remaining = await countRemainingLectures({
+        userId: req.user._id,
+        semesterId: req.semesterId,
+        semesterEnd,
+        batch: req.user.batch,
+        timezone: req.user.timezone,
+      });
+      stats.projection = {
+        semesterEnd,
+        ...projectAttendance(subject, remaining[subject._id.toString()] || 0),
+      };
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -208,3 +275,85 @@ export const getSubjectStats = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * @route   POST /api/subjects/:id/resync
+ * @desc    Replace the baseline with a newer portal figure, keeping tracked records
+ * @access  Private
+ */
+export const resyncSubject = async (req, res, next) => {
+  try {
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      semesterId: req.semesterId,
+    });
+
+    if (!subject) {
+      return next(new AppError('Subject not found', 404));
+    }
+
+    const { totalLectures, attendedLectures, asOf } = req.body;
+
+    const updated = await resyncBaseline(
+      subject._id,
+      {
+        totalLectures: Number(totalLectures),
+        attendedLectures: Number(attendedLectures),
+        asOf: startOfDay(asOf),
+      },
+      getStatusRules(req.user)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Subject re-synced with portal figures',
+      data: {
+        subject: updated,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/subjects/:id/reconcile
+ * @desc    Recompute a subject's counters from its attendance records
+ * @access  Private
+ */
+export const reconcileSubject = async (req, res, next) => {
+  try {
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      semesterId: req.semesterId,
+    });
+
+    if (!subject) {
+      return next(new AppError('Subject not found', 404));
+    }
+
+    // Report only unless asked to fix
+    const report = await reconcileSubjectCounters(subject, getStatusRules(req.user), {
+      fix: req.body.fix === true || req.body.fix === 'true',
+    });
+
+    let message = 'Counters match attendance records';
+    if (!report.inSync) {
+      message = report.fixed
+        ? 'Counters recomputed from attendance records'
+        : 'Counters differ from attendance records';
+    }
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: {
+        report,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
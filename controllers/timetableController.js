@@ -1,6 +1,154 @@
 import Timetable from '../models/Timetable.js';
+import TimetableOverride from '../models/TimetableOverride.js';
 import Subject from '../models/Subject.js';
+import User from '../models/User.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { generateSecureToken, hashString } from '../utils/tokenGenerator.js';
+import { parseICS } from '../utils/icsParser.js';
+import { buildTimetableICS, planTimetableImport } from '../utils/timetableICS.js';
+import { matchSubject } from '../utils/attendanceImport.js';
+import {
+  startOfDay,
+  addDays,
+  toDateKey,
+  occursOn,
+  canCoincide,
+  batchFilter,
+  getCalendarEvents,
+  findCancellingEvent,
+  sortByWeek,
+  dayName,
+  userToday,
+} from '../utils/academicCalendar.js';
+import { userTimeZone } from '../utils/timezone.js';
+import { getOverrides, getDaySessions } from '../utils/timetableOverrides.js';
+import { validateWeek, findFreeSlots, findWeeklyFreeSlots } from '../utils/timetableWeek.js';
+import { toMinutes, slotsOverlap } from '../utils/timeOfDay.js';
+
+/**
+ * Build an entry's recurrence rule from a request, anchoring week counting
+ * to the start of the range, else the semester, else the current week
+ * @param {Object} user - User document
+ * @param {Object} input - Recurrence fields from the request body
+ * @param {Object} current - Entry's current recurrence rule
+ * @returns {Object} Recurrence rule
+ */
+const buildRecurrence = (user, input = {}, current = {}) => {
+  const rule = { ...current, ...input };
+
+  ['anchorDate', 'validFrom', 'validUntil'].forEach((field) => {
+    if (rule[field]) rule[field] = startOfDay(rule[field]);
+  });
+  rule.exceptionDates = (rule.exceptionDates || []).map((date) => startOfDay(date));
+
+  if (!rule.anchorDate) {
+    rule.anchorDate = rule.validFrom || (user.semesterStart ? startOfDay(user.semesterStart) : userToday(user));
+  }
+
+  return rule;
+};
+
+/**
+ * Find active entries, and upcoming extra or moved lectures, that overlap
+ * a time slot on days both are held
+ * @param {Object} req - Request
+ * @param {Object} candidate - Entry being saved
+ * @returns {Array} Conflicting entries and overrides
+ */
+const findConflicts = async (req, candidate) => {
+  const slot = {
+    startMinutes: { $lt: toMinutes(candidate.endTime) },
+    endMinutes: { $gt: toMinutes(candidate.startTime) },
+  };
+  const today = userToday(req.user);
+
+  const [overlapping, overrides] = await Promise.all([
+    Timetable.find({
+      userId: req.user._id,
+      semesterId: req.semesterId,
+      dayOfWeek: candidate.dayOfWeek,
+      isActive: true,
+      _id: { $ne: candidate._id },
+      ...slot,
+    }).populate('subjectId', 'name'),
+    TimetableOverride.find({
+      userId: req.user._id,
+      semesterId: req.semesterId,
+      $or: [
+        { type: 'add', date: { $gte: today } },
+        { type: 'move', toDate: { $gte: today } },
+      ],
+      ...slot,
+    }).populate('subjectId', 'name'),
+  ]);
+
+  return [
+    ...overlapping.filter((entry) => canCoincide(entry, candidate)),
+    ...overrides.filter(
+      (override) =>
+        !override.timetableEntryId?.equals(candidate._id) &&
+        occursOn(candidate, override.type === 'add' ? override.date : override.toDate)
+    ),
+  ];
+};
+
+/**
+ * Find the sessions of a day that overlap a time slot, overrides included
+ * @param {Object} req - Request
+ * @param {Date} day - Day the lecture is held
+ * @param {Object} slot - startTime and endTime
+ * @param {ObjectId} ignoreEntryId - Timetable entry being moved
+ * @returns {Array} Conflicting sessions
+ */
+const findSessionConflicts = async (req, day, slot, ignoreEntryId = null) => {
+  const sessions = await getDaySessions(req.user, req.semesterId, day, { populate: 'name' });
+
+  return sessions.filter(
+    (session) =>
+      !session.cancelled &&
+      !(ignoreEntryId && session.timetableEntryId?.equals(ignoreEntryId)) &&
+      slotsOverlap(session, slot)
+  );
+};
+
+/**
+ * Build the error for a clash, naming the lecture it clashes with
+ * @param {Array} conflicts - Conflicting entries, overrides or sessions
+ * @param {Date} day - Day of the clash, for sessions
+ * @returns {AppError} Error
+ */
+const conflictError = ([conflict], day = null) => {
+  const heldDate = conflict.type === 'move' ? conflict.toDate : conflict.date;
+  const heldOn = conflict.dayOfWeek || toDateKey(day || heldDate);
+  const subject = conflict.subjectId?.name || 'another lecture';
+
+  return new AppError(
+    `Time slot conflicts with ${subject} on ${heldOn}, ${conflict.startTime}-${conflict.endTime}`,
+    400
+  );
+};
+
+/**
+ * Shape a timetable entry for list responses
+ * @param {Object} entry - Timetable entry with populated subject
+ * @returns {Object} Entry with both 'day' and 'dayOfWeek' for compatibility
+ */
+const formatEntry = (entry) => ({
+  _id: entry._id,
+  day: entry.dayOfWeek,
+  dayOfWeek: entry.dayOfWeek,
+  subjectId: entry.subjectId._id,
+  subjectName: entry.subjectId.name,
+  subjectCode: entry.subjectId.code,
+  color: entry.subjectId.color,
+  startTime: entry.startTime,
+  endTime: entry.endTime,
+  room: entry.room,
+  lectureType: entry.lectureType,
+  batch: entry.batch,
+  recurrence: entry.recurrence,
+});
 
 /**
  * @route   GET /api/timetable
@@ -13,6 +161,7 @@ export const getTimetable = async (req, res, next) => {
 
     const filter = {
       userId: req.user._id,
+      semesterId: req.semesterId,
       isActive: true,
     };
 
@@ -22,22 +171,9 @@ export const getTimetable = async (req, res, next) => {
 
     const timetable = await Timetable.find(filter)
       .populate('subjectId', 'name code color')
-      .sort({ dayOfWeek: 1, startTime: 1 });
-
-    // Map the timetable to include both 'day' and 'dayOfWeek' for compatibility
-    const mappedTimetable = timetable.map(entry => ({
-      _id: entry._id,
-      day: entry.dayOfWeek,
-      dayOfWeek: entry.dayOfWeek,
-      subjectId: entry.subjectId._id,
-      subjectName: entry.subjectId.name,
-      subjectCode: entry.subjectId.code,
-      color: entry.subjectId.color,
-      startTime: entry.startTime,
-      endTime: entry.endTime,
-      room: entry.room,
-      lectureType: entry.lectureType,
-    }));
+      .sort({ startMinutes: 1 });
+
+    const mappedTimetable = sortByWeek(timetable).map(formatEntry);
 
     // Group by day
     const groupedByDay = mappedTimetable.reduce((acc, entry) => {
@@ -71,6 +207,7 @@ export const getTimetableById = async (req, res, next) => {
     const entry = await Timetable.findOne({
       _id: req.params.id,
       userId: req.user._id,
+      semesterId: req.semesterId,
     }).populate('subjectId', 'name code color');
 
     if (!entry) {
@@ -95,43 +232,41 @@ export const getTimetableById = async (req, res, next) => {
  */
 export const createTimetableEntry = async (req, res, next) => {
   try {
-    const { subjectId, dayOfWeek, startTime, endTime, room, lectureType } = req.body;
+    const { subjectId, dayOfWeek, startTime, endTime, room, lectureType, batch } = req.body;
 
     // Verify subject belongs to user
     const subject = await Subject.findOne({
       _id: subjectId,
       userId: req.user._id,
+      semesterId: req.semesterId,
     });
 
     if (!subject) {
       return next(new AppError('Subject not found', 404));
     }
 
-    // Check for time conflicts
-    const conflicts = await Timetable.find({
-      userId: req.user._id,
+    const candidate = {
       dayOfWeek,
-      isActive: true,
-      $or: [
-        {
-          startTime: { $lt: endTime },
-          endTime: { $gt: startTime },
-        },
-      ],
-    });
+      startTime,
+      endTime,
+      batch: batch || null,
+      recurrence: buildRecurrence(req.user, req.body.recurrence),
+    };
+
+    // Check for time conflicts on days both entries are held
+    const conflicts = await findConflicts(req, candidate);
 
     if (conflicts.length > 0) {
-      return next(new AppError('Time slot conflicts with existing entry', 400));
+      return next(conflictError(conflicts));
     }
 
     const entry = await Timetable.create({
       userId: req.user._id,
+      semesterId: req.semesterId,
       subjectId,
-      dayOfWeek,
-      startTime,
-      endTime,
       room,
       lectureType,
+      ...candidate,
     });
 
     const populatedEntry = await Timetable.findById(entry._id).populate(
@@ -161,6 +296,7 @@ export const updateTimetableEntry = async (req, res, next) => {
     const entry = await Timetable.findOne({
       _id: req.params.id,
       userId: req.user._id,
+      semesterId: req.semesterId,
     });
 
     if (!entry) {
@@ -172,6 +308,7 @@ export const updateTimetableEntry = async (req, res, next) => {
       const subject = await Subject.findOne({
         _id: req.body.subjectId,
         userId: req.user._id,
+        semesterId: req.semesterId,
       });
 
       if (!subject) {
@@ -179,27 +316,29 @@ export const updateTimetableEntry = async (req, res, next) => {
       }
     }
 
-    // Check for time conflicts if time is being updated
-    if (req.body.startTime || req.body.endTime || req.body.dayOfWeek) {
-      const dayOfWeek = req.body.dayOfWeek || entry.dayOfWeek;
-      const startTime = req.body.startTime || entry.startTime;
-      const endTime = req.body.endTime || entry.endTime;
+    const recurrence = req.body.recurrence
+      ? buildRecurrence(req.user, req.body.recurrence, entry.toObject().recurrence)
+      : entry.recurrence;
 
-      const conflicts = await Timetable.find({
-        userId: req.user._id,
-        dayOfWeek,
-        isActive: true,
-        _id: { $ne: entry._id },
-        $or: [
-          {
-            startTime: { $lt: endTime },
-            endTime: { $gt: startTime },
-          },
-        ],
+    // Check for time conflicts if the slot or the days it is held change
+    if (
+      req.body.startTime ||
+      req.body.endTime ||
+      req.body.dayOfWeek ||
+      req.body.recurrence ||
+      req.body.batch !== undefined
+    ) {
+      const conflicts = await findConflicts(req, {
+        _id: entry._id,
+        dayOfWeek: req.body.dayOfWeek || entry.dayOfWeek,
+        startTime: req.body.startTime || entry.startTime,
+        endTime: req.body.endTime || entry.endTime,
+        batch: req.body.batch !== undefined ? req.body.batch || null : entry.batch,
+        recurrence,
       });
 
       if (conflicts.length > 0) {
-        return next(new AppError('Time slot conflicts with existing entry', 400));
+        return next(conflictError(conflicts));
       }
     }
 
@@ -211,6 +350,7 @@ export const updateTimetableEntry = async (req, res, next) => {
       'endTime',
       'room',
       'lectureType',
+      'batch',
     ];
 
     allowedUpdates.forEach((field) => {
@@ -219,6 +359,10 @@ export const updateTimetableEntry = async (req, res, next) => {
       }
     });
 
+    if (req.body.recurrence) {
+      entry.recurrence = recurrence;
+    }
+
     await entry.save();
 
     const populatedEntry = await Timetable.findById(entry._id).populate(
@@ -248,6 +392,7 @@ export const deleteTimetableEntry = async (req, res, next) => {
     const entry = await Timetable.findOne({
       _id: req.params.id,
       userId: req.user._id,
+      semesterId: req.semesterId,
     });
 
     if (!entry) {
@@ -274,23 +419,604 @@ export const deleteTimetableEntry = async (req, res, next) => {
  */
 export const getTodayTimetable = async (req, res, next) => {
   try {
-    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const today = days[new Date().getDay()];
+    const todayDate = userToday(req.user);
+    const today = dayName(todayDate);
 
-    const timetable = await Timetable.find({
-      userId: req.user._id,
-      dayOfWeek: today,
-      isActive: true,
-    })
-      .populate('subjectId', 'name code color')
-      .sort({ startTime: 1 });
+    // Entries whose recurrence rule falls on today, with today's overrides applied
+    const sessions = await getDaySessions(req.user, req.semesterId, todayDate, {
+      populate: 'name code color',
+    });
+
+    // Skip lectures cancelled by holidays, breaks or one-off cancellations
+    const events = await getCalendarEvents(req.user._id, todayDate, todayDate);
+    const holiday = findCancellingEvent(events, todayDate);
+
+    const timetable = [];
+    const cancelled = [];
+
+    sessions.forEach((entry) => {
+      const event = findCancellingEvent(events, todayDate, entry.subjectId);
+      if (entry.cancelled) {
+        cancelled.push({ entry, reason: entry.cancelled, type: 'override' });
+      } else if (event) {
+        cancelled.push({ entry, reason: event.title, type: event.type });
+      } else {
+        timetable.push(entry);
+      }
+    });
 
     res.status(200).json({
       success: true,
       day: today,
       count: timetable.length,
+      isTeachingDay: !holiday,
+      holiday: holiday
+        ? { title: holiday.title, type: holiday.type, endDate: holiday.endDate }
+        : null,
       data: {
         timetable,
+        cancelled,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/timetable/free-slots
+ * @desc    Get the free windows between lectures for each day of the week,
+ *          or for one date with its overrides and holidays applied
+ *          (?day, ?date, ?from and ?to bound the day, ?minMinutes)
+ * @access  Private
+ */
+export const getFreeSlots = async (req, res, next) => {
+  try {
+    const options = {
+      from: req.query.from || '08:00',
+      to: req.query.to || '18:00',
+      minMinutes: req.query.minMinutes || 30,
+    };
+
+    if (req.query.date) {
+      const day = startOfDay(req.query.date);
+      const [sessions, events] = await Promise.all([
+        getDaySessions(req.user, req.semesterId, day),
+        getCalendarEvents(req.user._id, day, day),
+      ]);
+
+      const held = sessions.filter(
+        (session) => !session.cancelled && !findCancellingEvent(events, day, session.subjectId)
+      );
+      const freeSlots = findFreeSlots(held, options);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...options,
+          days: [
+            {
+              date: toDateKey(day),
+              dayOfWeek: dayName(day),
+              freeSlots,
+              freeMinutes: freeSlots.reduce((sum, slot) => sum + slot.minutes, 0),
+            },
+          ],
+        },
+      });
+    }
+
+    const entries = await Timetable.find({
+      userId: req.user._id,
+      semesterId: req.semesterId,
+      isActive: true,
+      ...batchFilter(req.user),
+    });
+
+    const days = findWeeklyFreeSlots(entries, {
+      ...options,
+      ...(req.query.day && { days: [req.query.day] }),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...options,
+        days,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/timetable/overrides
+ * @desc    Get extra lectures, cancellations and moves in a date range
+ * @access  Private
+ */
+export const getTimetableOverrides = async (req, res, next) => {
+  try {
+    const from = req.query.from ? startOfDay(req.query.from) : userToday(req.user);
+    const to = req.query.to ? startOfDay(req.query.to) : addDays(from, 30);
+
+    const overrides = await getOverrides(req.user._id, req.semesterId, from, to).populate(
+      'subjectId',
+      'name code color'
+    );
+
+    res.status(200).json({
+      success: true,
+      count: overrides.length,
+      data: {
+        overrides,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/timetable/overrides
+ * @desc    Add an extra lecture, or cancel or move one session, on a date
+ * @access  Private
+ */
+export const createTimetableOverride = async (req, res, next) => {
+  try {
+    const { type, timetableEntryId, subjectId, room, lectureType, reason } = req.body;
+    const date = startOfDay(req.body.date);
+
+    const override = {
+      userId: req.user._id,
+      semesterId: req.semesterId,
+      type,
+      date,
+      reason,
+    };
+
+    if (type === 'add') {
+      const subject = await Subject.findOne({
+        _id: subjectId,
+        userId: req.user._id,
+        semesterId: req.semesterId,
+      });
+
+      if (!subject) {
+        return next(new AppError('Subject not found', 404));
+      }
+
+      Object.assign(override, {
+        subjectId: subject._id,
+        startTime: req.body.startTime,
+        endTime: req.body.endTime,
+        room,
+        lectureType,
+      });
+    } else {
+      const entry = await Timetable.findOne({
+        _id: timetableEntryId,
+        userId: req.user._id,
+        semesterId: req.semesterId,
+        isActive: true,
+      });
+
+      if (!entry) {
+        return next(new AppError('Timetable entry not found', 404));
+      }
+
+      if (!occursOn(entry, date)) {
+        return next(new AppError('This session is not held on that date', 400));
+      }
+
+      const existing = await TimetableOverride.findOne({
+        userId: req.user._id,
+        timetableEntryId: entry._id,
+        type: { $in: ['cancel', 'move'] },
+        date,
+      });
+
+      if (existing) {
+        const action = existing.type === 'cancel' ? 'cancelled' : 'moved';
+        return next(new AppError(`This session is already ${action} on that date`, 400));
+      }
+
+      Object.assign(override, {
+        timetableEntryId: entry._id,
+        subjectId: entry.subjectId,
+        room: room ?? entry.room,
+        lectureType: lectureType || entry.lectureType,
+      });
+
+      if (type === 'move') {
+        Object.assign(override, {
+          toDate: startOfDay(req.body.toDate || date),
+          startTime: req.body.startTime || entry.startTime,
+          endTime: req.body.endTime || entry.endTime,
+        });
+
+        if (
+          override.toDate.getTime() === date.getTime() &&
+          override.startTime === entry.startTime &&
+          override.endTime === entry.endTime
+        ) {
+          return next(new AppError('Moved session must change its date or time', 400));
+        }
+      }
+    }
+
+    // Extra and moved lectures must not clash with what is held that day
+    if (type !== 'cancel') {
+      const conflicts = await findSessionConflicts(
+        req,
+        type === 'add' ? date : override.toDate,
+        override,
+        override.timetableEntryId
+      );
+
+      if (conflicts.length > 0) {
+        return next(conflictError(conflicts, type === 'add' ? date : override.toDate));
+      }
+    }
+
+    const created = await TimetableOverride.create(override);
+
+    const populatedOverride = await TimetableOverride.findById(created._id).populate(
+      'subjectId',
+      'name code color'
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Timetable override created successfully',
+      data: {
+        override: populatedOverride,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/timetable/overrides/:id
+ * @desc    Remove an override, restoring the regular timetable for that date
+ * @access  Private
+ */
+export const deleteTimetableOverride = async (req, res, next) => {
+  try {
+    const override = await TimetableOverride.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id,
+      semesterId: req.semesterId,
+    });
+
+    if (!override) {
+      return next(new AppError('Timetable override not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Timetable override deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a timetable as an iCalendar response
+ * @param {Object} res - Express response
+ * @param {String} ics - iCalendar text
+ * @param {String|null} filename - Download name (null to display inline)
+ */
+const sendICS = (res, ics, filename = null) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.status(200).send(ics);
+};
+
+/**
+ * @route   GET /api/timetable/export.ics
+ * @desc    Download the timetable as an iCalendar file
+ * @access  Private
+ */
+export const exportTimetableICS = async (req, res, next) => {
+  try {
+    const ics = await buildTimetableICS(req.user, req.semesterId);
+    sendICS(res, ics, 'bunk-buzz-timetable.ics');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/timetable/feed
+ * @desc    Create a calendar subscription URL (replaces any previous one)
+ * @access  Private
+ */
+export const createCalendarFeed = async (req, res, next) => {
+  try {
+    const token = generateSecureToken();
+
+    await User.updateOne({ _id: req.user._id }, { calendarFeedToken: hashString(token) });
+
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+    const url = `${baseUrl}/api/timetable/feed/${token}.ics`;
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Any previous feed URL no longer works.',
+      data: {
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:'),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/timetable/feed
+ * @desc    Revoke the calendar subscription URL
+ * @access  Private
+ */
+export const revokeCalendarFeed = async (req, res, next) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeedToken: 1 } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed revoked',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/timetable/feed/:token.ics
+ * @desc    Read-only timetable feed polled by calendar apps
+ * @access  Public (secret token)
+ */
+export const getCalendarFeed = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      calendarFeedToken: hashString(req.params.token),
+      isActive: true,
+    });
+
+    if (!user) {
+      return next(new AppError('Calendar feed not found', 404));
+    }
+
+    const ics = await buildTimetableICS(user, user.activeSemester || null);
+    sendICS(res, ics);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/timetable/import
+ * @desc    Import timetable entries from an iCalendar (.ics) file (dry run supported)
+ * @access  Private
+ */
+export const importTimetable = async (req, res, next) => {
+  try {
+    // Accept a raw text/calendar body or JSON { ics, dryRun }
+    const isRaw = typeof req.body === 'string';
+    const ics = isRaw ? req.body : req.body.ics;
+    const options = isRaw ? req.query : { ...req.query, ...req.body };
+    const dryRun = String(options.dryRun) === 'true';
+
+    let parsedEvents;
+    try {
+      parsedEvents = parseICS(ics, userTimeZone(req.user));
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+
+    const { slots, skipped } = planTimetableImport(parsedEvents, userTimeZone(req.user));
+
+    const [subjects, existing] = await Promise.all([
+      Subject.find({ userId: req.user._id, semesterId: req.semesterId, isActive: true }),
+      Timetable.find({ userId: req.user._id, semesterId: req.semesterId, isActive: true }),
+    ]);
+
+    // Unknown subjects are created; new entries are checked against each other too
+    const newSubjects = [];
+    const entries = [];
+    const scheduled = [...existing];
+
+    slots.forEach((slot) => {
+      const skip = (reason) =>
+        skipped.push({
+          title: slot.name,
+          dayOfWeek: slot.dayOfWeek,
+          startTime: slot.startTime,
+          reason,
+        });
+
+      const match = matchSubject(slot.name, [...subjects, ...newSubjects]);
+      let subject = match.subject;
+
+      if (!subject && !match.notFound) {
+        return skip(match.error);
+      }
+
+      if (!subject) {
+        subject = new Subject({
+          userId: req.user._id,
+          semesterId: req.semesterId,
+          name: slot.name.slice(0, 100),
+          minimumAttendance: req.user.overallMinimumAttendance ?? 75,
+        });
+        newSubjects.push(subject);
+      }
+
+      const entry = new Timetable({
+        userId: req.user._id,
+        semesterId: req.semesterId,
+        subjectId: subject._id,
+        dayOfWeek: slot.dayOfWeek,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        room: slot.room,
+        lectureType: slot.lectureType,
+        recurrence: slot.recurrence,
+      });
+
+      const duplicate = scheduled.some(
+        (other) =>
+          other.subjectId.equals(subject._id) &&
+          other.dayOfWeek === entry.dayOfWeek &&
+          other.startTime === entry.startTime
+      );
+      if (duplicate) {
+        return skip('Already in the timetable');
+      }
+
+      const clash = scheduled.find(
+        (other) => slotsOverlap(other, entry) && canCoincide(other, entry)
+      );
+      if (clash) {
+        return skip('Time slot conflicts with existing entry');
+      }
+
+      entries.push(entry);
+      scheduled.push(entry);
+    });
+
+    // Only subjects that ended up with an entry are created
+    const usedSubjects = newSubjects.filter((subject) =>
+      entries.some((entry) => entry.subjectId.equals(subject._id))
+    );
+
+    if (!dryRun && entries.length > 0) {
+      await runInTransaction(async (session) => {
+        if (usedSubjects.length > 0) {
+          await Subject.insertMany(usedSubjects.map((subject) => subject.toObject()), { session });
+        }
+        // Creating several documents in a session needs ordered inserts
+        await Timetable.create(entries.map((entry) => entry.toObject()), { session, ordered: true });
+      });
+    }
+
+    const subjectNames = new Map(
+      [...subjects, ...usedSubjects].map((subject) => [subject._id.toString(), subject.name])
+    );
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? 'Dry run - nothing was imported'
+        : `Imported ${entries.length} entries, created ${usedSubjects.length} subject(s), skipped ${skipped.length}`,
+      data: {
+        dryRun,
+        imported: entries.length,
+        subjectsCreated: usedSubjects.map((subject) => subject.name),
+        entries: entries.map((entry) => ({
+          subject: subjectNames.get(entry.subjectId.toString()),
+          dayOfWeek: entry.dayOfWeek,
+          startTime: entry.startTime,
+          endTime: entry.endTime,
+          room: entry.room,
+          lectureType: entry.lectureType,
+          recurrence: entry.recurrence,
+        })),
+        skipped,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/timetable/week
+ * @desc    Replace the whole week's timetable in one go. Entries with an id
+ *          update that entry, entries without one are created and active
+ *          entries left out are removed. The week is validated as a whole
+ *          and nothing is saved unless every entry is valid and no two overlap.
+ * @access  Private
+ */
+export const replaceTimetableWeek = async (req, res, next) => {
+  try {
+    const { entries: input, dryRun = false } = req.body;
+
+    const [subjects, existing] = await Promise.all([
+      Subject.find({ userId: req.user._id, semesterId: req.semesterId, isActive: true }),
+      Timetable.find({ userId: req.user._id, semesterId: req.semesterId, isActive: true }),
+    ]);
+
+    const { entries, errors, overlaps, valid } = validateWeek(input, {
+      subjects,
+      existing,
+      anchorDate: req.user.semesterStart ? startOfDay(req.user.semesterStart) : userToday(req.user),
+      timeZone: userTimeZone(req.user),
+    });
+
+    const keptIds = new Set(entries.filter((entry) => entry.id).map((entry) => String(entry.id)));
+    const removed = existing.filter((entry) => !keptIds.has(entry._id.toString()));
+
+    const summary = {
+      created: entries.filter((entry) => !entry.id).length,
+      updated: keptIds.size,
+      removed: removed.length,
+    };
+
+    if (!valid) {
+      const problems = [];
+      if (errors.length > 0) problems.push(`${errors.length} invalid field(s)`);
+      if (overlaps.length > 0) problems.push(`${overlaps.length} overlap(s)`);
+
+      return res.status(400).json({
+        success: false,
+        message: `Timetable has ${problems.join(' and ')}; nothing was saved`,
+        data: { summary, errors, overlaps },
+      });
+    }
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: 'Dry run - nothing was saved',
+        data: { dryRun, summary, errors, overlaps },
+      });
+    }
+
+    const owner = { userId: req.user._id, semesterId: req.semesterId };
+    const operations = [
+      ...entries.map((entry) =>
+        entry.id
+          ? { updateOne: { filter: { _id: entry.id, ...owner }, update: { $set: entry.data } } }
+          : { insertOne: { document: { ...owner, ...entry.data } } }
+      ),
+      ...removed.map((entry) => ({
+        updateOne: { filter: { _id: entry._id, ...owner }, update: { $set: { isActive: false } } },
+      })),
+    ];
+
+    if (operations.length > 0) {
+      await runInTransaction(async (session) => {
+        await Timetable.bulkWrite(operations, { session });
+      });
+    }
+
+    const timetable = await Timetable.find({ ...owner, isActive: true })
+      .populate('subjectId', 'name code color')
+      .sort({ startMinutes: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: `Timetable saved: ${summary.created} created, ${summary.updated} updated, ${summary.removed} removed`,
+      data: {
+        summary,
+        timetable: sortByWeek(timetable).map(formatEntry),
       },
     });
   } catch (error) {
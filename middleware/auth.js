@@ -1,5 +1,6 @@
 import { verifyAccessToken } from '../utils/tokenUtils.js';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 
 /**
  * Middleware to authenticate JWT token
@@ -21,8 +22,15 @@ export const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = verifyAccessToken(token);
 
-    // Get user from database
-    const user = await User.findById(decoded.userId).select('-password -refreshToken');
+    // Get user and session from database
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId).select('-password -refreshToken'),
+      Session.exists({
+        userId: decoded.userId,
+        family: decoded.sessionId,
+        revokedAt: null,
+      }),
+    ]);
 
     if (!user) {
       return res.status(401).json({
@@ -31,6 +39,14 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Access tokens of a logged out or revoked session stop working at once
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.',
+      });
+    }
+
     if (!user.isActive) {
       return res.status(403).json({
         success: false,
@@ -38,8 +54,9 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    // Attach user and session to request
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -49,6 +66,19 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to restrict a route to administrators
+ */
+export const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Administrator access is required',
+    });
+  }
+  next();
+};
+
 /**
  * Middleware to check if email is verified
  */
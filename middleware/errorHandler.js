@@ -36,6 +36,12 @@ export const errorHandler = (err, req, res, next) => {
     error = new AppError(message, 400);
   }
 
+  // Mongoose optimistic concurrency conflict
+  if (err.name === 'VersionError') {
+    const message = 'This record was changed by another request. Please retry.';
+    error = new AppError(message, 409);
+  }
+
   // Mongoose validation error
   if (err.name === 'ValidationError') {
     const message = Object.values(err.errors)
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import Semester from '../models/Semester.js';
+import { AppError } from './errorHandler.js';
+
+/**
+ * Middleware to scope a request to a semester
+ *
+ * Sets `req.semesterId` to the user's active semester (null for users who have
+ * not created one yet). Read requests may pass `?semesterId=` to browse an
+ * archived semester; writes always go to the active semester, which keeps
+ * closed semesters read-only.
+ */
+export const scopeToSemester = async (req, res, next) => {
+  try {
+    req.semesterId = req.user.activeSemester || null;
+
+    const { semesterId } = req.query;
+
+    if (req.method === 'GET' && semesterId) {
+      if (!mongoose.isValidObjectId(semesterId)) {
+        return next(new AppError('Invalid semester ID', 400));
+      }
+
+      const semester = await Semester.findOne({
+        _id: semesterId,
+        userId: req.user._id,
+      });
+
+      if (!semester) {
+        return next(new AppError('Semester not found', 404));
+      }
+
+      req.semesterId = semester._id;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,26 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { getStatusRules } from '../utils/attendanceStatus.js';
+import { TIME_FORMAT, toMinutes, normaliseTime } from '../utils/timeOfDay.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+import { startOfDay, startOfUserDay, userToday } from '../utils/academicCalendar.js';
+import { MAX_PENDING_DAYS } from '../utils/pendingAttendance.js';
+import { NOTIFICATION_CHANNELS } from '../utils/notificationChannels.js';
+import { isInternalHost } from '../utils/networkAddress.js';
+
+// Dates sent with a time are filed under the user's local day
+const toUserDay = (value, { req }) => startOfUserDay(value, req.user);
+
+/**
+ * Check that a date is an ISO 8601 string naming a whole day (YYYY-MM-DD...)
+ * @param {*} value - Date input
+ * @returns {Boolean} Whether the value is a usable date
+ */
+const isDateString = (value) => {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value));
+};
+
+// Longest range of overrides listed at once
+const MAX_OVERRIDE_RANGE_DAYS = 366;
 
 /**
  * Middleware to handle validation errors
@@ -54,6 +76,11 @@ export const signupValidation = [
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
     .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
   
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Please provide a valid time zone, e.g. Asia/Kolkata'),
+  
   validate,
 ];
 
@@ -76,6 +103,97 @@ export const loginValidation = [
   validate,
 ];
 
+/**
+ * Validation rules for forgot password
+ */
+export const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  validate,
+];
+
+/**
+ * Validation rules for password reset
+ */
+export const resetPasswordValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required')
+    .isString()
+    .withMessage('Reset token must be a string'),
+  
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  
+  validate,
+];
+
+/**
+ * Validation rules for reactivating a deactivated account
+ */
+export const reactivateValidation = [
+  body('token')
+    .optional()
+    .notEmpty()
+    .withMessage('Google token cannot be empty'),
+  
+  body('email')
+    .if(body('token').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  body('password')
+    .if(body('token').not().exists())
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  validate,
+];
+
+/**
+ * Validation rules for cancelling account deletion
+ */
+export const cancelDeletionValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Cancellation token is required')
+    .isString()
+    .withMessage('Cancellation token must be a string'),
+  
+  validate,
+];
+
+/**
+ * Validation rules for requesting account deletion
+ */
+export const accountDeletionValidation = [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  
+  body('confirm')
+    .equals('DELETE')
+    .withMessage('Type DELETE to confirm'),
+  
+  validate,
+];
+
 /**
  * Validation rules for Google OAuth
  */
@@ -120,6 +238,12 @@ export const subjectValidation = [
       return true;
     }),
   
+  body('baselineAsOf')
+    .optional()
+    .isISO8601()
+    .withMessage('Baseline date must be a valid date')
+    .customSanitizer(toUserDay),
+  
   body('minimumAttendance')
     .optional()
     .isFloat({ min: 0, max: 100 })
@@ -133,6 +257,170 @@ export const subjectValidation = [
   validate,
 ];
 
+/**
+ * Semester name and date rules
+ * @param {Boolean} partial - Whether fields may be left out (updates)
+ * @returns {Array} Validation chains
+ */
+const semesterRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .isString()
+      .withMessage('Semester name is required')
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage('Semester name is required')
+      .isLength({ max: 100 })
+      .withMessage('Semester name must not exceed 100 characters'),
+    
+    field('startDate')
+      .custom(isDateString)
+      .withMessage('Please provide a valid start date')
+      .customSanitizer(toUserDay),
+    
+    field('endDate')
+      .custom(isDateString)
+      .withMessage('Please provide a valid end date')
+      .bail()
+      .customSanitizer(toUserDay)
+      .custom((value, { req }) => {
+        // On updates without a start date the controller checks the stored one
+        if (req.body.startDate && value <= req.body.startDate) {
+          throw new Error('End date must be after start date');
+        }
+        return true;
+      }),
+  ];
+};
+
+/**
+ * Validation rules for semester creation
+ */
+export const semesterValidation = [
+  ...semesterRules(false),
+  
+  body('activate')
+    .optional()
+    .isBoolean()
+    .withMessage('Activate must be a boolean'),
+  
+  validate,
+];
+
+/**
+ * Validation rules for semester updates (every field optional)
+ */
+export const semesterUpdateValidation = [
+  ...semesterRules(true),
+  
+  validate,
+];
+
+/**
+ * Validation rules for calendar events
+ */
+export const calendarEventValidation = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ max: 200 })
+    .withMessage('Title must not exceed 200 characters'),
+  
+  body('type')
+    .optional()
+    .isIn(['holiday', 'break', 'exam', 'cancellation'])
+    .withMessage('Type must be holiday, break, exam or cancellation'),
+  
+  body('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .isISO8601()
+    .withMessage('Please provide a valid start date')
+    .customSanitizer(toUserDay),
+  
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+    .customSanitizer(toUserDay)
+    .custom((value, { req }) => {
+      if (new Date(value) < new Date(req.body.startDate)) {
+        throw new Error('End date cannot be before start date');
+      }
+      return true;
+    }),
+  
+  body('subjectId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid subject ID'),
+  
+  validate,
+];
+
+/**
+ * Validation rules for a timetable entry's batch and recurrence rule
+ */
+const recurrenceRules = [
+  body('batch')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Batch must not exceed 20 characters'),
+  
+  body('recurrence')
+    .optional()
+    .isObject()
+    .withMessage('Recurrence must be an object'),
+  
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 8 })
+    .withMessage('Interval must be between 1 and 8 weeks')
+    .toInt(),
+  
+  body('recurrence.weekParity')
+    .optional()
+    .isIn(['any', 'odd', 'even'])
+    .withMessage('Week parity must be any, odd or even')
+    .custom((value, { req }) => {
+      if (value !== 'any' && Number(req.body.recurrence.interval) > 1) {
+        throw new Error('Odd/even weeks cannot be combined with an interval');
+      }
+      return true;
+    }),
+  
+  body(['recurrence.anchorDate', 'recurrence.validFrom', 'recurrence.validUntil'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Please provide a valid date')
+    .customSanitizer(toUserDay),
+  
+  body('recurrence.validUntil')
+    .optional({ nullable: true })
+    .custom((value, { req }) => {
+      const { validFrom } = req.body.recurrence;
+      if (validFrom && new Date(value) < new Date(validFrom)) {
+        throw new Error('Valid until must not be before valid from');
+      }
+      return true;
+    }),
+  
+  body('recurrence.exceptionDates')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Exception dates must be a list of at most 100 dates'),
+  
+  body('recurrence.exceptionDates.*')
+    .isISO8601()
+    .withMessage('Please provide valid exception dates')
+    .customSanitizer(toUserDay),
+];
+
 /**
  * Validation rules for timetable entry
  */
@@ -152,14 +440,112 @@ export const timetableValidation = [
   body('startTime')
     .notEmpty()
     .withMessage('Start time is required')
-    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('Please provide valid time format (HH:mm)'),
+    .matches(TIME_FORMAT)
+    .withMessage('Please provide valid time format (HH:mm)')
+    .customSanitizer(normaliseTime),
   
   body('endTime')
     .notEmpty()
     .withMessage('End time is required')
-    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('Please provide valid time format (HH:mm)'),
+    .matches(TIME_FORMAT)
+    .withMessage('Please provide valid time format (HH:mm)')
+    .customSanitizer(normaliseTime),
+  
+  ...recurrenceRules,
+  
+  validate,
+];
+
+/**
+ * Validation rules for timetable entry updates
+ */
+export const timetableUpdateValidation = [
+  body(['startTime', 'endTime'])
+    .optional()
+    .matches(TIME_FORMAT)
+    .withMessage('Please provide valid time format (HH:mm)')
+    .customSanitizer(normaliseTime),
+  
+  ...recurrenceRules,
+  
+  validate,
+];
+
+/**
+ * Validation rules for replacing the whole week's timetable
+ * Entries themselves are checked together by the controller so that every
+ * problem is reported at once.
+ */
+export const timetableWeekValidation = [
+  body('entries')
+    .isArray({ max: 100 })
+    .withMessage('Entries must be an array of at most 100 timetable entries'),
+  
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('Dry run must be a boolean')
+    .toBoolean(),
+  
+  validate,
+];
+
+/**
+ * Validation rules for one-off timetable overrides
+ */
+export const timetableOverrideValidation = [
+  body('type')
+    .isIn(['add', 'cancel', 'move'])
+    .withMessage('Type must be add, cancel or move'),
+  
+  body('date')
+    .notEmpty()
+    .withMessage('Date is required')
+    .isISO8601()
+    .withMessage('Please provide a valid date')
+    .customSanitizer(toUserDay),
+  
+  body('subjectId')
+    .if(body('type').equals('add'))
+    .notEmpty()
+    .withMessage('Subject ID is required')
+    .isMongoId()
+    .withMessage('Invalid subject ID'),
+  
+  body('timetableEntryId')
+    .if(body('type').isIn(['cancel', 'move']))
+    .notEmpty()
+    .withMessage('Timetable entry ID is required')
+    .isMongoId()
+    .withMessage('Invalid timetable entry ID'),
+  
+  body('toDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid date')
+    .customSanitizer(toUserDay),
+  
+  body(['startTime', 'endTime'])
+    .if(body('type').equals('add'))
+    .notEmpty()
+    .withMessage('Start and end time are required'),
+  
+  body(['startTime', 'endTime'])
+    .optional()
+    .matches(TIME_FORMAT)
+    .withMessage('Please provide valid time format (HH:mm)')
+    .customSanitizer(normaliseTime),
+  
+  body('lectureType')
+    .optional()
+    .isIn(['Theory', 'Lab', 'Tutorial', 'Practical'])
+    .withMessage('Invalid lecture type'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason must not exceed 200 characters'),
   
   validate,
 ];
@@ -178,13 +564,409 @@ export const attendanceValidation = [
     .notEmpty()
     .withMessage('Date is required')
     .isISO8601()
-    .withMessage('Please provide a valid date'),
+    .withMessage('Please provide a valid date')
+    .customSanitizer(toUserDay),
   
   body('status')
     .notEmpty()
     .withMessage('Attendance status is required')
-    .isIn(['present', 'absent'])
-    .withMessage('Status must be either present or absent'),
+    .custom((value, { req }) => {
+      if (!getStatusRules(req.user)[value]) {
+        throw new Error('Status must be one of your attendance statuses');
+      }
+      return true;
+    }),
+  
+  body('timetableEntryId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid timetable entry ID'),
+  
+  body('startTime')
+    .optional({ nullable: true })
+    .matches(TIME_FORMAT)
+    .withMessage('Please provide valid time format (HH:mm)')
+    .customSanitizer(normaliseTime),
+  
+  validate,
+];
+
+/**
+ * Validation rules for bunk planning over a date range
+ */
+export const bunkPlanValidation = [
+  body('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .isISO8601()
+    .withMessage('Please provide a valid start date')
+    .customSanitizer(toUserDay),
+  
+  body('endDate')
+    .notEmpty()
+    .withMessage('End date is required')
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+    .customSanitizer(toUserDay)
+    .custom((value, { req }) => {
+      const days = (new Date(value) - new Date(req.body.startDate)) / (24 * 60 * 60 * 1000);
+      if (days < 0) {
+        throw new Error('End date cannot be before start date');
+      }
+      if (days > 60) {
+        throw new Error('Cannot plan more than 60 days at once');
+      }
+      return true;
+    }),
+  
+  validate,
+];
+
+/**
+ * Validation rules for marking a whole day's attendance
+ */
+export const dayAttendanceValidation = [
+  body('date')
+    .notEmpty()
+    .withMessage('Date is required')
+    .isISO8601()
+    .withMessage('Please provide a valid date')
+    .customSanitizer(toUserDay),
+  
+  body('markAll')
+    .optional()
+    .custom((value, { req }) => {
+      if (!getStatusRules(req.user)[value]) {
+        throw new Error('markAll must be one of your attendance statuses');
+      }
+      return true;
+    }),
+  
+  body('statuses')
+    .optional()
+    .isObject()
+    .withMessage('Statuses must be a map of timetable entry ID to status')
+    .custom((value, { req }) => {
+      if (!req.body.markAll && Object.keys(value).length === 0) {
+        throw new Error('Provide markAll or at least one session status');
+      }
+      if (Object.keys(value).some((id) => !/^[0-9a-fA-F]{24}$/.test(id))) {
+        throw new Error('Statuses must be keyed by timetable entry ID');
+      }
+      return true;
+    }),
+  
+  body()
+    .custom((value) => {
+      if (!value.markAll && !value.statuses) {
+        throw new Error('Provide markAll or statuses');
+      }
+      return true;
+    }),
+  
+  validate,
+];
+
+/**
+ * Validation rules for attendance status configuration
+ */
+export const attendanceStatusesValidation = [
+  body('statuses')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Statuses must be a list of 1 to 20 entries'),
+  
+  body('statuses.*.key')
+    .trim()
+    .matches(/^[a-z][a-z_]{0,29}$/)
+    .withMessage('Status key must be lowercase letters or underscores')
+    .not()
+    .isIn(Object.getOwnPropertyNames(Object.prototype))
+    .withMessage('Status key is a reserved name'),
+  
+  body('statuses.*.label')
+    .trim()
+    .notEmpty()
+    .withMessage('Status label is required')
+    .isLength({ max: 50 })
+    .withMessage('Status label must not exceed 50 characters'),
+  
+  body('statuses.*.countsTowardTotal')
+    .isBoolean()
+    .withMessage('countsTowardTotal must be a boolean')
+    .toBoolean(),
+  
+  body('statuses.*.countsAsAttended')
+    .isBoolean()
+    .withMessage('countsAsAttended must be a boolean')
+    .toBoolean()
+    .custom((value, { req, path }) => {
+      const index = Number(path.match(/\d+/)[0]);
+      if (value === true && req.body.statuses[index].countsTowardTotal === false) {
+        throw new Error('A status that does not count toward the total cannot count as attended');
+      }
+      return true;
+    }),
+  
+  validate,
+];
+
+/**
+ * Validation rules for re-syncing a subject's baseline
+ */
+export const resyncValidation = [
+  body('totalLectures')
+    .isInt({ min: 0 })
+    .withMessage('Total lectures must be a non-negative integer'),
+  
+  body('attendedLectures')
+    .isInt({ min: 0 })
+    .withMessage('Attended lectures must be a non-negative integer')
+    .custom((value, { req }) => {
+      if (Number(value) > Number(req.body.totalLectures)) {
+        throw new Error('Attended lectures cannot exceed total lectures');
+      }
+      return true;
+    }),
+  
+  body('asOf')
+    .isISO8601()
+    .withMessage('As-of date must be a valid date')
+    .customSanitizer(toUserDay)
+    .custom((value, { req }) => {
+      if (startOfDay(value) > userToday(req.user)) {
+        throw new Error('As-of date cannot be in the future');
+      }
+      return true;
+    }),
+  
+  validate,
+];
+
+/**
+ * Validation rules for counter reconciliation
+ */
+export const reconcileValidation = [
+  body('fix')
+    .optional()
+    .isBoolean()
+    .withMessage('Fix must be a boolean'),
+  
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  validate,
+];
+
+/**
+ * Validation rules for listing timetable overrides
+ */
+export const timetableOverrideListValidation = [
+  query(['from', 'to'])
+    .optional()
+    .custom(isDateString)
+    .withMessage('Please provide a valid date')
+    .bail()
+    .customSanitizer(toUserDay),
+  
+  query('to')
+    .optional()
+    .custom((to, { req }) => {
+      // An invalid start date is reported on its own
+      if (typeof req.query.from === 'string') return true;
+
+      const from = req.query.from ?? userToday(req.user);
+      const days = (to - from) / (24 * 60 * 60 * 1000);
+      if (days < 0) {
+        throw new Error('End date cannot be before start date');
+      }
+      if (days > MAX_OVERRIDE_RANGE_DAYS) {
+        throw new Error(`Cannot list more than ${MAX_OVERRIDE_RANGE_DAYS} days of overrides at once`);
+      }
+      return true;
+    }),
+  
+  validate,
+];
+
+/**
+ * Validation rules for free timetable slots
+ */
+export const freeSlotsValidation = [
+  query('day')
+    .optional()
+    .isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+    .withMessage('Invalid day of week'),
+  
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid date')
+    .customSanitizer(toUserDay),
+  
+  query(['from', 'to'])
+    .optional()
+    .matches(TIME_FORMAT)
+    .withMessage('Please provide valid time format (HH:mm)')
+    .customSanitizer(normaliseTime),
+  
+  query('to')
+    .optional()
+    .custom((to, { req }) => !req.query.from || toMinutes(to) > toMinutes(req.query.from))
+    .withMessage('End of the day must be after its start'),
+  
+  query('minMinutes')
+    .optional()
+    .isInt({ min: 1, max: 24 * 60 })
+    .withMessage('Minimum length must be between 1 and 1440 minutes')
+    .toInt(),
+  
+  validate,
+];
+
+/**
+ * Validation rules for the attendance calendar
+ */
+export const attendanceCalendarValidation = [
+  query('month')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Month must be in YYYY-MM format'),
+  
+  query('range')
+    .optional()
+    .isIn(['month', 'semester'])
+    .withMessage('Range must be month or semester'),
+  
+  validate,
+];
+
+/**
+ * Validation rules for unmarked sessions
+ */
+export const pendingAttendanceValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: MAX_PENDING_DAYS })
+    .withMessage(`Days must be between 1 and ${MAX_PENDING_DAYS}`)
+    .toInt(),
+  
+  validate,
+];
+
+/**
+ * Validation rules for one-click attendance links
+ */
+export const attendanceLinkValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Link token is required'),
+  
+  validate,
+];
+
+/**
+ * Validation rules for notification channel lists
+ */
+const notificationChannelsRules = [
+  body('channels')
+    .optional()
+    .isArray()
+    .withMessage('Channels must be an array'),
+  
+  body('channels.*')
+    .isIn(NOTIFICATION_CHANNELS)
+    .withMessage(`Channels must be ${NOTIFICATION_CHANNELS.join(', ')}`),
+];
+
+/**
+ * Validation rules for notification preferences
+ */
+export const notificationPreferencesValidation = [
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean'),
+  
+  ...notificationChannelsRules,
+  
+  body('leadMinutes')
+    .optional()
+    .isInt({ min: 1, max: 180 })
+    .withMessage('Lead time must be between 1 and 180 minutes')
+    .toInt(),
+  
+  body(['quietHoursStart', 'quietHoursEnd'])
+    .optional({ nullable: true })
+    .matches(TIME_FORMAT)
+    .withMessage('Please provide valid time format (HH:mm)')
+    .customSanitizer(normaliseTime),
+  
+  body('webhookUrl')
+    .optional({ nullable: true })
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('Webhook URL must be an https URL')
+    .bail()
+    .custom((value) => {
+      if (isInternalHost(new URL(value).hostname)) {
+        throw new Error('Webhook URL must not point to a private or local address');
+      }
+      return true;
+    }),
+  
+  validate,
+];
+
+/**
+ * Validation rules for Web Push subscriptions
+ */
+export const pushSubscriptionValidation = [
+  body('endpoint')
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('Subscription endpoint must be an https URL'),
+  
+  body(['keys.p256dh', 'keys.auth'])
+    .isString()
+    .notEmpty()
+    .withMessage('Subscription keys are required'),
+  
+  validate,
+];
+
+/**
+ * Validation rules for removing a Web Push subscription
+ */
+export const pushUnsubscribeValidation = [
+  body('endpoint')
+    .notEmpty()
+    .withMessage('Subscription endpoint is required'),
+  
+  validate,
+];
+
+/**
+ * Validation rules for test notifications
+ */
+export const testNotificationValidation = [
+  ...notificationChannelsRules,
+  
+  validate,
+];
+
+/**
+ * Validation rules for account export
+ */
+export const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'pdf'])
+    .withMessage('Format must be json, csv or pdf'),
+  
+  query('subjectId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid subject ID'),
   
   validate,
 ];
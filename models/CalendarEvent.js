@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import { toCalendarDay } from '../utils/timezone.js';
+
+const calendarEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [200, 'Title must not exceed 200 characters'],
+    },
+    type: {
+      type: String,
+      enum: ['holiday', 'break', 'exam', 'cancellation'],
+      default: 'holiday',
+    },
+    startDate: {
+      type: Date,
+      set: toCalendarDay,
+      required: [true, 'Start date is required'],
+    },
+    endDate: {
+      type: Date,
+      set: toCalendarDay,
+      required: [true, 'End date is required'],
+    },
+    // Only lectures of this subject are cancelled; null means the whole day
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: ['manual', 'ics'],
+      default: 'manual',
+    },
+    externalId: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Validate end date is not before start date
+calendarEventSchema.pre('save', function (next) {
+  if (this.endDate < this.startDate) {
+    return next(new Error('End date cannot be before start date'));
+  }
+
+  next();
+});
+
+// Compound indexes for range queries and re-imports
+calendarEventSchema.index({ userId: 1, startDate: 1, endDate: 1 });
+calendarEventSchema.index({ userId: 1, externalId: 1 }, { sparse: true });
+
+const CalendarEvent = mongoose.model('CalendarEvent', calendarEventSchema);
+
+export default CalendarEvent;
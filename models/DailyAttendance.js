@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { TIME_FORMAT, normaliseTime } from '../utils/timeOfDay.js';
+import { toCalendarDay } from '../utils/timezone.js';
 
 const dailyAttendanceSchema = new mongoose.Schema(
   {
@@ -8,6 +10,11 @@ const dailyAttendanceSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    semesterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Semester',
+      default: null,
+    },
     subjectId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Subject',
@@ -15,13 +22,16 @@ const dailyAttendanceSchema = new mongoose.Schema(
     },
     date: {
       type: Date,
+      set: toCalendarDay,
       required: [true, 'Date is required'],
       index: true,
     },
+    // One of the user's configured attendance statuses
     status: {
       type: String,
       required: [true, 'Attendance status is required'],
-      enum: ['present', 'absent'],
+      lowercase: true,
+      trim: true,
     },
     markedAt: {
       type: Date,
@@ -31,25 +41,35 @@ const dailyAttendanceSchema = new mongoose.Schema(
       type: String,
       maxlength: [200, 'Notes must not exceed 200 characters'],
     },
+    // Timetable session this record is for (null for lectures outside the timetable)
     timetableEntryId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Timetable',
+      default: null,
+    },
+    startTime: {
+      type: String,
+      set: normaliseTime,
+      match: [TIME_FORMAT, 'Please provide valid time format (HH:mm)'],
+      default: null,
     },
   },
   {
     timestamps: true,
+    optimisticConcurrency: true,
   }
 );
 
-// Prevent duplicate attendance for same subject on same date
+// Prevent duplicate attendance for the same session of a subject on a date
 dailyAttendanceSchema.index(
-  { userId: 1, subjectId: 1, date: 1 },
-  { unique: true }
+  { userId: 1, subjectId: 1, date: 1, timetableEntryId: 1, startTime: 1 },
+  { unique: true, name: 'unique_session_per_day' }
 );
 
 // Compound indexes for efficient queries
 dailyAttendanceSchema.index({ userId: 1, date: 1 });
 dailyAttendanceSchema.index({ userId: 1, subjectId: 1, date: -1 });
+dailyAttendanceSchema.index({ userId: 1, semesterId: 1, date: -1 });
 
 const DailyAttendance = mongoose.model('DailyAttendance', dailyAttendanceSchema);
 
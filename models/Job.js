@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// One document per scheduled job, shared by every server instance
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Job name is required'],
+      unique: true,
+      trim: true,
+    },
+    schedule: {
+      type: String,
+      required: [true, 'Job schedule is required'],
+    },
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+    // Instance running the job; the lock expires if it dies mid-run
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Failed attempts of the current run, reset once it succeeds or gives up
+    attempt: {
+      type: Number,
+      default: 0,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastFinishedAt: {
+      type: Date,
+      default: null,
+    },
+    lastStatus: {
+      type: String,
+      enum: ['success', 'failed', null],
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    lastResult: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    lastDurationMs: {
+      type: Number,
+      default: null,
+    },
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+    failCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
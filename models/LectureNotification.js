@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import { toCalendarDay } from '../utils/timezone.js';
+
+// A pre-lecture notification that was sent, one per session
+const lectureNotificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+      required: true,
+    },
+    timetableEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Timetable',
+      default: null,
+    },
+    date: {
+      type: Date,
+      required: true,
+      set: toCalendarDay,
+    },
+    startTime: {
+      type: String,
+      required: true,
+    },
+    verdict: {
+      type: String,
+      enum: ['attend', 'safe'],
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // Outcome per channel, e.g. { email: { ok: true }, push: { ok: false, error } }
+    deliveries: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Claimed before sending, so a session is notified once across instances
+lectureNotificationSchema.index({ userId: 1, date: 1, subjectId: 1, startTime: 1 }, { unique: true });
+
+// History is kept for 30 days
+lectureNotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const LectureNotification = mongoose.model('LectureNotification', lectureNotificationSchema);
+
+export default LectureNotification;
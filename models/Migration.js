@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// One document per schema migration that has completed
+const migrationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Migration name is required'],
+      unique: true,
+      trim: true,
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+export default Migration;
@@ -27,6 +27,11 @@ const pendingUserSchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, 'College name must not exceed 200 characters'],
     },
+    // Browser time zone sent at signup, copied to the user once verified
+    timezone: {
+      type: String,
+      default: null,
+    },
     password: {
       type: String,
       required: [true, 'Password is required'],
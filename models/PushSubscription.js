@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// A browser or device subscribed to Web Push notifications
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    endpoint: {
+      type: String,
+      required: [true, 'Subscription endpoint is required'],
+      unique: true,
+    },
+    keys: {
+      p256dh: {
+        type: String,
+        required: [true, 'Subscription p256dh key is required'],
+      },
+      auth: {
+        type: String,
+        required: [true, 'Subscription auth key is required'],
+      },
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
+
+export default PushSubscription;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import { toCalendarDay } from '../utils/timezone.js';
+
+const semesterSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Semester name is required'],
+      trim: true,
+      maxlength: [100, 'Semester name must not exceed 100 characters'],
+    },
+    startDate: {
+      type: Date,
+      set: toCalendarDay,
+      required: [true, 'Start date is required'],
+    },
+    endDate: {
+      type: Date,
+      set: toCalendarDay,
+      required: [true, 'End date is required'],
+    },
+    status: {
+      type: String,
+      enum: ['open', 'closed'],
+      default: 'open',
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for archived (read-only) semesters
+semesterSchema.virtual('isClosed').get(function () {
+  return this.status === 'closed';
+});
+
+// Validate end date is after start date
+semesterSchema.pre('save', function (next) {
+  if (this.endDate <= this.startDate) {
+    return next(new Error('End date must be after start date'));
+  }
+
+  next();
+});
+
+// Compound index for listing a user's semesters
+semesterSchema.index({ userId: 1, startDate: -1 });
+
+const Semester = mongoose.model('Semester', semesterSchema);
+
+export default Semester;
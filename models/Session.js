@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    deviceLabel: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Device label must not exceed 100 characters'],
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      maxlength: [500, 'User agent must not exceed 500 characters'],
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        'logout',
+        'logout_all',
+        'revoked',
+        'reuse_detected',
+        'password_reset',
+        'deactivated',
+        'deletion_requested',
+      ],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Virtual for whether the session can still be refreshed
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Compound index for listing a user's live sessions
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Auto-delete sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -1,4 +1,10 @@
 import mongoose from 'mongoose';
+import {
+  calculatePercentage,
+  classesNeeded,
+  safeBunks,
+} from '../utils/attendanceMath.js';
+import { toCalendarDay } from '../utils/timezone.js';
 
 const subjectSchema = new mongoose.Schema(
   {
@@ -8,6 +14,11 @@ const subjectSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    semesterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Semester',
+      default: null,
+    },
     name: {
       type: String,
       required: [true, 'Subject name is required'],
@@ -20,6 +31,7 @@ const subjectSchema = new mongoose.Schema(
       uppercase: true,
       maxlength: [20, 'Subject code must not exceed 20 characters'],
     },
+    // Counters are the baseline plus tracked records, kept in sync atomically
     totalLectures: {
       type: Number,
       required: [true, 'Total lectures is required'],
@@ -38,6 +50,31 @@ const subjectSchema = new mongoose.Schema(
         message: 'Attended lectures cannot exceed total lectures',
       },
     },
+    // Opening balance taken from the college portal; records dated on or
+    // before asOf are already included in it
+    baseline: {
+      totalLectures: {
+        type: Number,
+        min: [0, 'Baseline total lectures cannot be negative'],
+        default: 0,
+      },
+      attendedLectures: {
+        type: Number,
+        min: [0, 'Baseline attended lectures cannot be negative'],
+        default: 0,
+        validate: {
+          validator: function (value) {
+            return value <= this.baseline.totalLectures;
+          },
+          message: 'Baseline attended lectures cannot exceed baseline total lectures',
+        },
+      },
+      asOf: {
+        type: Date,
+        set: toCalendarDay,
+        default: null,
+      },
+    },
     minimumAttendance: {
       type: Number,
       required: [true, 'Minimum attendance percentage is required'],
@@ -62,6 +99,8 @@ const subjectSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    // Counter updates bump the version, so stale saves are rejected
+    optimisticConcurrency: true,
     toJSON: { virtuals: true },
     toObject: { virtuals: true },
   }
@@ -69,8 +108,7 @@ const subjectSchema = new mongoose.Schema(
 
 // Virtual for attendance percentage
 subjectSchema.virtual('attendancePercentage').get(function () {
-  if (this.totalLectures === 0) return 0;
-  return Number(((this.attendedLectures / this.totalLectures) * 100).toFixed(2));
+  return calculatePercentage(this.attendedLectures, this.totalLectures);
 });
 
 // Virtual for absent lectures count
@@ -78,40 +116,27 @@ subjectSchema.virtual('absentLectures').get(function () {
   return this.totalLectures - this.attendedLectures;
 });
 
+// Virtual for lectures logged in the app on top of the baseline
+subjectSchema.virtual('tracked').get(function () {
+  return {
+    totalLectures: this.totalLectures - (this.baseline?.totalLectures || 0),
+    attendedLectures: this.attendedLectures - (this.baseline?.attendedLectures || 0),
+  };
+});
+
 // Virtual for classes needed to meet minimum attendance
 subjectSchema.virtual('classesNeeded').get(function () {
-  const current = this.attendancePercentage;
-  if (current >= this.minimumAttendance) return 0;
-
-  let needed = 0;
-  let attended = this.attendedLectures;
-  let total = this.totalLectures;
-
-  while (((attended + needed + 1) / (total + needed + 1)) * 100 < this.minimumAttendance) {
-    needed++;
-  }
-
-  return needed + 1;
+  return classesNeeded(this.attendedLectures, this.totalLectures, this.minimumAttendance);
 });
 
 // Virtual for safe bunks calculation
 subjectSchema.virtual('safeBunks').get(function () {
-  const current = this.attendancePercentage;
-  if (current < this.minimumAttendance) return 0;
-
-  let bunks = 0;
-  let attended = this.attendedLectures;
-  let total = this.totalLectures;
-
-  while ((attended / (total + bunks + 1)) * 100 >= this.minimumAttendance) {
-    bunks++;
-  }
-
-  return bunks;
+  return safeBunks(this.attendedLectures, this.totalLectures, this.minimumAttendance);
 });
 
 // Compound index for user queries
 subjectSchema.index({ userId: 1, isActive: 1 });
+subjectSchema.index({ userId: 1, semesterId: 1, isActive: 1 });
 
 const Subject = mongoose.model('Subject', subjectSchema);
 
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { TIME_FORMAT, toMinutes, normaliseTime } from '../utils/timeOfDay.js';
+import { toCalendarDay } from '../utils/timezone.js';
 
 const timetableSchema = new mongoose.Schema(
   {
@@ -8,6 +10,11 @@ const timetableSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    semesterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Semester',
+      default: null,
+    },
     subjectId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Subject',
@@ -21,12 +28,25 @@ const timetableSchema = new mongoose.Schema(
     startTime: {
       type: String,
       required: [true, 'Start time is required'],
-      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide valid time format (HH:mm)'],
+      set: normaliseTime,
+      match: [TIME_FORMAT, 'Please provide valid time format (HH:mm)'],
     },
     endTime: {
       type: String,
       required: [true, 'End time is required'],
-      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide valid time format (HH:mm)'],
+      set: normaliseTime,
+      match: [TIME_FORMAT, 'Please provide valid time format (HH:mm)'],
+    },
+    // Minutes since midnight, kept in sync with the times for range queries
+    startMinutes: {
+      type: Number,
+      min: 0,
+      max: 24 * 60,
+    },
+    endMinutes: {
+      type: Number,
+      min: 0,
+      max: 24 * 60,
     },
     room: {
       type: String,
@@ -38,6 +58,45 @@ const timetableSchema = new mongoose.Schema(
       enum: ['Theory', 'Lab', 'Tutorial', 'Practical'],
       default: 'Theory',
     },
+    batch: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Batch must not exceed 20 characters'],
+      default: null,
+    },
+    recurrence: {
+      interval: {
+        type: Number,
+        default: 1,
+        min: [1, 'Interval must be at least 1 week'],
+        max: [8, 'Interval must not exceed 8 weeks'],
+      },
+      weekParity: {
+        type: String,
+        enum: ['any', 'odd', 'even'],
+        default: 'any',
+      },
+      // Week 1 for interval and parity counting
+      anchorDate: {
+        type: Date,
+        set: toCalendarDay,
+        default: null,
+      },
+      validFrom: {
+        type: Date,
+        set: toCalendarDay,
+        default: null,
+      },
+      validUntil: {
+        type: Date,
+        set: toCalendarDay,
+        default: null,
+      },
+      exceptionDates: {
+        type: [{ type: Date, set: toCalendarDay }],
+        default: [],
+      },
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -48,24 +107,41 @@ const timetableSchema = new mongoose.Schema(
   }
 );
 
+// Derive minutes since midnight from the times
+timetableSchema.pre('validate', function (next) {
+  this.startMinutes = toMinutes(this.startTime) ?? undefined;
+  this.endMinutes = toMinutes(this.endTime) ?? undefined;
+  next();
+});
+
 // Validate end time is after start time
 timetableSchema.pre('save', function (next) {
-  const start = this.startTime.split(':').map(Number);
-  const end = this.endTime.split(':').map(Number);
-  
-  const startMinutes = start[0] * 60 + start[1];
-  const endMinutes = end[0] * 60 + end[1];
-  
-  if (endMinutes <= startMinutes) {
-    next(new Error('End time must be after start time'));
+  if (this.endMinutes <= this.startMinutes) {
+    return next(new Error('End time must be after start time'));
   }
-  
+
+  next();
+});
+
+// Validate the recurrence rule
+timetableSchema.pre('save', function (next) {
+  const { interval, weekParity, validFrom, validUntil } = this.recurrence;
+
+  if (weekParity !== 'any' && interval > 1) {
+    return next(new Error('Odd/even weeks cannot be combined with an interval'));
+  }
+
+  if (validFrom && validUntil && validUntil < validFrom) {
+    return next(new Error('Valid until must not be before valid from'));
+  }
+
   next();
 });
 
 // Compound index for efficient queries
 timetableSchema.index({ userId: 1, dayOfWeek: 1, isActive: 1 });
 timetableSchema.index({ userId: 1, subjectId: 1 });
+timetableSchema.index({ userId: 1, semesterId: 1, dayOfWeek: 1, startMinutes: 1 });
 
 const Timetable = mongoose.model('Timetable', timetableSchema);
 
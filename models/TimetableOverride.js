@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import { TIME_FORMAT, toMinutes, normaliseTime } from '../utils/timeOfDay.js';
+import { toCalendarDay } from '../utils/timezone.js';
+
+const timetableOverrideSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    semesterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Semester',
+      default: null,
+    },
+    // add: extra lecture, cancel: skip a session, move: hold a session at another time or day
+    type: {
+      type: String,
+      required: [true, 'Override type is required'],
+      enum: ['add', 'cancel', 'move'],
+    },
+    // Day of the extra lecture, or the day the cancelled/moved session was due
+    date: {
+      type: Date,
+      set: toCalendarDay,
+      required: [true, 'Date is required'],
+    },
+    // Session being cancelled or moved (null for extra lectures)
+    timetableEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Timetable',
+      default: null,
+    },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+      required: true,
+    },
+    // Day a moved session is held on
+    toDate: {
+      type: Date,
+      set: toCalendarDay,
+      default: null,
+    },
+    startTime: {
+      type: String,
+      set: normaliseTime,
+      match: [TIME_FORMAT, 'Please provide valid time format (HH:mm)'],
+      default: null,
+    },
+    endTime: {
+      type: String,
+      set: normaliseTime,
+      match: [TIME_FORMAT, 'Please provide valid time format (HH:mm)'],
+      default: null,
+    },
+    // Minutes since midnight, kept in sync with the times for range queries
+    startMinutes: {
+      type: Number,
+      default: null,
+    },
+    endMinutes: {
+      type: Number,
+      default: null,
+    },
+    room: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Room info must not exceed 50 characters'],
+    },
+    lectureType: {
+      type: String,
+      enum: ['Theory', 'Lab', 'Tutorial', 'Practical'],
+      default: 'Theory',
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason must not exceed 200 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Derive minutes since midnight from the times
+timetableOverrideSchema.pre('validate', function (next) {
+  this.startMinutes = toMinutes(this.startTime);
+  this.endMinutes = toMinutes(this.endTime);
+  next();
+});
+
+// Validate the fields each override type needs
+timetableOverrideSchema.pre('save', function (next) {
+  if (this.type !== 'add' && !this.timetableEntryId) {
+    return next(new Error('Timetable entry is required to cancel or move a session'));
+  }
+
+  if (this.type === 'move' && !this.toDate) {
+    return next(new Error('Moved sessions need a new date'));
+  }
+
+  if (this.type !== 'cancel') {
+    if (!this.startTime || !this.endTime) {
+      return next(new Error('Start and end time are required'));
+    }
+
+    if (this.endMinutes <= this.startMinutes) {
+      return next(new Error('End time must be after start time'));
+    }
+  }
+
+  next();
+});
+
+// Compound indexes for day lookups of both the original and the new date
+timetableOverrideSchema.index({ userId: 1, semesterId: 1, date: 1 });
+timetableOverrideSchema.index({ userId: 1, semesterId: 1, toDate: 1 });
+timetableOverrideSchema.index({ timetableEntryId: 1, date: 1 });
+
+const TimetableOverride = mongoose.model('TimetableOverride', timetableOverrideSchema);
+
+export default TimetableOverride;
@@ -1,5 +1,81 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
+import { DEFAULT_ATTENDANCE_STATUSES } from '../utils/attendanceStatus.js';
+import { DEFAULT_TIMEZONE, isValidTimeZone, toCalendarDay } from '../utils/timezone.js';
+import { TIME_FORMAT, normaliseTime } from '../utils/timeOfDay.js';
+import { NOTIFICATION_CHANNELS } from '../utils/notificationChannels.js';
+
+const attendanceStatusSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Status key is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z_]{0,29}$/, 'Status key must be lowercase letters or underscores'],
+    },
+    label: {
+      type: String,
+      required: [true, 'Status label is required'],
+      trim: true,
+      maxlength: [50, 'Status label must not exceed 50 characters'],
+    },
+    countsTowardTotal: {
+      type: Boolean,
+      default: true,
+    },
+    countsAsAttended: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+// Pre-lecture "should I go?" notifications
+const notificationPreferencesSchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    channels: {
+      type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+      default: () => ['email'],
+    },
+    // Minutes before a lecture starts that its reminder is sent
+    leadMinutes: {
+      type: Number,
+      min: [1, 'Lead time must be at least 1 minute'],
+      max: [180, 'Lead time must not exceed 180 minutes'],
+      default: 15,
+    },
+    // No notifications between these times (the range may span midnight)
+    quietHoursStart: {
+      type: String,
+      match: [TIME_FORMAT, 'Please provide valid time format (HH:mm)'],
+      set: normaliseTime,
+      default: null,
+    },
+    quietHoursEnd: {
+      type: String,
+      match: [TIME_FORMAT, 'Please provide valid time format (HH:mm)'],
+      set: normaliseTime,
+      default: null,
+    },
+    webhookUrl: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Signs webhook requests; shown to the user once when the URL is set
+    webhookSecret: {
+      type: String,
+      select: false,
+    },
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -53,12 +129,58 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    activeSemester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Semester',
+      default: null,
+    },
+    batch: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Batch must not exceed 20 characters'],
+      default: null,
+    },
+    // IANA time zone that "today" and attendance dates are counted in
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Please provide a valid time zone, e.g. Asia/Kolkata',
+      },
+    },
+    // Daily email listing sessions that still need to be marked
+    attendanceDigest: {
+      type: Boolean,
+      default: true,
+    },
+    lastDigestSentOn: {
+      type: Date,
+      set: toCalendarDay,
+      default: null,
+    },
+    // Monday email summarising the previous week's attendance
+    weeklyReport: {
+      type: Boolean,
+      default: true,
+    },
+    lastWeeklyReportSentOn: {
+      type: Date,
+      set: toCalendarDay,
+      default: null,
+    },
+    notifications: {
+      type: notificationPreferencesSchema,
+      default: () => ({}),
+    },
     semesterStart: {
       type: Date,
+      set: toCalendarDay,
       default: null,
     },
     semesterEnd: {
       type: Date,
+      set: toCalendarDay,
       default: null,
     },
     currentOverallAttendance: {
@@ -73,10 +195,23 @@ const userSchema = new mongoose.Schema(
       min: [0, 'Attendance cannot be negative'],
       max: [100, 'Attendance cannot exceed 100'],
     },
-    refreshToken: {
+    attendanceStatuses: {
+      type: [attendanceStatusSchema],
+      default: () => DEFAULT_ATTENDANCE_STATUSES.map((status) => ({ ...status })),
+    },
+    passwordResetToken: {
       type: String,
       select: false,
     },
+    passwordResetExpiry: {
+      type: Date,
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user',
+    },
     lastLogin: {
       type: Date,
       default: Date.now,
@@ -85,6 +220,27 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Permanent deletion: the account is purged once deletionScheduledFor passes
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletionCancelToken: {
+      type: String,
+      select: false,
+    },
+    // Hash of the secret in the timetable subscription URL
+    calendarFeedToken: {
+      type: String,
+      select: false,
+      unique: true,
+      sparse: true,
+    },
   },
   {
     timestamps: true,
@@ -118,11 +274,20 @@ userSchema.virtual('subjects', {
   foreignField: 'userId',
 });
 
+// Virtual for accounts waiting out the deletion grace period
+userSchema.virtual('isPendingDeletion').get(function () {
+  return Boolean(this.deletionScheduledFor);
+});
+
 // Remove sensitive data when converting to JSON
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
   delete user.refreshToken;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpiry;
+  delete user.deletionCancelToken;
+  delete user.calendarFeedToken;
   delete user.__v;
   return user;
 };
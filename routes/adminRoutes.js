@@ -0,0 +1,15 @@
+import express from 'express';
+import { reconcileCounters, getJobs, runJob } from '../controllers/adminController.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { reconcileValidation } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All admin routes require an authenticated administrator
+router.use(authenticate, requireAdmin);
+
+router.post('/reconcile-counters', reconcileValidation, reconcileCounters);
+router.get('/jobs', getJobs);
+router.post('/jobs/:name/run', runJob);
+
+export default router;
@@ -3,25 +3,51 @@ import {
   getAttendanceRecords,
   getAttendanceByDate,
   markAttendance,
+  markDayAttendance,
+  importAttendance,
   updateAttendance,
   deleteAttendance,
   getAttendanceStats,
   getSubjectAttendanceHistory,
+  getAttendanceCalendar,
+  getPendingAttendance,
+  markAttendanceFromLink,
 } from '../controllers/attendanceController.js';
 import { authenticate, requireEmailVerified } from '../middleware/auth.js';
+import { scopeToSemester } from '../middleware/semester.js';
 import {
   attendanceValidation,
+  attendanceCalendarValidation,
+  pendingAttendanceValidation,
+  attendanceLinkValidation,
+  dayAttendanceValidation,
   mongoIdValidation,
 } from '../middleware/validation.js';
 
 const router = express.Router();
 
-// All attendance routes require authentication and email verification
-router.use(authenticate, requireEmailVerified);
+// Digest emails mark sessions without a login; the signed token is the secret
+router.post('/link', attendanceLinkValidation, markAttendanceFromLink);
+
+// All attendance routes require authentication and email verification,
+// and are scoped to the active semester
+router.use(authenticate, requireEmailVerified, scopeToSemester);
 
 router.get('/stats', getAttendanceStats);
+router.get('/calendar', attendanceCalendarValidation, getAttendanceCalendar);
+router.get('/pending', pendingAttendanceValidation, getPendingAttendance);
 router.get('/date/:date', getAttendanceByDate);
 router.get('/subject/:subjectId/history', getSubjectAttendanceHistory);
+router.post('/day', dayAttendanceValidation, markDayAttendance);
+router.post(
+  '/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  express.raw({
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    limit: '5mb',
+  }),
+  importAttendance
+);
 
 router
   .route('/')
@@ -6,18 +6,31 @@ import {
   googleAuth,
   refreshToken,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
   getCurrentUser,
   resendVerification,
+  forgotPassword,
+  resetPassword,
+  reactivateAccount,
+  cancelAccountDeletion,
 } from '../controllers/authController.js';
 import {
   signupValidation,
   loginValidation,
   googleAuthValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  reactivateValidation,
+  cancelDeletionValidation,
+  mongoIdValidation,
 } from '../middleware/validation.js';
 import { authenticate } from '../middleware/auth.js';
 import {
   authLimiter,
   verificationLimiter,
+  passwordResetLimiter,
 } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
@@ -29,9 +42,16 @@ router.post('/login', authLimiter, loginValidation, login);
 router.post('/google', authLimiter, googleAuthValidation, googleAuth);
 router.post('/refresh', refreshToken);
 router.post('/resend-verification', verificationLimiter, resendVerification);
+router.post('/forgot-password', passwordResetLimiter, forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', passwordResetLimiter, resetPasswordValidation, resetPassword);
+router.post('/reactivate', authLimiter, reactivateValidation, reactivateAccount);
+router.post('/cancel-deletion', verificationLimiter, cancelDeletionValidation, cancelAccountDeletion);
 
 // Protected routes
 router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
 router.get('/me', authenticate, getCurrentUser);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:id', authenticate, mongoIdValidation, revokeSession);
 
 export default router;
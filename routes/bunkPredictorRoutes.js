@@ -3,16 +3,23 @@ import {
   predictBunk,
   bulkPredictBunk,
   simulateBunks,
+  getProjection,
+  planBunks,
 } from '../controllers/bunkPredictorController.js';
 import { authenticate, requireEmailVerified } from '../middleware/auth.js';
+import { bunkPlanValidation } from '../middleware/validation.js';
+import { scopeToSemester } from '../middleware/semester.js';
 
 const router = express.Router();
 
-// All bunk predictor routes require authentication and email verification
-router.use(authenticate, requireEmailVerified);
+// All bunk predictor routes require authentication and email verification,
+// and are scoped to the active semester
+router.use(authenticate, requireEmailVerified, scopeToSemester);
 
 router.post('/predict', predictBunk);
 router.get('/bulk-predict', bulkPredictBunk);
 router.post('/simulate', simulateBunks);
+router.get('/projection', getProjection);
+router.post('/plan', bunkPlanValidation, planBunks);
 
 export default router;
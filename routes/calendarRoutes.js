@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  getCalendarEvents,
+  createCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent,
+  importCalendar,
+} from '../controllers/calendarController.js';
+import { authenticate, requireEmailVerified } from '../middleware/auth.js';
+import {
+  calendarEventValidation,
+  mongoIdValidation,
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All calendar routes require authentication and email verification
+router.use(authenticate, requireEmailVerified);
+
+router.post(
+  '/import',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }),
+  importCalendar
+);
+
+router
+  .route('/')
+  .get(getCalendarEvents)
+  .post(calendarEventValidation, createCalendarEvent);
+
+router
+  .route('/:id')
+  .put(mongoIdValidation, updateCalendarEvent)
+  .delete(mongoIdValidation, deleteCalendarEvent);
+
+export default router;
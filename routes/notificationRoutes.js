@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  subscribePush,
+  unsubscribePush,
+  sendTestNotification,
+  getNotificationHistory,
+} from '../controllers/notificationController.js';
+import { authenticate, requireEmailVerified } from '../middleware/auth.js';
+import {
+  notificationPreferencesValidation,
+  pushSubscriptionValidation,
+  pushUnsubscribeValidation,
+  testNotificationValidation,
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All notification routes require authentication and email verification
+router.use(authenticate, requireEmailVerified);
+
+router
+  .route('/preferences')
+  .get(getNotificationPreferences)
+  .put(notificationPreferencesValidation, updateNotificationPreferences);
+
+router
+  .route('/push-subscriptions')
+  .post(pushSubscriptionValidation, subscribePush)
+  .delete(pushUnsubscribeValidation, unsubscribePush);
+
+router.post('/test', testNotificationValidation, sendTestNotification);
+router.get('/history', getNotificationHistory);
+
+export default router;
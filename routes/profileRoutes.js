@@ -4,8 +4,18 @@ import {
   updateProfile,
   changePassword,
   deactivateAccount,
+  requestAccountDeletion,
+  getAttendanceStatuses,
+  updateAttendanceStatuses,
+  exportAccount,
 } from '../controllers/profileController.js';
 import { authenticate, requireEmailVerified } from '../middleware/auth.js';
+import { scopeToSemester } from '../middleware/semester.js';
+import {
+  attendanceStatusesValidation,
+  exportValidation,
+  accountDeletionValidation,
+} from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -19,5 +29,14 @@ router
   .delete(deactivateAccount);
 
 router.put('/password', requireEmailVerified, changePassword);
+router.post('/deletion', accountDeletionValidation, requestAccountDeletion);
+
+// CSV and PDF exports cover the active semester, or ?semesterId= for an archived one
+router.get('/export', exportValidation, scopeToSemester, exportAccount);
+
+router
+  .route('/attendance-statuses')
+  .get(getAttendanceStatuses)
+  .put(attendanceStatusesValidation, updateAttendanceStatuses);
 
 export default router;
@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+  getSemesters,
+  getSemesterById,
+  createSemester,
+  updateSemester,
+  deleteSemester,
+  activateSemester,
+  closeSemester,
+} from '../controllers/semesterController.js';
+import { authenticate, requireEmailVerified } from '../middleware/auth.js';
+import {
+  semesterValidation,
+  semesterUpdateValidation,
+  mongoIdValidation,
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All semester routes require authentication and email verification
+router.use(authenticate, requireEmailVerified);
+
+router
+  .route('/')
+  .get(getSemesters)
+  .post(semesterValidation, createSemester);
+
+router
+  .route('/:id')
+  .get(mongoIdValidation, getSemesterById)
+  .put(mongoIdValidation, semesterUpdateValidation, updateSemester)
+  .delete(mongoIdValidation, deleteSemester);
+
+router.post('/:id/activate', mongoIdValidation, activateSemester);
+router.post('/:id/close', mongoIdValidation, closeSemester);
+
+export default router;
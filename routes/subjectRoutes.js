@@ -6,17 +6,23 @@ import {
   updateSubject,
   deleteSubject,
   getSubjectStats,
+  resyncSubject,
+  reconcileSubject,
 } from '../controllers/subjectController.js';
 import { authenticate, requireEmailVerified } from '../middleware/auth.js';
+import { scopeToSemester } from '../middleware/semester.js';
 import {
   subjectValidation,
   mongoIdValidation,
+  resyncValidation,
+  reconcileValidation,
 } from '../middleware/validation.js';
 
 const router = express.Router();
 
-// All subject routes require authentication and email verification
-router.use(authenticate, requireEmailVerified);
+// All subject routes require authentication and email verification,
+// and are scoped to the active semester
+router.use(authenticate, requireEmailVerified, scopeToSemester);
 
 router
   .route('/')
@@ -30,5 +36,7 @@ router
   .delete(mongoIdValidation, deleteSubject);
 
 router.get('/:id/stats', mongoIdValidation, getSubjectStats);
+router.post('/:id/resync', mongoIdValidation, resyncValidation, resyncSubject);
+router.post('/:id/reconcile', mongoIdValidation, reconcileValidation, reconcileSubject);
 
 export default router;
@@ -6,19 +6,61 @@ import {
   updateTimetableEntry,
   deleteTimetableEntry,
   getTodayTimetable,
+  getTimetableOverrides,
+  createTimetableOverride,
+  deleteTimetableOverride,
+  exportTimetableICS,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed,
+  importTimetable,
+  replaceTimetableWeek,
+  getFreeSlots,
 } from '../controllers/timetableController.js';
 import { authenticate, requireEmailVerified } from '../middleware/auth.js';
+import { scopeToSemester } from '../middleware/semester.js';
 import {
   timetableValidation,
+  timetableUpdateValidation,
+  timetableWeekValidation,
+  timetableOverrideValidation,
+  timetableOverrideListValidation,
+  freeSlotsValidation,
   mongoIdValidation,
 } from '../middleware/validation.js';
 
 const router = express.Router();
 
-// All timetable routes require authentication and email verification
-router.use(authenticate, requireEmailVerified);
+// Calendar apps poll the feed without a login; the token in the URL is the secret
+router.get('/feed/:token.ics', getCalendarFeed);
+
+// All other timetable routes require authentication and email verification,
+// and are scoped to the active semester
+router.use(authenticate, requireEmailVerified, scopeToSemester);
 
 router.get('/today', getTodayTimetable);
+router.get('/free-slots', freeSlotsValidation, getFreeSlots);
+router.get('/export.ics', exportTimetableICS);
+
+router
+  .route('/feed')
+  .post(createCalendarFeed)
+  .delete(revokeCalendarFeed);
+
+router.post(
+  '/import',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }),
+  importTimetable
+);
+
+router
+  .route('/overrides')
+  .get(timetableOverrideListValidation, getTimetableOverrides)
+  .post(timetableOverrideValidation, createTimetableOverride);
+
+router.delete('/overrides/:id', mongoIdValidation, deleteTimetableOverride);
+
+router.put('/week', timetableWeekValidation, replaceTimetableWeek);
 
 router
   .route('/')
@@ -28,7 +70,7 @@ router
 router
   .route('/:id')
   .get(mongoIdValidation, getTimetableById)
-  .put(mongoIdValidation, updateTimetableEntry)
+  .put(mongoIdValidation, timetableUpdateValidation, updateTimetableEntry)
   .delete(mongoIdValidation, deleteTimetableEntry);
 
 export default router;
@@ -1,6 +1,8 @@
 import dotenv from 'dotenv';
 import app from './app.js';
 import connectDB from './config/database.js';
+import { registerJobs } from './utils/jobs.js';
+import { startScheduler, stopScheduler } from './utils/jobScheduler.js';
 
 // Load environment variables
 dotenv.config();
@@ -27,6 +29,10 @@ if (missingEnvVars.length > 0) {
 // Connect to database
 connectDB();
 
+// Background jobs: account purges, attendance digests, cleanup
+registerJobs();
+startScheduler();
+
 // Start server
 const PORT = process.env.PORT || 5000;
 
@@ -66,6 +72,7 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received. Shutting down gracefully...');
+  stopScheduler();
   server.close(() => {
     console.log('✅ Process terminated');
   });
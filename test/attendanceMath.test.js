@@ -0,0 +1,116 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculatePercentage,
+  meetsMinimum,
+  classesNeeded,
+  safeBunks,
+} from '../utils/attendanceMath.js';
+
+describe('calculatePercentage', () => {
+  test('returns 0 when no lectures were held', () => {
+    assert.equal(calculatePercentage(0, 0), 0);
+  });
+
+  test('handles 0% and 100%', () => {
+    assert.equal(calculatePercentage(0, 10), 0);
+    assert.equal(calculatePercentage(10, 10), 100);
+  });
+
+  test('rounds to 2 decimals', () => {
+    assert.equal(calculatePercentage(1, 3), 33.33);
+    assert.equal(calculatePercentage(2, 3), 66.67);
+  });
+});
+
+describe('meetsMinimum', () => {
+  test('is met when no lectures were held', () => {
+    assert.equal(meetsMinimum(0, 0, 75), true);
+    assert.equal(meetsMinimum(0, 0, 100), true);
+  });
+
+  test('compares exactly at the boundary', () => {
+    assert.equal(meetsMinimum(3, 4, 75), true);
+    assert.equal(meetsMinimum(74, 100, 75), false);
+  });
+
+  test('handles 0% and 100% minimums', () => {
+    assert.equal(meetsMinimum(0, 10, 0), true);
+    assert.equal(meetsMinimum(10, 10, 100), true);
+    assert.equal(meetsMinimum(9, 10, 100), false);
+  });
+
+  test('does not round fractional minimums', () => {
+    // 75.5% of 200 is 151; 150/200 would round to a passing 75%
+    assert.equal(meetsMinimum(151, 200, 75.5), true);
+    assert.equal(meetsMinimum(150, 200, 75.5), false);
+  });
+});
+
+describe('classesNeeded', () => {
+  test('is 0 when the minimum is met', () => {
+    assert.equal(classesNeeded(3, 4, 75), 0);
+    assert.equal(classesNeeded(0, 0, 75), 0);
+  });
+
+  test('solves for consecutive lectures to attend', () => {
+    assert.equal(classesNeeded(74, 100, 75), 4);
+    assert.equal(classesNeeded(0, 1, 75), 3);
+  });
+
+  test('handles 0% attendance and a 0% minimum', () => {
+    assert.equal(classesNeeded(0, 10, 75), 30);
+    assert.equal(classesNeeded(0, 10, 0), 0);
+  });
+
+  test('handles fractional minimums', () => {
+    assert.equal(classesNeeded(2, 3, 75.5), 2);
+    assert.equal(classesNeeded(150, 200, 75.5), 5);
+  });
+
+  test('is Infinity when a 100% minimum can no longer be reached', () => {
+    assert.equal(classesNeeded(9, 10, 100), Infinity);
+    assert.equal(classesNeeded(0, 1, 100), Infinity);
+  });
+
+  test('is 0 at 100% attendance with a 100% minimum', () => {
+    assert.equal(classesNeeded(10, 10, 100), 0);
+  });
+});
+
+describe('safeBunks', () => {
+  test('solves for consecutive lectures that can be missed', () => {
+    assert.equal(safeBunks(75, 100, 75), 0);
+    assert.equal(safeBunks(80, 100, 75), 6);
+  });
+
+  test('is 0 when the minimum is not met', () => {
+    assert.equal(safeBunks(74, 100, 75), 0);
+    assert.equal(safeBunks(0, 10, 75), 0);
+  });
+
+  test('is 0 when no lectures were held', () => {
+    assert.equal(safeBunks(0, 0, 75), 0);
+  });
+
+  test('is 0 at 100% attendance with a 100% minimum', () => {
+    assert.equal(safeBunks(10, 10, 100), 0);
+  });
+
+  test('is Infinity with a 0% minimum', () => {
+    assert.equal(safeBunks(0, 0, 0), Infinity);
+    assert.equal(safeBunks(10, 10, 0), Infinity);
+  });
+
+  test('handles fractional minimums', () => {
+    assert.equal(safeBunks(80, 100, 75.5), 5);
+    assert.equal(safeBunks(151, 200, 75.5), 0);
+    assert.equal(safeBunks(150, 200, 75.5), 0);
+  });
+
+  test('agrees with meetsMinimum after bunking', () => {
+    const bunks = safeBunks(80, 100, 75.5);
+    assert.equal(meetsMinimum(80, 100 + bunks, 75.5), true);
+    assert.equal(meetsMinimum(80, 100 + bunks + 1, 75.5), false);
+  });
+});
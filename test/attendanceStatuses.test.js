@@ -0,0 +1,101 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Subject from '../models/Subject.js';
+import DailyAttendance from '../models/DailyAttendance.js';
+import { DEFAULT_ATTENDANCE_STATUSES } from '../utils/attendanceStatus.js';
+import { updateAttendanceStatuses } from '../controllers/profileController.js';
+import { queryResult, runController, mockTransactions } from './helpers.js';
+
+const userId = new mongoose.Types.ObjectId();
+const subjectId = new mongoose.Types.ObjectId();
+
+/**
+ * Request that makes "late" stop counting as attended and drops "cancelled"
+ */
+const buildRequest = () => ({
+  user: { _id: userId },
+  body: {
+    statuses: DEFAULT_ATTENDANCE_STATUSES
+      .filter((status) => status.key !== 'cancelled')
+      .map((status) => (status.key === 'late' ? { ...status, countsAsAttended: false } : status)),
+  },
+});
+
+/**
+ * Mock the user, records and writes; every query records the session it ran in
+ */
+const mockModels = (t, { inUse = [], userModified = 1 } = {}) => {
+  const user = new User({ _id: userId, __v: 4, attendanceStatuses: DEFAULT_ATTENDANCE_STATUSES });
+  const sessions = [];
+  const inSession = (value) => {
+    const query = queryResult(value);
+    query.session = (session) => {
+      sessions.push(session);
+      return query;
+    };
+    return query;
+  };
+
+  t.mock.method(User, 'findById', () => inSession(user));
+  t.mock.method(DailyAttendance, 'distinct', () => inSession(inUse));
+  t.mock.method(DailyAttendance, 'aggregate', () =>
+    inSession([{ _id: { subjectId, status: 'late' }, count: 3 }])
+  );
+  const saveUser = t.mock.method(User, 'updateOne', async (filter, update, options) => {
+    sessions.push(options.session);
+    return { modifiedCount: userModified };
+  });
+  const bulkWrite = t.mock.method(Subject, 'bulkWrite', async (operations, options) => {
+    sessions.push(options.session);
+    return { modifiedCount: operations.length };
+  });
+
+  return { sessions, saveUser, bulkWrite };
+};
+
+describe('updateAttendanceStatuses', () => {
+  test('reads, checks and writes inside one transaction', async (t) => {
+    const session = mockTransactions(t);
+    const { sessions, saveUser, bulkWrite } = mockModels(t);
+
+    const { res, error } = await runController(updateAttendanceStatuses, buildRequest());
+
+    assert.equal(error, null);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.data.changedRules, ['late']);
+    assert.equal(res.body.data.subjectsUpdated, 1);
+    assert.equal(sessions.length, 5);
+    assert.ok(sessions.every((used) => used === session));
+
+    const [operation] = bulkWrite.mock.calls[0].arguments[0];
+    assert.deepEqual(operation.updateOne.update.$inc, { totalLectures: 0, attendedLectures: -3, __v: 1 });
+
+    const [filter, update] = saveUser.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: userId, __v: 4 });
+    assert.deepEqual(update.$inc, { __v: 1 });
+  });
+
+  test('rejects a concurrent rules change before touching counters', async (t) => {
+    mockTransactions(t);
+    const { bulkWrite } = mockModels(t, { userModified: 0 });
+
+    const { error } = await runController(updateAttendanceStatuses, buildRequest());
+
+    assert.equal(error.name, 'VersionError');
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+
+  test('refuses to remove a status that is in use', async (t) => {
+    mockTransactions(t);
+    const { saveUser, bulkWrite } = mockModels(t, { inUse: ['cancelled'] });
+
+    const { error } = await runController(updateAttendanceStatuses, buildRequest());
+
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, /in use: cancelled/);
+    assert.equal(saveUser.mock.callCount(), 0);
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,86 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import CalendarEvent from '../models/CalendarEvent.js';
+import DailyAttendance from '../models/DailyAttendance.js';
+import Subject from '../models/Subject.js';
+import Timetable from '../models/Timetable.js';
+import TimetableOverride from '../models/TimetableOverride.js';
+import { planBunks } from '../controllers/bunkPredictorController.js';
+import { DAYS_OF_WEEK, userToday, addDays, toDateKey } from '../utils/academicCalendar.js';
+import { queryResult, runController } from './helpers.js';
+
+const user = { _id: new mongoose.Types.ObjectId(), timezone: 'Asia/Kolkata', batch: null };
+const semesterId = new mongoose.Types.ObjectId();
+
+/**
+ * Mock a subject with one lecture every day of the week
+ */
+const mockDailyLectures = (t) => {
+  const subject = new Subject({
+    userId: user._id,
+    semesterId,
+    name: 'DBMS',
+    totalLectures: 20,
+    attendedLectures: 18,
+    minimumAttendance: 75,
+  });
+  const entries = DAYS_OF_WEEK.map(
+    (dayOfWeek) =>
+      new Timetable({
+        userId: user._id,
+        semesterId,
+        subjectId: subject._id,
+        dayOfWeek,
+        startTime: '09:00',
+        endTime: '10:00',
+      })
+  );
+
+  t.mock.method(Subject, 'find', () => queryResult([subject]));
+  t.mock.method(Timetable, 'find', () => queryResult(entries));
+  t.mock.method(TimetableOverride, 'find', () => queryResult([]));
+  t.mock.method(CalendarEvent, 'find', () => queryResult([]));
+  t.mock.method(DailyAttendance, 'find', () => queryResult([]));
+
+  return { subject, entries };
+};
+
+const plan = (startDate, endDate) =>
+  runController(planBunks, { body: { startDate, endDate }, user, semesterId });
+
+describe('planBunks', () => {
+  const today = userToday(user);
+
+  test('starts the plan today when the range began in the past', async (t) => {
+    mockDailyLectures(t);
+
+    const { res, error } = await plan(addDays(today, -7), addDays(today, 6));
+
+    assert.equal(error, null);
+    assert.equal(toDateKey(res.body.data.range.startDate), toDateKey(today));
+    assert.equal(res.body.data.totalLectures, 7);
+    assert.ok(res.body.data.lectures.every((lecture) => lecture.date >= today));
+  });
+
+  test('leaves out today\'s lectures that are already marked', async (t) => {
+    const { entries } = mockDailyLectures(t);
+    const todaysEntry = entries.find((entry) => entry.dayOfWeek === DAYS_OF_WEEK[today.getUTCDay()]);
+    t.mock.method(DailyAttendance, 'find', () =>
+      queryResult([{ subjectId: todaysEntry.subjectId, timetableEntryId: todaysEntry._id, status: 'present' }])
+    );
+
+    const { res } = await plan(today, addDays(today, 6));
+
+    assert.equal(res.body.data.totalLectures, 6);
+  });
+
+  test('rejects a range that has already passed', async (t) => {
+    mockDailyLectures(t);
+
+    const { error } = await plan(addDays(today, -10), addDays(today, -1));
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.message, 'Cannot plan bunks for dates that have passed');
+  });
+});
@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+/**
+ * Shared test helpers
+ *
+ * Tests run without a database: model methods are mocked per test with
+ * `t.mock.method`, and these helpers stand in for queries, responses and
+ * transactions.
+ */
+
+/**
+ * Stand in for a Mongoose query that resolves to a value
+ * Chained query methods (select, sort, lean...) return the same query.
+ * @param {*} value - Query result
+ * @returns {Object} Thenable query
+ */
+export const queryResult = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    exec: () => Promise.resolve(value),
+    // Cursors iterate the documents of an array result
+    cursor: async function* () {
+      yield* await value;
+    },
+  };
+
+  ['select', 'sort', 'lean', 'populate', 'session', 'where', 'limit', 'skip'].forEach((method) => {
+    query[method] = () => query;
+  });
+
+  return query;
+};
+
+/**
+ * Build an Express response that records its status and body
+ * @returns {Object} Response
+ */
+export const mockResponse = () => {
+  const res = { statusCode: 200, body: null, headers: {} };
+
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+
+  return res;
+};
+
+/**
+ * Run a controller and collect the response or the error passed to next
+ * @param {Function} handler - Controller
+ * @param {Object} req - Request
+ * @returns {Object} Object containing res and error
+ */
+export const runController = async (handler, req) => {
+  const res = mockResponse();
+  let error = null;
+
+  await handler(req, res, (err) => {
+    error = err ?? null;
+  });
+
+  return { res, error };
+};
+
+/**
+ * Make runInTransaction use a fake session, as on a replica set
+ * @param {Object} t - Test context
+ * @returns {Object} The fake session passed to the work
+ */
+export const mockTransactions = (t) => {
+  const session = {
+    withTransaction: async (work) => work(),
+    endSession: async () => {},
+  };
+
+  t.mock.method(mongoose, 'startSession', async () => session);
+  return session;
+};
+
+/**
+ * Run express-validator rules (without the final validate middleware)
+ * @param {Array} rules - Validation rules ending in validate
+ * @param {Object} req - Request with body, query and params
+ * @returns {Array} Validation errors as { field, message }
+ */
+export const runValidation = async (rules, req) => {
+  const { validationResult } = await import('express-validator');
+
+  for (const rule of rules.slice(0, -1)) {
+    await rule.run(req);
+  }
+
+  return validationResult(req)
+    .array()
+    .map((err) => ({ field: err.path, message: err.msg }));
+};
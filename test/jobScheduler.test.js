@@ -0,0 +1,122 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import { parseCron, nextCronRun } from '../utils/cron.js';
+import { defineJob, runDueJobs, INSTANCE_ID } from '../utils/jobScheduler.js';
+
+describe('nextCronRun', () => {
+  test('finds the next matching minute after a time', () => {
+    const from = new Date('2024-08-05T10:07:30Z');
+
+    assert.equal(nextCronRun('*/15 * * * *', from).toISOString(), '2024-08-05T10:15:00.000Z');
+    assert.equal(nextCronRun('30 3 * * *', from).toISOString(), '2024-08-06T03:30:00.000Z');
+  });
+
+  test('is exclusive of the start time', () => {
+    const from = new Date('2024-08-05T10:00:00Z');
+    assert.equal(nextCronRun('0 * * * *', from).toISOString(), '2024-08-05T11:00:00.000Z');
+  });
+
+  test('rejects invalid expressions', () => {
+    assert.throws(() => parseCron('* * *'));
+    assert.throws(() => parseCron('61 * * * *'));
+  });
+});
+
+describe('runDueJobs', () => {
+  const now = new Date('2024-08-05T10:00:00Z');
+
+  /**
+   * Define a job and mock the jobs collection so only it is due
+   */
+  const setup = (t, name, handler, { attempt = 0, retries = 2 } = {}) => {
+    const doc = { _id: new mongoose.Types.ObjectId(), name, attempt };
+    const updates = [];
+
+    defineJob(name, { schedule: '0 * * * *', handler, retries, retryDelayMs: 1000 });
+    const claim = t.mock.method(Job, 'findOneAndUpdate', async (filter) =>
+      filter.name === name ? doc : null
+    );
+    t.mock.method(Job, 'updateOne', async (filter, update) => {
+      updates.push({ filter, update });
+      return { modifiedCount: 1 };
+    });
+
+    return { claim, updates };
+  };
+
+  test('claims a due job with a lock and records success', async (t) => {
+    let runs = 0;
+    const { claim, updates } = setup(t, 'test-success', async () => {
+      runs++;
+      return { done: 1 };
+    });
+
+    const ran = await runDueJobs(now);
+
+    assert.deepEqual(ran, ['test-success']);
+    assert.equal(runs, 1);
+
+    const [filter, update] = claim.mock.calls.find((call) => call.arguments[0].name === 'test-success').arguments;
+    assert.deepEqual(filter.nextRunAt, { $lte: now });
+    assert.equal(update.$set.lockedBy, INSTANCE_ID);
+    assert.ok(update.$set.lockedUntil > now);
+
+    const [{ filter: owned, update: result }] = updates;
+    assert.equal(owned.lockedBy, INSTANCE_ID);
+    assert.equal(result.$set.lastStatus, 'success');
+    assert.equal(result.$set.attempt, 0);
+    assert.equal(result.$set.lockedBy, null);
+    assert.deepEqual(result.$set.lastResult, { done: 1 });
+  });
+
+  test('does not run a job another instance claimed', async (t) => {
+    let runs = 0;
+    setup(t, 'test-claimed', async () => runs++);
+    t.mock.method(Job, 'findOneAndUpdate', async () => null);
+
+    assert.deepEqual(await runDueJobs(now), []);
+    assert.equal(runs, 0);
+  });
+
+  test('retries a failed run with exponential backoff', async (t) => {
+    const { updates } = setup(
+      t,
+      'test-retry',
+      async () => {
+        throw new Error('SMTP down');
+      },
+      { attempt: 1 }
+    );
+    t.mock.method(console, 'error', () => {});
+
+    await runDueJobs(now);
+
+    const { $set, $inc } = updates[0].update;
+    const delay = $set.nextRunAt - $set.lastFinishedAt;
+    assert.equal($set.lastStatus, 'failed');
+    assert.equal($set.lastError, 'SMTP down');
+    assert.equal($set.attempt, 2);
+    assert.equal(delay, 2000);
+    assert.equal($inc.failCount, 1);
+  });
+
+  test('waits for the next scheduled run once retries run out', async (t) => {
+    const { updates } = setup(
+      t,
+      'test-give-up',
+      async () => {
+        throw new Error('SMTP down');
+      },
+      { attempt: 2 }
+    );
+    t.mock.method(console, 'error', () => {});
+
+    await runDueJobs(now);
+
+    const { $set } = updates[0].update;
+    assert.equal($set.attempt, 0);
+    assert.equal($set.nextRunAt.getTime(), nextCronRun('0 * * * *', $set.lastFinishedAt).getTime());
+  });
+});
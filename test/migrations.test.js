@@ -0,0 +1,149 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import CalendarEvent from '../models/CalendarEvent.js';
+import DailyAttendance from '../models/DailyAttendance.js';
+import Migration from '../models/Migration.js';
+import Semester from '../models/Semester.js';
+import Subject from '../models/Subject.js';
+import Timetable from '../models/Timetable.js';
+import TimetableOverride from '../models/TimetableOverride.js';
+import User from '../models/User.js';
+import runMigrations, { MIGRATIONS, canonicaliseCalendarDays } from '../utils/migrations.js';
+import { queryResult, mockTransactions } from './helpers.js';
+
+describe('runMigrations', () => {
+  test('runs only the migrations that have not completed, in order', async (t) => {
+    const ran = [];
+    const migrations = ['first', 'second', 'third'].map((name) => ({
+      name,
+      up: async () => ran.push(name),
+    }));
+    t.mock.method(Migration, 'distinct', async () => ['second']);
+    const recorded = t.mock.method(Migration, 'create', async (doc) => doc);
+
+    await runMigrations(migrations);
+
+    assert.deepEqual(ran, ['first', 'third']);
+    assert.deepEqual(
+      recorded.mock.calls.map((call) => call.arguments[0].name),
+      ['first', 'third']
+    );
+  });
+
+  test('does not record a migration that failed', async (t) => {
+    t.mock.method(Migration, 'distinct', async () => []);
+    const recorded = t.mock.method(Migration, 'create', async (doc) => doc);
+
+    await assert.rejects(
+      runMigrations([
+        {
+          name: 'broken',
+          up: async () => {
+            throw new Error('boom');
+          },
+        },
+      ]),
+      /boom/
+    );
+    assert.equal(recorded.mock.callCount(), 0);
+  });
+
+  test('skips everything once every migration is recorded', async (t) => {
+    t.mock.method(Migration, 'distinct', async () => MIGRATIONS.map(({ name }) => name));
+    const recorded = t.mock.method(Migration, 'create', async (doc) => doc);
+    const updateMany = t.mock.method(User.collection, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+    await runMigrations();
+
+    assert.equal(recorded.mock.callCount(), 0);
+    assert.equal(updateMany.mock.callCount(), 0);
+  });
+
+  test('names are unique', () => {
+    const names = MIGRATIONS.map(({ name }) => name);
+    assert.equal(new Set(names).size, names.length);
+  });
+});
+
+describe('canonicaliseCalendarDays', () => {
+  // Legacy days are read in the server's zone; each test file runs in its own process
+  process.env.TZ = 'Asia/Kolkata';
+
+  const day = new Date('2024-08-05T00:00:00Z');
+  // Local midnight in Kolkata, as older versions stored days
+  const legacyDate = new Date('2024-08-04T18:30:00Z');
+
+  /**
+   * Mock every calendar-day query to find nothing except one legacy attendance record
+   */
+  const mockLegacyRecord = (t, { legacyMarkedLater }) => {
+    const userId = new mongoose.Types.ObjectId();
+    const subject = new Subject({ userId, name: 'DBMS', totalLectures: 12, attendedLectures: 10 });
+    const legacy = {
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      subjectId: subject._id,
+      date: legacyDate,
+      status: 'absent',
+      timetableEntryId: null,
+      startTime: '09:00',
+      markedAt: new Date(legacyMarkedLater ? '2024-08-06' : '2024-08-04'),
+    };
+    const twin = { ...legacy, _id: new mongoose.Types.ObjectId(), date: day, status: 'present', markedAt: new Date('2024-08-05') };
+    const deleted = [];
+    const moved = [];
+
+    [CalendarEvent, Semester, User, Subject, TimetableOverride, Timetable].forEach((model) => {
+      t.mock.method(model, 'find', () => queryResult([]));
+    });
+    t.mock.method(DailyAttendance, 'find', () => queryResult([{ _id: legacy._id, date: legacyDate }]));
+    t.mock.method(DailyAttendance.collection, 'updateOne', async (filter, update) => {
+      if (filter._id.equals(legacy._id) && moved.length === 0 && deleted.length === 0) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      moved.push({ filter, update });
+      return { modifiedCount: 1 };
+    });
+    t.mock.method(DailyAttendance.collection, 'findOne', async (filter) =>
+      filter._id ? legacy : twin
+    );
+    t.mock.method(DailyAttendance.collection, 'deleteOne', async (filter) => {
+      deleted.push(filter._id);
+      return { deletedCount: 1 };
+    });
+
+    // Counter recomputation after the merge
+    mockTransactions(t);
+    t.mock.method(Subject, 'findById', () => queryResult(subject));
+    t.mock.method(User, 'findById', () => queryResult(null));
+    t.mock.method(DailyAttendance, 'aggregate', () =>
+      queryResult([{ _id: legacyMarkedLater ? 'absent' : 'present', count: 1 }])
+    );
+    const counters = t.mock.method(Subject, 'updateOne', async () => ({ modifiedCount: 1 }));
+    t.mock.method(console, 'warn', () => {});
+
+    return { legacy, twin, deleted, moved, counters };
+  };
+
+  test('keeps the canonical record when it was marked last', async (t) => {
+    const { legacy, deleted, moved, counters } = mockLegacyRecord(t, { legacyMarkedLater: false });
+
+    await canonicaliseCalendarDays();
+
+    assert.deepEqual(deleted, [legacy._id]);
+    assert.equal(moved.length, 0);
+    assert.deepEqual(counters.mock.calls[0].arguments[1].$set, { totalLectures: 1, attendedLectures: 1 });
+  });
+
+  test('moves the legacy record over the canonical one when it was marked last', async (t) => {
+    const { legacy, twin, deleted, moved, counters } = mockLegacyRecord(t, { legacyMarkedLater: true });
+
+    await canonicaliseCalendarDays();
+
+    assert.deepEqual(deleted, [twin._id]);
+    assert.deepEqual(moved[0].filter, { _id: legacy._id });
+    assert.deepEqual(moved[0].update, { $set: { date: day } });
+    assert.deepEqual(counters.mock.calls[0].arguments[1].$set, { totalLectures: 1, attendedLectures: 0 });
+  });
+});
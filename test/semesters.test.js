@@ -0,0 +1,100 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Semester from '../models/Semester.js';
+import { semesterValidation, semesterUpdateValidation } from '../middleware/validation.js';
+import { updateSemester } from '../controllers/semesterController.js';
+import { queryResult, runController, runValidation } from './helpers.js';
+
+const user = { _id: new mongoose.Types.ObjectId(), timezone: 'UTC' };
+
+const validate = (rules, body) => runValidation(rules, { body, user });
+
+describe('semester validation', () => {
+  test('requires every field on create', async () => {
+    const errors = await validate(semesterValidation, {});
+    const fields = errors.map((err) => err.field);
+
+    assert.ok(fields.includes('name'));
+    assert.ok(fields.includes('startDate'));
+    assert.ok(fields.includes('endDate'));
+  });
+
+  test('allows partial updates', async () => {
+    assert.deepEqual(await validate(semesterUpdateValidation, {}), []);
+    assert.deepEqual(await validate(semesterUpdateValidation, { name: 'Autumn 2024' }), []);
+    assert.deepEqual(await validate(semesterUpdateValidation, { endDate: '2024-12-20' }), []);
+  });
+
+  test('rejects invalid dates and wrong types on update', async () => {
+    const cases = [
+      [{ startDate: 'next monday' }, 'startDate'],
+      [{ endDate: '2024-13-45' }, 'endDate'],
+      [{ startDate: 2024 }, 'startDate'],
+      [{ endDate: null }, 'endDate'],
+      [{ name: 42 }, 'name'],
+      [{ name: '   ' }, 'name'],
+    ];
+
+    for (const [body, field] of cases) {
+      const errors = await validate(semesterUpdateValidation, body);
+      assert.ok(
+        errors.some((err) => err.field === field),
+        `expected an error on ${field} for ${JSON.stringify(body)}`
+      );
+    }
+  });
+
+  test('rejects an inverted range on update', async () => {
+    const errors = await validate(semesterUpdateValidation, {
+      startDate: '2024-12-20',
+      endDate: '2024-08-01',
+    });
+
+    assert.deepEqual(errors, [{ field: 'endDate', message: 'End date must be after start date' }]);
+  });
+});
+
+describe('updateSemester', () => {
+  const mockSemester = (t) => {
+    const semester = new Semester({
+      userId: user._id,
+      name: 'Autumn 2024',
+      startDate: new Date('2024-08-01'),
+      endDate: new Date('2024-12-20'),
+    });
+    const save = t.mock.method(semester, 'save', async () => semester);
+
+    t.mock.method(Semester, 'findOne', () => queryResult(semester));
+    return { semester, save };
+  };
+
+  test('returns 400 when one new date inverts the stored range', async (t) => {
+    const { save } = mockSemester(t);
+
+    const { error } = await runController(updateSemester, {
+      params: { id: new mongoose.Types.ObjectId().toString() },
+      body: { endDate: new Date('2024-07-01') },
+      user,
+    });
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.message, 'End date must be after start date');
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  test('saves a valid partial update', async (t) => {
+    const { semester, save } = mockSemester(t);
+
+    const { res, error } = await runController(updateSemester, {
+      params: { id: semester._id.toString() },
+      body: { endDate: new Date('2025-01-10') },
+      user,
+    });
+
+    assert.equal(error, null);
+    assert.equal(res.statusCode, 200);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(semester.endDate.toISOString(), '2025-01-10T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,105 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Subject from '../models/Subject.js';
+import Timetable from '../models/Timetable.js';
+import { importTimetable } from '../controllers/timetableController.js';
+import { queryResult, runController, mockTransactions } from './helpers.js';
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:dbms@example.com',
+  'SUMMARY:DBMS',
+  'DTSTART:20240805T090000Z',
+  'DTEND:20240805T100000Z',
+  'RRULE:FREQ=WEEKLY',
+  'LOCATION:Room 204',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:os@example.com',
+  'SUMMARY:Operating Systems',
+  'DTSTART:20240806T110000Z',
+  'DTEND:20240806T120000Z',
+  'RRULE:FREQ=WEEKLY',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+const buildRequest = (body) => ({
+  body,
+  query: {},
+  user: { _id: new mongoose.Types.ObjectId(), timezone: 'UTC', overallMinimumAttendance: 75 },
+  semesterId: new mongoose.Types.ObjectId(),
+});
+
+/**
+ * Mock the timetable and subject reads and record what gets written
+ */
+const mockImportModels = (t, existing = []) => {
+  const written = { subjects: [], entries: [], sessions: [] };
+
+  t.mock.method(Subject, 'find', () => queryResult([]));
+  t.mock.method(Timetable, 'find', () => queryResult(existing));
+  t.mock.method(Subject, 'insertMany', async (docs, options) => {
+    written.subjects.push(...docs);
+    written.sessions.push(options.session);
+    return docs;
+  });
+  t.mock.method(Timetable.prototype, '$save', async function (options) {
+    written.entries.push(this);
+    written.sessions.push(options.session);
+    return this;
+  });
+
+  return written;
+};
+
+describe('importTimetable', () => {
+  test('imports several entries inside a transaction', async (t) => {
+    const session = mockTransactions(t);
+    const written = mockImportModels(t);
+
+    const { res, error } = await runController(importTimetable, buildRequest({ ics: ICS }));
+
+    assert.equal(error, null);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.imported, 2);
+    assert.deepEqual(res.body.data.subjectsCreated, ['DBMS', 'Operating Systems']);
+
+    assert.equal(written.subjects.length, 2);
+    assert.deepEqual(
+      written.entries.map((entry) => [entry.dayOfWeek, entry.startTime, entry.endTime]),
+      [
+        ['Monday', '09:00', '10:00'],
+        ['Tuesday', '11:00', '12:00'],
+      ]
+    );
+    assert.ok(written.sessions.every((used) => used === session));
+  });
+
+  test('writes nothing on a dry run', async (t) => {
+    mockTransactions(t);
+    const written = mockImportModels(t);
+
+    const { res, error } = await runController(
+      importTimetable,
+      buildRequest({ ics: ICS, dryRun: true })
+    );
+
+    assert.equal(error, null);
+    assert.equal(res.body.data.dryRun, true);
+    assert.equal(res.body.data.imported, 2);
+    assert.equal(written.subjects.length, 0);
+    assert.equal(written.entries.length, 0);
+  });
+
+  test('rejects a file that is not iCalendar', async (t) => {
+    mockImportModels(t);
+
+    const { error } = await runController(importTimetable, buildRequest({ ics: 'not a calendar' }));
+
+    assert.equal(error.statusCode, 400);
+  });
+});
@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import TimetableOverride from '../models/TimetableOverride.js';
+import { timetableOverrideListValidation } from '../middleware/validation.js';
+import { getTimetableOverrides } from '../controllers/timetableController.js';
+import { queryResult, runController, runValidation } from './helpers.js';
+
+const user = { _id: new mongoose.Types.ObjectId(), timezone: 'America/New_York' };
+
+const validate = (query) => runValidation(timetableOverrideListValidation, { query, user });
+
+describe('timetable override list validation', () => {
+  test('accepts a range and files dates under the user\'s day', async () => {
+    const req = { query: { from: '2024-08-05', to: '2024-08-30T23:30:00-04:00' }, user };
+
+    assert.deepEqual(await runValidation(timetableOverrideListValidation, req), []);
+    assert.equal(req.query.from.toISOString(), '2024-08-05T00:00:00.000Z');
+    assert.equal(req.query.to.toISOString(), '2024-08-30T00:00:00.000Z');
+  });
+
+  test('rejects invalid dates', async () => {
+    for (const query of [{ from: 'tomorrow' }, { to: '2024-02-30x' }, { from: ['2024-08-05', '2024-08-06'] }]) {
+      const errors = await validate(query);
+      assert.equal(errors.length, 1, JSON.stringify(query));
+      assert.equal(errors[0].message, 'Please provide a valid date');
+    }
+  });
+
+  test('rejects an inverted range', async () => {
+    const errors = await validate({ from: '2024-08-30', to: '2024-08-05' });
+    assert.deepEqual(errors, [{ field: 'to', message: 'End date cannot be before start date' }]);
+  });
+
+  test('caps the span of the range', async () => {
+    assert.deepEqual(await validate({ from: '2024-01-01', to: '2024-12-31' }), []);
+
+    const errors = await validate({ from: '2024-01-01', to: '2025-01-02' });
+    assert.match(errors[0].message, /Cannot list more than 366 days/);
+  });
+});
+
+describe('getTimetableOverrides', () => {
+  test('lists the overrides of the validated range', async (t) => {
+    const find = t.mock.method(TimetableOverride, 'find', () => queryResult([]));
+    const req = { query: { from: '2024-08-05', to: '2024-08-09' }, user, semesterId: null };
+    await runValidation(timetableOverrideListValidation, req);
+
+    const { res, error } = await runController(getTimetableOverrides, req);
+
+    assert.equal(error, null);
+    assert.equal(res.body.count, 0);
+    assert.deepEqual(find.mock.calls[0].arguments[0].$or[0].date, {
+      $gte: new Date('2024-08-05T00:00:00Z'),
+      $lt: new Date('2024-08-10T00:00:00Z'),
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import nodemailer from 'nodemailer';
+import User from '../models/User.js';
+import Subject from '../models/Subject.js';
+import DailyAttendance from '../models/DailyAttendance.js';
+import { buildWeeklyReport, sendDueWeeklyReports } from '../utils/weeklyReport.js';
+import { queryResult } from './helpers.js';
+
+// Monday 10:00 in Kolkata
+const MONDAY = new Date('2024-08-12T04:30:00Z');
+
+const buildUser = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Asha',
+  email: 'asha@example.com',
+  timezone: 'Asia/Kolkata',
+  activeSemester: new mongoose.Types.ObjectId(),
+  lastWeeklyReportSentOn: null,
+});
+
+/**
+ * Mock one subject with a week of records and capture sent emails
+ */
+const mockReportData = (t, user, { sendFails = false } = {}) => {
+  const subject = new Subject({
+    userId: user._id,
+    semesterId: user.activeSemester,
+    name: 'DBMS',
+    totalLectures: 20,
+    attendedLectures: 14,
+    minimumAttendance: 75,
+  });
+  const sent = [];
+
+  t.mock.method(Subject, 'find', () => queryResult([subject]));
+  const records = t.mock.method(DailyAttendance, 'find', () =>
+    queryResult([
+      { subjectId: subject._id, status: 'present' },
+      { subjectId: subject._id, status: 'absent' },
+      { subjectId: subject._id, status: 'cancelled' },
+    ])
+  );
+  t.mock.method(nodemailer, 'createTransport', () => ({
+    sendMail: async (mail) => {
+      if (sendFails) throw new Error('SMTP down');
+      sent.push(mail);
+    },
+  }));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  return { records, sent };
+};
+
+describe('buildWeeklyReport', () => {
+  test('counts the week with the status rules and reports the semester standing', async (t) => {
+    const user = buildUser();
+    const { records } = mockReportData(t, user);
+    const weekStart = new Date('2024-08-05T00:00:00Z');
+
+    const report = await buildWeeklyReport(user, weekStart);
+
+    assert.deepEqual(records.mock.calls[0].arguments[0].date, {
+      $gte: weekStart,
+      $lt: new Date('2024-08-12T00:00:00Z'),
+    });
+    assert.equal(report.weekEnd.toISOString(), '2024-08-11T00:00:00.000Z');
+    assert.deepEqual(report.week, { attended: 1, total: 2, percentage: 50 });
+    assert.equal(report.subjects[0].percentage, 70);
+    assert.equal(report.subjects[0].belowMinimum, true);
+    assert.equal(report.subjects[0].classesNeeded, 4);
+  });
+
+  test('has nothing to report without an active semester', async () => {
+    assert.equal(await buildWeeklyReport({ ...buildUser(), activeSemester: null }, new Date()), null);
+  });
+});
+
+describe('sendDueWeeklyReports', () => {
+  test('claims the Monday and sends last week\'s report', async (t) => {
+    const user = buildUser();
+    const { sent } = mockReportData(t, user);
+    t.mock.method(User, 'find', () => queryResult([user]));
+    const claim = t.mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const summary = await sendDueWeeklyReports(MONDAY);
+
+    assert.deepEqual(summary, { sent: 1, skipped: 0, failed: 0 });
+    assert.deepEqual(claim.mock.calls[0].arguments, [
+      { _id: user._id, lastWeeklyReportSentOn: null },
+      { lastWeeklyReportSentOn: new Date('2024-08-12T00:00:00Z') },
+    ]);
+    assert.equal(sent[0].to, 'asha@example.com');
+    assert.match(sent[0].html, /2024-08-05 to 2024-08-11/);
+  });
+
+  test('skips other days and reports already sent this Monday', async (t) => {
+    const user = buildUser();
+    mockReportData(t, user);
+    t.mock.method(User, 'find', () => queryResult([user]));
+    const claim = t.mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await sendDueWeeklyReports(new Date('2024-08-13T04:30:00Z'));
+    user.lastWeeklyReportSentOn = new Date('2024-08-12T00:00:00Z');
+    await sendDueWeeklyReports(MONDAY);
+
+    assert.equal(claim.mock.callCount(), 0);
+  });
+
+  test('releases the claim when the email fails', async (t) => {
+    const user = buildUser();
+    mockReportData(t, user, { sendFails: true });
+    t.mock.method(User, 'find', () => queryResult([user]));
+    const updates = t.mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const summary = await sendDueWeeklyReports(MONDAY);
+
+    assert.deepEqual(summary, { sent: 0, skipped: 0, failed: 1 });
+    assert.deepEqual(updates.mock.calls[1].arguments, [
+      { _id: user._id },
+      { lastWeeklyReportSentOn: null },
+    ]);
+  });
+});
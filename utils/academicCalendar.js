@@ -0,0 +1,332 @@
+import CalendarEvent from '../models/CalendarEvent.js';
+import { compareTimes } from './timeOfDay.js';
+import { toCalendarDay, toZonedCalendarDay, toWallClock, userTimeZone } from './timezone.js';
+
+export const DAYS_OF_WEEK = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
+// Days in the order a timetable week is shown, Monday first
+export const WEEK_ORDER = [...DAYS_OF_WEEK.slice(1), DAYS_OF_WEEK[0]];
+
+/**
+ * Sort timetable entries by day of the week, then by start time
+ * @param {Array} entries - Entries with dayOfWeek and startTime
+ * @returns {Array} The same array, sorted
+ */
+export const sortByWeek = (entries) => {
+  return entries.sort(
+    (a, b) =>
+      WEEK_ORDER.indexOf(a.dayOfWeek) - WEEK_ORDER.indexOf(b.dayOfWeek) ||
+      compareTimes(a.startTime, b.startTime)
+  );
+};
+
+// How far ahead lecture timelines are expanded
+export const MAX_LOOKAHEAD_DAYS = 365;
+
+// How many weeks are scanned when checking if two recurring entries can meet
+const MAX_CONFLICT_WEEKS = 104;
+
+const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the start of the day for a date
+ * Days are stored as midnight UTC; see toCalendarDay.
+ * @param {Date|String} date - Date
+ * @returns {Date} Day at 00:00:00.000 UTC
+ */
+export const startOfDay = (date) => toCalendarDay(date);
+
+/**
+ * Get the calendar day a date sent by a user falls on, in their time zone
+ * @param {Date|String} date - Date from a request (YYYY-MM-DD or with a time)
+ * @param {Object} user - User document
+ * @returns {Date} Day at 00:00:00.000 UTC
+ */
+export const startOfUserDay = (date, user) => toZonedCalendarDay(date, userTimeZone(user));
+
+/**
+ * Get a user's current calendar day, in their time zone
+ * @param {Object} user - User document
+ * @returns {Date} Today at 00:00:00.000 UTC
+ */
+export const userToday = (user) => {
+  return startOfDay(toWallClock(new Date(), userTimeZone(user)));
+};
+
+/**
+ * Add a number of days to a date
+ * @param {Date} date - Date
+ * @param {Number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+export const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
+
+/**
+ * Format a date as a YYYY-MM-DD day key
+ * @param {Date} date - Date
+ * @returns {String} Day key
+ */
+export const toDateKey = (date) => {
+  return startOfDay(date).toISOString().slice(0, 10);
+};
+
+/**
+ * Get the weekday name of a calendar day
+ * @param {Date} date - Day
+ * @returns {String} e.g. "Monday"
+ */
+export const dayName = (date) => {
+  return DAYS_OF_WEEK[startOfDay(date).getUTCDay()];
+};
+
+/**
+ * Get the Monday that starts the week of a date
+ * @param {Date|String} date - Date
+ * @returns {Date} Monday at 00:00:00.000 UTC
+ */
+export const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getUTCDay() + 6) % 7));
+};
+
+/**
+ * Count the weeks between the weeks of two dates
+ * @param {Date} from - Date in the first week
+ * @param {Date} to - Date in the last week
+ * @returns {Number} Whole weeks (negative when to is before from)
+ */
+export const weeksBetween = (from, to) => {
+  return Math.round((startOfWeek(to) - startOfWeek(from)) / MS_PER_WEEK);
+};
+
+/**
+ * Check whether a timetable entry is held on a date under its recurrence rule.
+ * Week 1 is the week of the rule's anchor date, so odd weeks are 1, 3, 5...
+ * @param {Object} entry - Timetable entry
+ * @param {Date} date - Day to check
+ * @returns {Boolean} Whether the entry is held that day
+ */
+export const occursOn = (entry, date) => {
+  const day = startOfDay(date);
+
+  if (entry.dayOfWeek !== dayName(day)) return false;
+
+  const rule = entry.recurrence || {};
+
+  if (rule.validFrom && day < startOfDay(rule.validFrom)) return false;
+  if (rule.validUntil && day > startOfDay(rule.validUntil)) return false;
+
+  const dayKey = toDateKey(day);
+  if (rule.exceptionDates?.some((exception) => toDateKey(exception) === dayKey)) {
+    return false;
+  }
+
+  const interval = rule.interval || 1;
+  const parity = rule.weekParity || 'any';
+
+  if (interval === 1 && parity === 'any') return true;
+
+  const anchor = rule.anchorDate || rule.validFrom;
+  if (!anchor) return true;
+
+  const week = weeksBetween(anchor, day);
+
+  if (parity !== 'any') {
+    return (Math.abs(week) % 2 === 0) === (parity === 'odd');
+  }
+
+  return week % interval === 0;
+};
+
+/**
+ * Average number of times an entry is held per week from a date onwards
+ * @param {Object} entry - Timetable entry
+ * @param {Date} from - Day to count from
+ * @returns {Number} Lectures per week (0 once the entry has ended)
+ */
+export const weeklyRate = (entry, from) => {
+  const rule = entry.recurrence || {};
+
+  if (rule.validUntil && startOfDay(rule.validUntil) < startOfDay(from)) return 0;
+  if (rule.weekParity && rule.weekParity !== 'any') return 0.5;
+
+  return 1 / (rule.interval || 1);
+};
+
+/**
+ * Check whether two timetable entries can ever be held on the same day
+ * @param {Object} a - Timetable entry
+ * @param {Object} b - Timetable entry
+ * @returns {Boolean} Whether the entries meet at least once
+ */
+export const canCoincide = (a, b) => {
+  if (a.dayOfWeek !== b.dayOfWeek) return false;
+  if (a.batch && b.batch && a.batch !== b.batch) return false;
+
+  const ruleA = a.recurrence || {};
+  const ruleB = b.recurrence || {};
+  const starts = [ruleA.validFrom, ruleB.validFrom, ruleA.anchorDate, ruleB.anchorDate]
+    .filter(Boolean)
+    .map((date) => startOfWeek(date).getTime());
+
+  // Intervals are at most 8 weeks, so any two patterns line up within the window
+  let week = startOfWeek(starts.length > 0 ? new Date(Math.max(...starts)) : new Date());
+  week = addDays(week, (DAYS_OF_WEEK.indexOf(a.dayOfWeek) + 6) % 7);
+
+  for (let i = 0; i < MAX_CONFLICT_WEEKS; i++) {
+    const day = addDays(week, i * 7);
+    if (occursOn(a, day) && occursOn(b, day)) return true;
+  }
+
+  return false;
+};
+
+/**
+ * Query filter limiting timetable entries to a user's batch
+ * @param {Object} user - User document
+ * @returns {Object} Filter for shared entries and the user's batch
+ */
+export const batchFilter = (user) => {
+  return user.batch ? { batch: { $in: [null, user.batch] } } : {};
+};
+
+/**
+ * Get a subject ID as a string from a raw or populated reference
+ * @param {Object|String} subject - Subject ID or populated subject
+ * @returns {String|null} Subject ID
+ */
+const toSubjectKey = (subject) => {
+  if (!subject) return null;
+  return String(subject._id ?? subject);
+};
+
+/**
+ * Get calendar events overlapping a date range
+ * @param {ObjectId} userId - User ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array} Calendar events
+ */
+export const getCalendarEvents = (userId, from, to) => {
+  return CalendarEvent.find({
+    userId,
+    startDate: { $lte: to },
+    endDate: { $gte: startOfDay(from) },
+  }).sort({ startDate: 1 });
+};
+
+/**
+ * Find the event that cancels a subject's lectures on a date
+ * @param {Array} events - Calendar events
+ * @param {Date} date - Day to check
+ * @param {Object|String} subject - Subject ID or populated subject (omit for whole-day events only)
+ * @returns {Object|undefined} Cancelling event
+ */
+export const findCancellingEvent = (events, date, subject = null) => {
+  const day = startOfDay(date);
+  const subjectKey = toSubjectKey(subject);
+
+  return events.find(
+    (event) =>
+      event.startDate <= day &&
+      event.endDate >= day &&
+      (!event.subjectId || toSubjectKey(event.subjectId) === subjectKey)
+  );
+};
+
+/**
+ * Expand timetable entries into dated lectures, skipping non-teaching days
+ * @param {Array} timetable - Timetable entries
+ * @param {Array} events - Calendar events covering the range
+ * @param {Date} from - First day (inclusive)
+ * @param {Date} to - Last day (inclusive)
+ * @returns {Array} Lectures as { date, entry }
+ */
+export const expandTimetable = (timetable, events, from, to) => {
+  const lectures = [];
+  const last = startOfDay(to);
+
+  for (let day = startOfDay(from); day <= last; day = addDays(day, 1)) {
+    timetable
+      .filter((entry) => occursOn(entry, day))
+      .forEach((entry) => {
+        if (!findCancellingEvent(events, day, entry.subjectId)) {
+          lectures.push({ date: day, entry });
+        }
+      });
+  }
+
+  return lectures;
+};
+
+/**
+ * Estimate how long it takes for a number of lectures to be held
+ * @param {Array} timetable - Timetable entries
+ * @param {Array} events - Calendar events covering the lookahead window
+ * @param {Number} lecturesNeeded - Lectures to attend
+ * @param {Date} from - First day to count from
+ * @returns {Object} Object containing teachingDays, calendarDays, completionDate and reached
+ */
+export const estimateLectureTimeline = (timetable, events, lecturesNeeded, from) => {
+  let lectures = 0;
+  let teachingDays = 0;
+  let calendarDays = 0;
+  let day = startOfDay(from);
+
+  while (lectures < lecturesNeeded && calendarDays < MAX_LOOKAHEAD_DAYS) {
+    const held = expandTimetable(timetable, events, day, day).length;
+
+    if (held > 0) {
+      lectures += held;
+      teachingDays++;
+    }
+
+    calendarDays++;
+    day = addDays(day, 1);
+  }
+
+  return {
+    teachingDays,
+    calendarDays,
+    completionDate: lectures >= lecturesNeeded ? addDays(day, -1) : null,
+    reached: lectures >= lecturesNeeded,
+  };
+};
+
+/**
+ * Find the next lecture of a subject, skipping non-teaching days
+ * @param {Array} timetable - Timetable entries
+ * @param {Array} events - Calendar events covering the lookahead window
+ * @param {Object|String} subject - Subject ID
+ * @param {Date} from - First day to search
+ * @returns {Object|null} Next lecture as { date, entry }
+ */
+export const findNextLecture = (timetable, events, subject, from) => {
+  const subjectKey = toSubjectKey(subject);
+  const subjectTimetable = timetable
+    .filter((entry) => toSubjectKey(entry.subjectId) === subjectKey)
+    .sort((a, b) => compareTimes(a.startTime, b.startTime));
+
+  if (subjectTimetable.length === 0) return null;
+
+  for (let offset = 0; offset < MAX_LOOKAHEAD_DAYS; offset++) {
+    const day = addDays(startOfDay(from), offset);
+    const [lecture] = expandTimetable(subjectTimetable, events, day, day);
+
+    if (lecture) return lecture;
+  }
+
+  return null;
+};
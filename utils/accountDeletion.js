@@ -0,0 +1,86 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Semester from '../models/Semester.js';
+import Subject from '../models/Subject.js';
+import Timetable from '../models/Timetable.js';
+import TimetableOverride from '../models/TimetableOverride.js';
+import DailyAttendance from '../models/DailyAttendance.js';
+import CalendarEvent from '../models/CalendarEvent.js';
+import PushSubscription from '../models/PushSubscription.js';
+import LectureNotification from '../models/LectureNotification.js';
+import { runInTransaction } from './transaction.js';
+
+const DEFAULT_GRACE_DAYS = 14;
+
+/**
+ * Get the deletion grace period from ACCOUNT_DELETION_GRACE_DAYS
+ * @returns {Number} Grace period in days
+ */
+export const getDeletionGraceDays = () => {
+  const days = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_GRACE_DAYS;
+};
+
+/**
+ * Permanently delete a user and everything they own
+ * With dueBy, the user is only deleted if their deletion is still scheduled
+ * by then, so an account whose deletion was cancelled in the meantime is kept.
+ * @param {ObjectId} userId - User ID
+ * @param {Object} options - dueBy: latest scheduled deletion time to accept
+ * @returns {Object|null} Deleted document counts per collection (null if not due)
+ */
+export const purgeAccount = async (userId, { dueBy = null } = {}) => {
+  return runInTransaction(async (session) => {
+    const filter = dueBy ? { _id: userId, deletionScheduledFor: { $lte: dueBy } } : { _id: userId };
+
+    // The user goes first, so a cancellation racing the purge either wins or conflicts
+    const result = await User.deleteOne(filter, { session });
+    if (result.deletedCount === 0) return null;
+
+    const deleted = { User: result.deletedCount };
+    const models = [
+      DailyAttendance,
+      TimetableOverride,
+      Timetable,
+      Subject,
+      Semester,
+      CalendarEvent,
+      PushSubscription,
+      LectureNotification,
+      Session,
+    ];
+
+    for (const model of models) {
+      const { deletedCount } = await model.deleteMany({ userId }, { session });
+      deleted[model.modelName] = deletedCount;
+    }
+
+    return deleted;
+  });
+};
+
+/**
+ * Purge every account whose deletion grace period has ended
+ * @param {Date} now - Current time
+ * @returns {Object} Number of accounts purged, skipped (cancelled meanwhile) and failed
+ */
+export const purgeDueAccounts = async (now = new Date()) => {
+  const due = await User.find({ deletionScheduledFor: { $lte: now } }).select('_id email');
+  const summary = { purged: 0, skipped: 0, failed: 0 };
+
+  for (const user of due) {
+    try {
+      const deleted = await purgeAccount(user._id, { dueBy: now });
+      deleted ? summary.purged++ : summary.skipped++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`✗ Failed to purge account ${user._id}:`, error.message);
+    }
+  }
+
+  if (summary.purged > 0) {
+    console.log(`✓ Purged ${summary.purged} deleted account(s)`);
+  }
+
+  return summary;
+};
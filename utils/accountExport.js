@@ -0,0 +1,439 @@
+import PDFDocument from 'pdfkit';
+import User from '../models/User.js';
+import Semester from '../models/Semester.js';
+import Subject from '../models/Subject.js';
+import Timetable from '../models/Timetable.js';
+import TimetableOverride from '../models/TimetableOverride.js';
+import DailyAttendance from '../models/DailyAttendance.js';
+import CalendarEvent from '../models/CalendarEvent.js';
+import { dayName, toDateKey, sortByWeek, userToday } from './academicCalendar.js';
+import { getStatusRules, getStatusCounts } from './attendanceStatus.js';
+import { calculatePercentage, meetsMinimum } from './attendanceMath.js';
+import { isCoveredByBaseline } from './subjectCounters.js';
+import {
+  getSemesterEnd,
+  countRemainingLectures,
+  projectAttendance,
+} from './attendanceProjection.js';
+
+/**
+ * Account data export (JSON, CSV attendance register, PDF report)
+ */
+
+const EXPORT_VERSION = 1;
+
+/**
+ * Collect everything stored for a user
+ * @param {Object} user - User document
+ * @returns {Object} Complete account export
+ */
+export const buildAccountExport = async (user) => {
+  const userId = user._id;
+
+  const [
+    profile,
+    semesters,
+    subjects,
+    timetable,
+    timetableOverrides,
+    attendance,
+    calendarEvents,
+  ] = await Promise.all([
+    User.findById(userId),
+    Semester.find({ userId }).sort({ startDate: 1 }).lean(),
+    Subject.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Timetable.find({ userId }).sort({ startMinutes: 1 }).lean().then(sortByWeek),
+    TimetableOverride.find({ userId }).sort({ date: 1, startMinutes: 1 }).lean(),
+    DailyAttendance.find({ userId }).sort({ date: 1, startTime: 1 }).lean(),
+    CalendarEvent.find({ userId }).sort({ startDate: 1 }).lean(),
+  ]);
+
+  return {
+    exportVersion: EXPORT_VERSION,
+    exportedAt: new Date(),
+    profile,
+    semesters,
+    subjects,
+    timetable,
+    timetableOverrides,
+    attendance,
+    calendarEvents,
+  };
+};
+
+/**
+ * Quote a value for CSV output
+ * @param {*} value - Cell value
+ * @returns {String} CSV cell
+ */
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise rows to CSV
+ * @param {Array} header - Column names
+ * @param {Array} rows - Rows of cells
+ * @returns {String} CSV text
+ */
+const toCSV = (header, rows) =>
+  [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Build a CSV attendance register, one block of rows per subject
+ * Each block lists the records the subject's baseline already covers, then the
+ * baseline itself, then every tracked record with running totals.
+ * @param {Object} user - User document
+ * @param {ObjectId|null} semesterId - Semester in scope
+ * @param {String} subjectId - Limit the register to one subject (optional)
+ * @returns {String|null} CSV text (null if the subject was not found)
+ */
+export const buildAttendanceRegisterCSV = async (user, semesterId, subjectId = null) => {
+  const subjectFilter = { userId: user._id, semesterId };
+  if (subjectId) subjectFilter._id = subjectId;
+
+  const subjects = await Subject.find(subjectFilter).sort({ name: 1 });
+  if (subjectId && subjects.length === 0) return null;
+
+  const records = await DailyAttendance.find({
+    userId: user._id,
+    subjectId: { $in: subjects.map((subject) => subject._id) },
+  })
+    .sort({ date: 1, startTime: 1 })
+    .lean();
+
+  const rules = getStatusRules(user);
+  const header = [
+    'Subject',
+    'Code',
+    'Date',
+    'Day',
+    'Time',
+    'Status',
+    'Counted',
+    'Attended',
+    'Running Attended',
+    'Running Total',
+    'Running %',
+    'Notes',
+  ];
+  const rows = [];
+
+  subjects.forEach((subject) => {
+    const subjectRecords = records.filter(
+      (record) => record.subjectId.toString() === subject._id.toString()
+    );
+    const covered = subjectRecords.filter((record) => isCoveredByBaseline(subject, record.date));
+    const tracked = subjectRecords.filter((record) => !isCoveredByBaseline(subject, record.date));
+
+    const recordRow = (record, counts, running) => [
+      subject.name,
+      subject.code,
+      toDateKey(record.date),
+      dayName(record.date),
+      record.startTime,
+      rules[record.status]?.label || record.status,
+      counts ? (counts.totalLectures ? 'Yes' : 'No') : 'In baseline',
+      counts ? (counts.attendedLectures ? 'Yes' : 'No') : '',
+      running?.attended ?? '',
+      running?.total ?? '',
+      running ? calculatePercentage(running.attended, running.total) : '',
+      record.notes,
+    ];
+
+    covered.forEach((record) => rows.push(recordRow(record, null, null)));
+
+    const running = {
+      attended: subject.baseline?.attendedLectures || 0,
+      total: subject.baseline?.totalLectures || 0,
+    };
+
+    rows.push([
+      subject.name,
+      subject.code,
+      subject.baseline?.asOf ? toDateKey(subject.baseline.asOf) : '',
+      '',
+      '',
+      'Baseline',
+      '',
+      '',
+      running.attended,
+      running.total,
+      calculatePercentage(running.attended, running.total),
+      'Opening balance',
+    ]);
+
+    tracked.forEach((record) => {
+      const counts = getStatusCounts(record.status, rules);
+      running.attended += counts.attendedLectures;
+      running.total += counts.totalLectures;
+      rows.push(recordRow(record, counts, { ...running }));
+    });
+  });
+
+  return toCSV(header, rows);
+};
+
+/**
+ * Collect the figures shown in the PDF attendance report
+ * @param {Object} user - User document
+ * @param {ObjectId|null} semesterId - Semester in scope
+ * @returns {Object} Report data
+ */
+export const buildAttendanceReport = async (user, semesterId) => {
+  const [semester, subjects, semesterEnd] = await Promise.all([
+    semesterId ? Semester.findById(semesterId) : null,
+    Subject.find({ userId: user._id, semesterId, isActive: true }).sort({ name: 1 }),
+    getSemesterEnd(user, semesterId),
+  ]);
+
+  const [records, remaining] = await Promise.all([
+    DailyAttendance.find({
+      userId: user._id,
+      subjectId: { $in: subjects.map((subject) => subject._id) },
+    })
+      .select('subjectId date status')
+      .lean(),
+    semesterEnd
+      ? countRemainingLectures({
+          userId: user._id,
+          semesterId,
+          semesterEnd,
+          batch: user.batch,
+          timezone: user.timezone,
+        })
+      : {},
+  ]);
+
+  const rules = getStatusRules(user);
+  const subjectsById = new Map(subjects.map((subject) => [subject._id.toString(), subject]));
+
+  // Tracked records per month and subject
+  const months = {};
+  records.forEach((record) => {
+    const subject = subjectsById.get(record.subjectId.toString());
+    if (isCoveredByBaseline(subject, record.date)) return;
+
+    const month = toDateKey(record.date).slice(0, 7);
+    const key = subject._id.toString();
+    const counts = getStatusCounts(record.status, rules);
+
+    months[month] = months[month] || {};
+    months[month][key] = months[month][key] || { attended: 0, total: 0 };
+    months[month][key].attended += counts.attendedLectures;
+    months[month][key].total += counts.totalLectures;
+  });
+
+  let totalLectures = 0;
+  let attendedLectures = 0;
+
+  const subjectRows = subjects.map((subject) => {
+    totalLectures += subject.totalLectures;
+    attendedLectures += subject.attendedLectures;
+
+    return {
+      id: subject._id.toString(),
+      name: subject.name,
+      code: subject.code,
+      attendedLectures: subject.attendedLectures,
+      totalLectures: subject.totalLectures,
+      percentage: subject.attendancePercentage,
+      minimumAttendance: subject.minimumAttendance,
+      isAboveMinimum: meetsMinimum(
+        subject.attendedLectures,
+        subject.totalLectures,
+        subject.minimumAttendance
+      ),
+      safeBunks: subject.safeBunks,
+      classesNeeded: subject.classesNeeded,
+      projection: semesterEnd
+        ? projectAttendance(subject, remaining[subject._id.toString()] || 0)
+        : null,
+    };
+  });
+
+  return {
+    generatedAt: new Date(),
+    generatedOn: userToday(user),
+    student: { name: user.name, email: user.email, college: user.college },
+    semester: semester
+      ? { name: semester.name, startDate: semester.startDate, endDate: semester.endDate }
+      : null,
+    semesterEnd,
+    overall: {
+      attendedLectures,
+      totalLectures,
+      percentage: calculatePercentage(attendedLectures, totalLectures),
+      minimumAttendance: user.overallMinimumAttendance,
+    },
+    subjects: subjectRows,
+    monthly: Object.keys(months)
+      .sort()
+      .map((month) => ({
+        month,
+        subjects: subjectRows.map((subject) => {
+          const counts = months[month][subject.id] || { attended: 0, total: 0 };
+          return { ...counts, percentage: calculatePercentage(counts.attended, counts.total) };
+        }),
+      })),
+  };
+};
+
+/**
+ * Format a number of lectures that may be unbounded
+ * @param {Number} value - Lecture count
+ * @returns {String} Display text
+ */
+const formatCount = (value) => (Number.isFinite(value) ? String(value) : '-');
+
+/**
+ * Draw a simple table
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array} columns - { label, width, align }
+ * @param {Array} rows - Rows of cell strings
+ */
+const drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const rowHeight = 16;
+
+  const drawRow = (cells, options = {}) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    let x = left;
+
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    cells.forEach((cell, i) => {
+      doc.text(String(cell ?? ''), x + 2, y + 4, {
+        width: columns[i].width - 4,
+        align: columns[i].align || 'left',
+        lineBreak: false,
+        ellipsis: true,
+      });
+      x += columns[i].width;
+    });
+
+    doc
+      .moveTo(left, y + rowHeight)
+      .lineTo(x, y + rowHeight)
+      .strokeColor('#dddddd')
+      .stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map((column) => column.label), { bold: true });
+  rows.forEach((row) => drawRow(row));
+  doc.moveDown();
+};
+
+/**
+ * Render the attendance report as a PDF
+ * @param {Object} report - Data from buildAttendanceReport
+ * @returns {PDFDocument} Document stream (already ended)
+ */
+export const renderAttendanceReportPDF = (report) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const heading = (text) => {
+    doc.moveDown(0.5).font('Helvetica-Bold').fontSize(13).fillColor('#000000').text(text);
+    doc.moveDown(0.3);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Attendance Report');
+  doc.font('Helvetica').fontSize(10).fillColor('#444444');
+  doc.text(`${report.student.name} <${report.student.email}>`);
+  if (report.student.college) doc.text(report.student.college);
+  if (report.semester) {
+    doc.text(
+      `${report.semester.name}: ${toDateKey(report.semester.startDate)} to ${toDateKey(report.semester.endDate)}`
+    );
+  }
+  doc.text(`Generated ${toDateKey(report.generatedOn)}`);
+
+  heading('Overall');
+  doc.font('Helvetica').fontSize(10).fillColor('#000000');
+  doc.text(
+    `${report.overall.attendedLectures} of ${report.overall.totalLectures} lectures attended ` +
+      `(${report.overall.percentage}%, minimum ${report.overall.minimumAttendance}%)`
+  );
+
+  heading('Subjects');
+  drawTable(
+    doc,
+    [
+      { label: 'Subject', width: 170 },
+      { label: 'Code', width: 60 },
+      { label: 'Attended', width: 60, align: 'right' },
+      { label: 'Total', width: 50, align: 'right' },
+      { label: '%', width: 55, align: 'right' },
+      { label: 'Minimum', width: 55, align: 'right' },
+      { label: 'Status', width: 65 },
+    ],
+    report.subjects.map((subject) => [
+      subject.name,
+      subject.code,
+      subject.attendedLectures,
+      subject.totalLectures,
+      subject.percentage,
+      `${subject.minimumAttendance}%`,
+      subject.isAboveMinimum ? 'OK' : 'Short',
+    ])
+  );
+
+  if (report.monthly.length > 0) {
+    heading('Monthly breakdown (tracked lectures)');
+
+    // Six months per table so every month fits the page width
+    for (let start = 0; start < report.monthly.length; start += 6) {
+      const chunk = report.monthly.slice(start, start + 6);
+      drawTable(
+        doc,
+        [
+          { label: 'Subject', width: 170 },
+          ...chunk.map(({ month }) => ({ label: month, width: 60, align: 'right' })),
+        ],
+        report.subjects.map((subject, i) => [
+          subject.name,
+          ...chunk.map(({ subjects }) =>
+            subjects[i].total > 0 ? `${subjects[i].attended}/${subjects[i].total}` : '-'
+          ),
+        ])
+      );
+    }
+  }
+
+  heading('Bunk predictor summary');
+  drawTable(
+    doc,
+    [
+      { label: 'Subject', width: 170 },
+      { label: 'Safe bunks', width: 65, align: 'right' },
+      { label: 'Classes needed', width: 65, align: 'right' },
+      { label: 'Remaining', width: 60, align: 'right' },
+      { label: 'Best final %', width: 75, align: 'right' },
+      { label: 'Outlook', width: 80 },
+    ],
+    report.subjects.map((subject) => [
+      subject.name,
+      formatCount(subject.safeBunks),
+      formatCount(subject.classesNeeded),
+      subject.projection ? subject.projection.remainingLectures : '-',
+      subject.projection ? subject.projection.bestAchievablePercentage : '-',
+      subject.projection ? subject.projection.status : '-',
+    ])
+  );
+
+  if (!report.semesterEnd) {
+    doc
+      .font('Helvetica')
+      .fontSize(9)
+      .fillColor('#666666')
+      .text('Set a semester end date to include end-of-semester projections.');
+  }
+
+  doc.end();
+  return doc;
+};
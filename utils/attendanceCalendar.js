@@ -0,0 +1,266 @@
+import DailyAttendance from '../models/DailyAttendance.js';
+import { startOfDay, toDateKey, dayName } from './academicCalendar.js';
+import { getRangeSessions } from './timetableOverrides.js';
+import { getStatusRules } from './attendanceStatus.js';
+import { calculatePercentage } from './attendanceMath.js';
+
+/**
+ * Attendance calendar (heatmap) data
+ *
+ * Marked attendance is counted by MongoDB - per day, per subject and week and
+ * per subject and month - so records are never loaded one by one. Only the
+ * timetable is expanded in memory, to know which sessions each day had.
+ */
+
+// Longest range one request may cover
+export const MAX_CALENDAR_DAYS = 366;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Monday of the record's week; $dayOfWeek is 1 for Sunday to 7 for Saturday
+const WEEK_START_EXPRESSION = {
+  $subtract: [
+    '$date',
+    { $multiply: [{ $mod: [{ $add: [{ $dayOfWeek: '$date' }, 5] }, 7] }, MS_PER_DAY] },
+  ],
+};
+
+// Identifies the session a record belongs to, like findSessionRecord:
+// the timetable entry, or subject and start time for extra lectures
+const SESSION_KEY_EXPRESSION = {
+  $ifNull: [
+    { $toString: '$timetableEntryId' },
+    { $concat: [{ $toString: '$subjectId' }, '|', { $ifNull: ['$startTime', ''] }] },
+  ],
+};
+
+/**
+ * Build the key of a scheduled session, matching SESSION_KEY_EXPRESSION
+ * @param {Object} session - Session from mergeOverrides
+ * @returns {String} Session key
+ */
+const sessionKey = (session) => {
+  if (session.timetableEntryId) return session.timetableEntryId.toString();
+  return `${session.subjectId._id ?? session.subjectId}|${session.startTime || ''}`;
+};
+
+/**
+ * Get the first and last day of a month
+ * @param {String} month - Month as YYYY-MM
+ * @returns {Object} Object containing from and to
+ */
+export const monthRange = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+
+  return {
+    from: new Date(Date.UTC(year, monthNumber - 1, 1)),
+    to: new Date(Date.UTC(year, monthNumber, 0)),
+  };
+};
+
+/**
+ * Count records where the status is one of a list
+ * @param {Array} statuses - Status keys
+ * @returns {Object} $sum accumulator
+ */
+const countStatuses = (statuses) => ({
+  $sum: { $cond: [{ $in: ['$status', statuses] }, 1, 0] },
+});
+
+/**
+ * Build the aggregation that counts marked attendance for the calendar
+ * @param {Object} match - Records to count
+ * @param {Object} rules - Rules from getStatusRules
+ * @returns {Array} Pipeline with days, weeks and months facets
+ */
+const buildCalendarPipeline = (match, rules) => {
+  const statuses = Object.values(rules);
+  const attended = statuses.filter((status) => status.countsAsAttended).map((status) => status.key);
+  const counted = statuses.filter((status) => status.countsTowardTotal).map((status) => status.key);
+  const missed = counted.filter((status) => !attended.includes(status));
+
+  const totals = { total: countStatuses(counted), attended: countStatuses(attended) };
+
+  return [
+    { $match: match },
+    {
+      $facet: {
+        days: [
+          {
+            $group: {
+              _id: '$date',
+              marked: { $sum: 1 },
+              present: countStatuses(attended),
+              absent: countStatuses(missed),
+              sessions: { $addToSet: SESSION_KEY_EXPRESSION },
+            },
+          },
+        ],
+        weeks: [
+          { $group: { _id: { subjectId: '$subjectId', period: WEEK_START_EXPRESSION }, ...totals } },
+          { $sort: { '_id.period': 1 } },
+        ],
+        months: [
+          {
+            $group: {
+              _id: {
+                subjectId: '$subjectId',
+                period: { $dateToString: { format: '%Y-%m', date: '$date' } },
+              },
+              ...totals,
+            },
+          },
+          { $sort: { '_id.period': 1 } },
+        ],
+      },
+    },
+  ];
+};
+
+/**
+ * Work out the sessions held each day of a range; days outside the semester have none
+ * @param {Object} user - User document
+ * @param {ObjectId|null} semesterId - Semester in scope
+ * @param {Object} range - from, to and the semester's start and end
+ * @returns {Map} Day key to { sessions, holiday }
+ */
+const getScheduledSessions = async (user, semesterId, { from, to, semesterStart, semesterEnd }) => {
+  const days = await getRangeSessions(user, semesterId, from, to);
+
+  return new Map(
+    days.map(({ date, sessions, holiday }) => {
+      const inSemester =
+        (!semesterStart || date >= semesterStart) && (!semesterEnd || date <= semesterEnd);
+
+      return [toDateKey(date), { sessions: inSemester ? sessions : [], holiday }];
+    })
+  );
+};
+
+/**
+ * Add a percentage to attended/total counts
+ * @param {Object} counts - total and attended
+ * @returns {Object} Counts with percentage (null when nothing was counted)
+ */
+const withPercentage = ({ total, attended }) => ({
+  total,
+  attended,
+  percentage: total > 0 ? calculatePercentage(attended, total) : null,
+});
+
+/**
+ * Sum per-subject period rows into totals per period
+ * @param {Array} rows - Rows with period, total and attended
+ * @returns {Array} Totals per period, in order
+ */
+const sumByPeriod = (rows) => {
+  const periods = new Map();
+
+  rows.forEach(({ period, total, attended }) => {
+    const sum = periods.get(period) || { period, total: 0, attended: 0 };
+    sum.total += total;
+    sum.attended += attended;
+    periods.set(period, sum);
+  });
+
+  return [...periods.values()]
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(({ period, ...counts }) => ({ period, ...withPercentage(counts) }));
+};
+
+/**
+ * Build the attendance calendar of a date range
+ * @param {Object} user - User document
+ * @param {ObjectId|null} semesterId - Semester in scope
+ * @param {Object} options - from, to, today, semesterStart, semesterEnd and subjects (name, code, color)
+ * @returns {Object} Object containing days, subjects (weekly and monthly percentages) and summary
+ */
+export const buildAttendanceCalendar = async (user, semesterId, options) => {
+  const { from, to, today, subjects } = options;
+  const rules = getStatusRules(user);
+
+  const [scheduled, [marked]] = await Promise.all([
+    getScheduledSessions(user, semesterId, options),
+    DailyAttendance.aggregate(
+      buildCalendarPipeline(
+        { userId: user._id, semesterId, date: { $gte: from, $lte: to } },
+        rules
+      )
+    ),
+  ]);
+
+  const markedByDay = new Map(marked.days.map((day) => [toDateKey(day._id), day]));
+
+  const days = [...scheduled].map(([dateKey, { sessions, holiday }]) => {
+    const counts = markedByDay.get(dateKey);
+    const markedSessions = new Set(counts?.sessions || []);
+    const isPast = startOfDay(dateKey) <= today;
+
+    const present = counts?.present || 0;
+    const absent = counts?.absent || 0;
+
+    return {
+      date: dateKey,
+      dayOfWeek: dayName(dateKey),
+      isTeachingDay: !holiday,
+      holiday: holiday ? { title: holiday.title, type: holiday.type } : null,
+      scheduled: sessions.length,
+      present,
+      absent,
+      other: (counts?.marked || 0) - present - absent,
+      // Future sessions can't be marked yet, so they are never "unmarked"
+      unmarked: isPast ? sessions.filter((session) => !markedSessions.has(sessionKey(session))).length : 0,
+      percentage: present + absent > 0 ? calculatePercentage(present, present + absent) : null,
+    };
+  });
+
+  const toRows = (groups, formatPeriod) =>
+    groups.map(({ _id, total, attended }) => ({
+      subjectId: _id.subjectId.toString(),
+      period: formatPeriod(_id.period),
+      total,
+      attended,
+    }));
+
+  const weekRows = toRows(marked.weeks, (weekStart) => toDateKey(weekStart));
+  const monthRows = toRows(marked.months, (month) => month);
+
+  const subjectSummaries = subjects.map((subject) => {
+    const subjectId = subject._id.toString();
+    const periods = (rows, name) =>
+      rows
+        .filter((row) => row.subjectId === subjectId)
+        .map(({ period, ...counts }) => ({ [name]: period, ...withPercentage(counts) }));
+
+    return {
+      subjectId,
+      name: subject.name,
+      code: subject.code,
+      color: subject.color,
+      weeks: periods(weekRows, 'weekStart'),
+      months: periods(monthRows, 'month'),
+    };
+  });
+
+  const totals = days.reduce(
+    (sum, day) => ({
+      scheduled: sum.scheduled + day.scheduled,
+      present: sum.present + day.present,
+      absent: sum.absent + day.absent,
+      unmarked: sum.unmarked + day.unmarked,
+    }),
+    { scheduled: 0, present: 0, absent: 0, unmarked: 0 }
+  );
+
+  return {
+    days,
+    subjects: subjectSummaries,
+    summary: {
+      ...totals,
+      percentage: withPercentage({ total: totals.present + totals.absent, attended: totals.present })
+        .percentage,
+      weeks: sumByPeriod(weekRows).map(({ period, ...counts }) => ({ weekStart: period, ...counts })),
+      months: sumByPeriod(monthRows).map(({ period, ...counts }) => ({ month: period, ...counts })),
+    },
+  };
+};
@@ -0,0 +1,111 @@
+import User from '../models/User.js';
+import { startOfDay } from './academicCalendar.js';
+import { findPendingSessions } from './pendingAttendance.js';
+import { userTimeZone, toWallClock } from './timezone.js';
+import { generateAttendanceLinkToken } from './tokenUtils.js';
+import { sendPendingAttendanceEmail } from './emailService.js';
+
+const DEFAULT_DIGEST_HOUR = 8;
+
+// Sessions listed in one email; the rest are only counted
+export const MAX_DIGEST_SESSIONS = 20;
+
+/**
+ * Get the local hour digests are sent at from ATTENDANCE_DIGEST_HOUR
+ * @returns {Number} Hour of the day (0-23)
+ */
+export const getDigestHour = () => {
+  const hour = Number(process.env.ATTENDANCE_DIGEST_HOUR);
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : DEFAULT_DIGEST_HOUR;
+};
+
+/**
+ * Build the one-click links that mark a pending session
+ * @param {Object} user - User document
+ * @param {Object} item - Pending session from findPendingSessions
+ * @returns {Object} Mark URLs keyed by status
+ */
+export const buildMarkLinks = (user, item) => {
+  const link = (status) => {
+    const token = generateAttendanceLinkToken({
+      userId: user._id,
+      semesterId: user.activeSemester ? user.activeSemester.toString() : null,
+      subjectId: item.subject.id.toString(),
+      date: item.date,
+      timetableEntryId: item.timetableEntryId ? item.timetableEntryId.toString() : null,
+      startTime: item.startTime || null,
+      status,
+    });
+
+    return `${process.env.FRONTEND_URL}/mark-attendance?token=${token}`;
+  };
+
+  return { present: link('present'), absent: link('absent') };
+};
+
+/**
+ * Email a user the sessions of their active semester that still need marking
+ * @param {Object} user - User document
+ * @returns {Boolean} Whether an email was sent (false when nothing is pending)
+ */
+export const sendAttendanceDigest = async (user) => {
+  const { pending } = await findPendingSessions(user, user.activeSemester);
+
+  if (pending.length === 0) return false;
+
+  // The most recent sessions are the ones most worth marking
+  const sessions = pending
+    .slice(-MAX_DIGEST_SESSIONS)
+    .map((item) => ({ ...item, markUrls: buildMarkLinks(user, item) }));
+
+  const sent = await sendPendingAttendanceEmail(user.email, user.name, sessions, pending.length);
+
+  if (!sent) {
+    throw new Error('Digest email could not be sent');
+  }
+
+  return true;
+};
+
+/**
+ * Send today's digest to every user whose digest hour has passed
+ * Each user's day is claimed before sending, so a digest goes out at most once a day.
+ * @param {Date} now - Current time
+ * @returns {Object} Number of digests sent, skipped (nothing pending) and failed
+ */
+export const sendDueDigests = async (now = new Date()) => {
+  const hour = getDigestHour();
+  const users = await User.find({ isActive: true, emailVerified: true, attendanceDigest: true });
+  const summary = { sent: 0, skipped: 0, failed: 0 };
+
+  for (const user of users) {
+    const localNow = toWallClock(now, userTimeZone(user));
+    if (localNow.getUTCHours() < hour) continue;
+
+    const today = startOfDay(localNow);
+    const previous = user.lastDigestSentOn ?? null;
+    if (previous && previous >= today) continue;
+
+    const claim = await User.updateOne(
+      { _id: user._id, lastDigestSentOn: previous },
+      { lastDigestSentOn: today }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    try {
+      const sent = await sendAttendanceDigest(user);
+      sent ? summary.sent++ : summary.skipped++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`✗ Failed to send attendance digest to ${user._id}:`, error.message);
+      // Release the claim so the next run tries again
+      await User.updateOne({ _id: user._id }, { lastDigestSentOn: previous });
+    }
+  }
+
+  if (summary.sent > 0) {
+    console.log(`✓ Sent ${summary.sent} attendance digest(s)`);
+  }
+
+  return summary;
+};
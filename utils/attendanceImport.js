@@ -0,0 +1,472 @@
+import { toDateKey, occursOn } from './academicCalendar.js';
+import { getRecordDelta } from './subjectCounters.js';
+
+/**
+ * Attendance history import
+ *
+ * Rows are resolved first (date, subject, status, timetable session) and then
+ * planned against the records that already exist, so a dry run and a real
+ * import produce exactly the same result.
+ */
+
+// Accepted header names per column, normalised to lowercase letters and digits
+export const IMPORT_COLUMNS = {
+  date: ['date', 'day', 'lecturedate', 'classdate'],
+  subject: ['subject', 'subjectname', 'course', 'coursename', 'paper'],
+  code: ['code', 'subjectcode', 'coursecode', 'papercode'],
+  status: ['status', 'attendance', 'attendancestatus', 'mark'],
+  startTime: ['time', 'starttime', 'slot', 'period'],
+  notes: ['notes', 'note', 'remarks', 'remark', 'comment'],
+};
+
+// Common ERP and spreadsheet spellings of the default statuses
+const STATUS_ALIASES = {
+  present: ['p', 'pr', 'present', 'attended', 'yes', 'y', '1'],
+  absent: ['a', 'ab', 'abs', 'absent', 'missed', 'no', 'n', '0'],
+  late: ['l', 'late'],
+  excused: ['dl', 'od', 'onduty', 'dutyleave', 'excused'],
+  medical: ['ml', 'medical', 'medicalleave', 'sick'],
+  cancelled: ['c', 'nc', 'cancelled', 'canceled', 'noclass'],
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const ABBREVIATION_STOP_WORDS = ['and', 'of', 'the', 'in', 'for', 'to', 'with'];
+
+// Minimum similarity (0-1) for a fuzzy subject match
+const FUZZY_THRESHOLD = 0.75;
+
+const normalise = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Build a calendar day, rejecting impossible days such as 31/02
+ * @param {Number} year - Full year
+ * @param {Number} month - Month (1-12)
+ * @param {Number} day - Day of month
+ * @returns {Date|null} Start of the day (midnight UTC) or null
+ */
+const buildDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+
+  if (
+    date.getUTCFullYear() !== fullYear ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Parse an imported date cell
+ * Slash and dot separated dates are day-first unless dateFormat is 'mdy'.
+ * @param {*} value - Cell value (string, Date or Excel serial number)
+ * @param {String} dateFormat - 'dmy' or 'mdy'
+ * @returns {Date|null} Start of the day or null if unparseable
+ */
+export const parseImportDate = (value, dateFormat = 'dmy') => {
+  if (value === null || value === undefined || value === '') return null;
+
+  // XLSX dates arrive as UTC midnight
+  if (value instanceof Date) {
+    return buildDate(value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate());
+  }
+
+  // Excel serial day number (days since 1899-12-30)
+  if (typeof value === 'number') {
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(value) * 86400000);
+    return buildDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+  }
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+  if (match) return buildDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (match) {
+    const [first, second, year] = match.slice(1).map(Number);
+    return dateFormat === 'mdy'
+      ? buildDate(year, first, second)
+      : buildDate(year, second, first);
+  }
+
+  // 05-Aug-2024, 5 August 2024
+  match = text.match(/^(\d{1,2})[\s-]+([a-z]{3,})[\s,-]+(\d{2}|\d{4})$/i);
+  if (match) {
+    const month = MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+    return month ? buildDate(Number(match[3]), month, Number(match[1])) : null;
+  }
+
+  // Aug 5, 2024
+  match = text.match(/^([a-z]{3,})\s+(\d{1,2}),?\s+(\d{4})$/i);
+  if (match) {
+    const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1;
+    return month ? buildDate(Number(match[3]), month, Number(match[2])) : null;
+  }
+
+  return null;
+};
+
+/**
+ * Parse an imported lecture start time to HH:mm
+ * @param {*} value - Cell value ("9:00", "9:00 AM", Excel time fraction or Date)
+ * @returns {String|null|undefined} HH:mm, null if empty, undefined if unparseable
+ */
+export const parseImportTime = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  let hours;
+  let minutes;
+
+  if (value instanceof Date) {
+    hours = value.getUTCHours();
+    minutes = value.getUTCMinutes();
+  } else if (typeof value === 'number') {
+    const totalMinutes = Math.round((value % 1) * 24 * 60);
+    hours = Math.floor(totalMinutes / 60);
+    minutes = totalMinutes % 60;
+  } else {
+    const match = String(value).trim().match(/^(\d{1,2})[:.](\d{2})\s*(am|pm)?$/i);
+    if (!match) return undefined;
+
+    hours = Number(match[1]);
+    minutes = Number(match[2]);
+    const meridiem = match[3]?.toLowerCase();
+
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return undefined;
+      hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+  }
+
+  if (hours > 23 || minutes > 59) return undefined;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Map an imported status to one of the user's status keys
+ * @param {*} value - Cell value
+ * @param {Object} rules - Status rules from getStatusRules
+ * @returns {String|null} Status key or null if unknown
+ */
+export const resolveStatus = (value, rules) => {
+  const input = normalise(value);
+  if (!input) return null;
+
+  const byUserStatus = Object.values(rules).find(
+    (rule) => normalise(rule.key) === input || normalise(rule.label) === input
+  );
+  if (byUserStatus) return byUserStatus.key;
+
+  const alias = Object.keys(STATUS_ALIASES).find((key) => STATUS_ALIASES[key].includes(input));
+  return alias && rules[alias] ? alias : null;
+};
+
+/**
+ * Levenshtein similarity between two normalised strings
+ * @param {String} a - First string
+ * @param {String} b - Second string
+ * @returns {Number} Similarity from 0 to 1
+ */
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+const isNumeral = (word) => /^(\d+|[ivx]+)$/.test(word);
+
+/**
+ * Check whether input abbreviates a subject name
+ * Each word contributes its first letter and optionally more of its letters in
+ * order, so "dbms", "os" and "enggmaths" abbreviate "Database Management
+ * Systems", "Operating Systems" and "Engineering Mathematics III". Numeral
+ * words such as "III" may be left out.
+ * @param {String} value - Normalised input
+ * @param {String} name - Subject name
+ * @returns {Boolean} True if value abbreviates name
+ */
+const abbreviates = (value, name) => {
+  const words = name
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !ABBREVIATION_STOP_WORDS.includes(word));
+
+  const matchFrom = (vi, wi) => {
+    if (wi === words.length) return vi === value.length;
+    if (vi === value.length) return words.slice(wi).every(isNumeral);
+
+    const word = words[wi];
+    if (isNumeral(word) && matchFrom(vi, wi + 1)) return true;
+    if (value[vi] !== word[0]) return false;
+
+    // Take the first letter, then try taking more letters of the word in order
+    let wj = 1;
+    for (let v = vi + 1; v <= value.length; v++) {
+      if (matchFrom(v, wi + 1)) return true;
+      if (v === value.length) break;
+
+      const next = word.indexOf(value[v], wj);
+      if (next === -1) break;
+      wj = next + 1;
+    }
+    return false;
+  };
+
+  return value.length >= 2 && matchFrom(0, 0);
+};
+
+/**
+ * Match an imported subject name or code to one of the user's subjects
+ * Tries exact code, exact name, abbreviation, partial name and finally edit distance.
+ * @param {String} input - Subject name or code from the file
+ * @param {Array} subjects - Subject documents
+ * @returns {Object} { subject, method, score } or { error, notFound }
+ */
+export const matchSubject = (input, subjects) => {
+  const value = normalise(input);
+  if (!value) return { error: 'Subject is missing', notFound: true };
+
+  const pick = (matches, method) => {
+    if (matches.length === 1) return { subject: matches[0], method, score: 1 };
+    return {
+      error: `"${input}" matches several subjects: ${matches.map((s) => s.name).join(', ')}`,
+    };
+  };
+
+  const strategies = [
+    ['code', (subject) => subject.code && normalise(subject.code) === value],
+    ['name', (subject) => normalise(subject.name) === value],
+    ['abbreviation', (subject) => abbreviates(value, subject.name)],
+    [
+      'partial',
+      (subject) => {
+        const name = normalise(subject.name);
+        return value.length >= 3 && (name.includes(value) || value.includes(name));
+      },
+    ],
+  ];
+
+  for (const [method, test] of strategies) {
+    const matches = subjects.filter(test);
+    if (matches.length > 0) return pick(matches, method);
+  }
+
+  const scored = subjects
+    .map((subject) => ({
+      subject,
+      score: Math.max(
+        similarity(value, normalise(subject.name)),
+        subject.code ? similarity(value, normalise(subject.code)) : 0
+      ),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scored;
+
+  if (!best || best.score < FUZZY_THRESHOLD) {
+    return { error: `No subject matches "${input}"`, notFound: true };
+  }
+
+  if (runnerUp && best.score - runnerUp.score < 0.05) {
+    return {
+      error: `"${input}" is ambiguous between ${best.subject.name} and ${runnerUp.subject.name}`,
+    };
+  }
+
+  return { subject: best.subject, method: 'fuzzy', score: Number(best.score.toFixed(2)) };
+};
+
+/**
+ * Resolve imported rows to subjects, dates, statuses and timetable sessions
+ * @param {Array} records - Rows from rowsToRecords
+ * @param {Object} context - subjects, entries (timetable), rules, dateFormat and today (the user's current day)
+ * @returns {Array} Resolved rows with per-row errors
+ */
+export const resolveImportRows = (records, { subjects, entries, rules, dateFormat, today }) => {
+  const matchCache = new Map();
+
+  return records.map((record) => {
+    const row = {
+      row: record.rowNumber,
+      date: null,
+      subject: null,
+      match: null,
+      status: null,
+      timetableEntryId: null,
+      startTime: null,
+      notes: record.notes ? String(record.notes).slice(0, 500) : undefined,
+      errors: [],
+    };
+
+    const date = parseImportDate(record.date, dateFormat);
+    if (!date) {
+      row.errors.push(`Invalid date "${record.date ?? ''}"`);
+    } else if (date > today) {
+      row.errors.push('Date is in the future');
+    } else {
+      row.date = date;
+    }
+
+    // Prefer the code column when the file has one
+    const subjectInput = record.code || record.subject;
+    if (!matchCache.has(subjectInput)) {
+      matchCache.set(subjectInput, matchSubject(subjectInput, subjects));
+    }
+    const match = matchCache.get(subjectInput);
+    if (match.error) {
+      row.errors.push(match.error);
+    } else {
+      row.subject = match.subject;
+      row.match = { input: subjectInput, method: match.method, score: match.score };
+    }
+
+    row.status = resolveStatus(record.status, rules);
+    if (!row.status) {
+      row.errors.push(`Unknown status "${record.status ?? ''}"`);
+    }
+
+    const startTime = parseImportTime(record.startTime);
+    if (startTime === undefined) {
+      row.errors.push(`Invalid time "${record.startTime}"`);
+    }
+
+    // Work out which timetable session the row is for
+    if (row.date && row.subject && startTime !== undefined) {
+      const dayEntries = entries.filter(
+        (entry) =>
+          entry.subjectId.toString() === row.subject._id.toString() &&
+          occursOn(entry, row.date)
+      );
+
+      if (startTime) {
+        const entry = dayEntries.find((e) => e.startTime === startTime);
+        row.timetableEntryId = entry ? entry._id : null;
+        row.startTime = startTime;
+      } else if (dayEntries.length > 1) {
+        row.errors.push(
+          `${row.subject.name} has ${dayEntries.length} lectures on this day. Add a time column.`
+        );
+      } else if (dayEntries.length === 1) {
+        row.timetableEntryId = dayEntries[0]._id;
+        row.startTime = dayEntries[0].startTime;
+        row.isInferredSession = true;
+      }
+    }
+
+    return row;
+  });
+};
+
+/**
+ * Key a record by subject, day and timetable session
+ * @param {Object} record - Attendance record or resolved row
+ * @returns {String} Session key
+ */
+const sessionKey = (record) => {
+  const subjectId = (record.subjectId ?? record.subject._id).toString();
+  return [
+    subjectId,
+    toDateKey(record.date),
+    record.timetableEntryId ? record.timetableEntryId.toString() : '',
+    record.startTime || '',
+  ].join('|');
+};
+
+/**
+ * Plan the writes for resolved rows against existing attendance records
+ * @param {Array} rows - Valid rows from resolveImportRows
+ * @param {Array} existing - Existing DailyAttendance records for the rows' subjects and dates
+ * @param {Object} context - rules, userId, semesterId
+ * @returns {Object} Row actions, DailyAttendance bulk operations and counter increments
+ */
+export const planImport = (rows, existing, { rules, userId, semesterId }) => {
+  const recordsByKey = new Map(existing.map((record) => [sessionKey(record), record]));
+  const seen = new Map();
+  const attendanceOps = [];
+  const increments = {};
+  const actions = [];
+
+  rows.forEach((row) => {
+    const key = sessionKey(row);
+
+    if (seen.has(key)) {
+      actions.push({ row: row.row, action: 'skipped', reason: `Duplicate of row ${seen.get(key)}` });
+      return;
+    }
+    seen.set(key, row.row);
+
+    // Records from before sessions were tracked can be adopted by an inferred session
+    let record = recordsByKey.get(key);
+    if (!record && row.isInferredSession) {
+      const legacyKey = sessionKey({ ...row, timetableEntryId: null, startTime: null });
+      if (!seen.has(legacyKey)) record = recordsByKey.get(legacyKey);
+      seen.set(legacyKey, row.row);
+    }
+
+    const oldStatus = record ? record.status : null;
+
+    if (oldStatus === row.status) {
+      actions.push({ row: row.row, action: 'unchanged', attendanceId: record._id });
+      return;
+    }
+
+    if (record) {
+      attendanceOps.push({
+        updateOne: {
+          filter: { _id: record._id },
+          update: {
+            $set: {
+              status: row.status,
+              timetableEntryId: row.timetableEntryId,
+              startTime: row.startTime,
+              markedAt: new Date(),
+              ...(row.notes !== undefined && { notes: row.notes }),
+            },
+          },
+        },
+      });
+      actions.push({ row: row.row, action: 'update', attendanceId: record._id, from: oldStatus });
+    } else {
+      attendanceOps.push({
+        insertOne: {
+          document: {
+            userId,
+            semesterId,
+            subjectId: row.subject._id,
+            date: row.date,
+            timetableEntryId: row.timetableEntryId,
+            startTime: row.startTime,
+            status: row.status,
+            notes: row.notes,
+          },
+        },
+      });
+      actions.push({ row: row.row, action: 'insert' });
+    }
+
+    const subjectId = row.subject._id.toString();
+    const delta = getRecordDelta(row.subject, row.date, oldStatus, row.status, rules);
+    increments[subjectId] = increments[subjectId] || { totalLectures: 0, attendedLectures: 0 };
+    increments[subjectId].totalLectures += delta.totalLectures;
+    increments[subjectId].attendedLectures += delta.attendedLectures;
+  });
+
+  return { actions, attendanceOps, increments };
+};
@@ -0,0 +1,84 @@
+/**
+ * Closed-form attendance calculations shared by models and controllers
+ *
+ * All functions are pure. Percentages are 0-100. Results that can never be
+ * reached (e.g. a 100% minimum after one absence) are `Infinity`, which
+ * serialises to null in JSON responses.
+ */
+
+// Tolerance for floating point minimums such as 75.5%
+const EPSILON = 1e-9;
+
+/**
+ * Calculate attendance percentage rounded to 2 decimals
+ * @param {Number} attended - Attended lectures
+ * @param {Number} total - Total lectures
+ * @returns {Number} Attendance percentage (0 when no lectures were held)
+ */
+export const calculatePercentage = (attended, total) => {
+  if (total <= 0) return 0;
+  return Number(((attended / total) * 100).toFixed(2));
+};
+
+/**
+ * Check whether attendance meets a minimum (exact, not rounded)
+ * @param {Number} attended - Attended lectures
+ * @param {Number} total - Total lectures
+ * @param {Number} minimum - Minimum attendance percentage
+ * @returns {Boolean} True if the minimum is met
+ */
+export const meetsMinimum = (attended, total, minimum) => {
+  if (total <= 0) return true;
+  return attended * 100 >= minimum * total - EPSILON;
+};
+
+/**
+ * Smallest number of attended lectures out of a total that meets a minimum
+ * @param {Number} total - Total lectures
+ * @param {Number} minimum - Minimum attendance percentage
+ * @returns {Number} Required attended lectures
+ */
+export const requiredAttended = (total, minimum) => {
+  return Math.max(0, Math.ceil((minimum * total) / 100 - EPSILON));
+};
+
+/**
+ * Consecutive lectures to attend to reach a minimum
+ * Solves (attended + x) / (total + x) >= minimum / 100 for the smallest x.
+ * @param {Number} attended - Attended lectures
+ * @param {Number} total - Total lectures
+ * @param {Number} minimum - Minimum attendance percentage
+ * @returns {Number} Lectures needed (Infinity if the minimum is 100% and a lecture was missed)
+ */
+export const classesNeeded = (attended, total, minimum) => {
+  if (meetsMinimum(attended, total, minimum)) return 0;
+  if (minimum >= 100) return Infinity;
+
+  return Math.max(0, Math.ceil((minimum * total - 100 * attended) / (100 - minimum) - EPSILON));
+};
+
+/**
+ * Consecutive lectures that can be missed while staying at or above a minimum
+ * Solves attended / (total + x) >= minimum / 100 for the largest x.
+ * @param {Number} attended - Attended lectures
+ * @param {Number} total - Total lectures
+ * @param {Number} minimum - Minimum attendance percentage
+ * @returns {Number} Safe bunks (Infinity if the minimum is 0%)
+ */
+export const safeBunks = (attended, total, minimum) => {
+  if (minimum <= 0) return Infinity;
+  if (!meetsMinimum(attended, total, minimum)) return 0;
+
+  return Math.max(0, Math.floor((100 * attended) / minimum - total + EPSILON));
+};
+
+/**
+ * Attendance percentage after attending and missing further lectures
+ * @param {Number} attended - Attended lectures
+ * @param {Number} total - Total lectures
+ * @param {Object} changes - Lectures to attend and to miss
+ * @returns {Number} Attendance percentage
+ */
+export const projectedPercentage = (attended, total, { attend = 0, miss = 0 } = {}) => {
+  return calculatePercentage(attended + attend, total + attend + miss);
+};
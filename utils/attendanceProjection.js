@@ -0,0 +1,116 @@
+import DailyAttendance from '../models/DailyAttendance.js';
+import Semester from '../models/Semester.js';
+import { startOfDay, userToday, addDays } from './academicCalendar.js';
+import { getRangeSessions } from './timetableOverrides.js';
+import { calculatePercentage, requiredAttended } from './attendanceMath.js';
+
+/**
+ * Get the teaching range of a semester, falling back to the profile dates
+ * @param {Object} user - User document
+ * @param {ObjectId|null} semesterId - Semester ID
+ * @returns {Object} Object containing start and end (either may be null)
+ */
+export const getSemesterRange = async (user, semesterId) => {
+  if (semesterId) {
+    const semester = await Semester.findById(semesterId);
+    if (semester) return { start: semester.startDate, end: semester.endDate };
+  }
+
+  return { start: user.semesterStart, end: user.semesterEnd };
+};
+
+/**
+ * Get the end date of the semester being viewed
+ * @param {Object} user - User document
+ * @param {ObjectId|null} semesterId - Semester in scope
+ * @returns {Date|null} Semester end date
+ */
+export const getSemesterEnd = async (user, semesterId) => {
+  if (semesterId && !semesterId.equals(user.activeSemester)) {
+    const semester = await Semester.findById(semesterId);
+    return semester ? semester.endDate : null;
+  }
+
+  return user.semesterEnd || null;
+};
+
+/**
+ * Count the lectures left per subject from today until the semester ends
+ * Extra, cancelled and moved lectures are taken into account, and today's
+ * lectures that are already marked are not counted again.
+ * @param {Object} options - userId, semesterId, semesterEnd and the user's batch and timezone
+ * @returns {Object} Remaining lecture counts keyed by subject ID
+ */
+export const countRemainingLectures = async ({
+  userId,
+  semesterId,
+  semesterEnd,
+  batch = null,
+  timezone = null,
+}) => {
+  const today = userToday({ timezone });
+  const counts = {};
+
+  if (!semesterEnd || startOfDay(semesterEnd) < today) {
+    return counts;
+  }
+
+  const [days, markedToday] = await Promise.all([
+    getRangeSessions({ _id: userId, batch }, semesterId, today, startOfDay(semesterEnd)),
+    DailyAttendance.find({
+      userId,
+      semesterId,
+      date: { $gte: today, $lt: addDays(today, 1) },
+    }),
+  ]);
+
+  days.forEach(({ sessions }) => {
+    sessions.forEach((session) => {
+      const subjectId = session.subjectId.toString();
+      counts[subjectId] = (counts[subjectId] || 0) + 1;
+    });
+  });
+
+  markedToday.forEach((record) => {
+    const subjectId = record.subjectId.toString();
+    if (counts[subjectId]) counts[subjectId] -= 1;
+  });
+
+  return counts;
+};
+
+/**
+ * Project end-of-semester attendance for a subject
+ * @param {Object} counts - attendedLectures, totalLectures and minimumAttendance
+ * @param {Number} remainingLectures - Lectures still to be held
+ * @returns {Object} Projection
+ */
+export const projectAttendance = (
+  { attendedLectures, totalLectures, minimumAttendance },
+  remainingLectures
+) => {
+  const finalTotal = totalLectures + remainingLectures;
+  const bestCaseAttended = attendedLectures + remainingLectures;
+
+  // Smallest attended count that satisfies the minimum at semester end
+  const required = requiredAttended(finalTotal, minimumAttendance);
+  const isUnreachable = required > bestCaseAttended;
+
+  let status = 'safe';
+  if (isUnreachable) {
+    status = 'unreachable';
+  } else if (required > attendedLectures) {
+    status = 'at_risk';
+  }
+
+  return {
+    remainingLectures,
+    finalTotalLectures: finalTotal,
+    bestAchievablePercentage: calculatePercentage(bestCaseAttended, finalTotal),
+    worstCasePercentage: calculatePercentage(attendedLectures, finalTotal),
+    mustAttend: Math.min(remainingLectures, Math.max(0, required - attendedLectures)),
+    maxAbsencesAllowed: Math.max(0, bestCaseAttended - required),
+    isUnreachable,
+    status,
+  };
+};
@@ -0,0 +1,95 @@
+/**
+ * Attendance status rules
+ *
+ * Each status decides whether a lecture counts toward the subject's total
+ * and whether it counts as attended. `present` and `absent` are built in and
+ * their rules cannot be changed.
+ */
+
+export const BUILT_IN_STATUSES = ['present', 'absent'];
+
+export const DEFAULT_ATTENDANCE_STATUSES = [
+  { key: 'present', label: 'Present', countsTowardTotal: true, countsAsAttended: true },
+  { key: 'absent', label: 'Absent', countsTowardTotal: true, countsAsAttended: false },
+  { key: 'late', label: 'Late', countsTowardTotal: true, countsAsAttended: true },
+  { key: 'excused', label: 'Duty Leave', countsTowardTotal: true, countsAsAttended: true },
+  { key: 'medical', label: 'Medical Leave', countsTowardTotal: true, countsAsAttended: true },
+  { key: 'cancelled', label: 'Cancelled', countsTowardTotal: false, countsAsAttended: false },
+];
+
+/**
+ * Get the status rules for a user, keyed by status
+ * @param {Object} user - User document
+ * @returns {Object} Rules keyed by status key (a prototype-less object)
+ */
+export const getStatusRules = (user) => {
+  // No prototype, so names like "constructor" or "__proto__" are not statuses
+  const rules = Object.create(null);
+
+  (user?.attendanceStatuses?.length ? user.attendanceStatuses : DEFAULT_ATTENDANCE_STATUSES)
+    .forEach((status) => {
+      rules[status.key] = {
+        key: status.key,
+        label: status.label,
+        countsTowardTotal: status.countsTowardTotal,
+        countsAsAttended: status.countsAsAttended,
+      };
+    });
+
+  // Built-in statuses always exist with their fixed rules
+  DEFAULT_ATTENDANCE_STATUSES
+    .filter((status) => BUILT_IN_STATUSES.includes(status.key))
+    .forEach((status) => {
+      rules[status.key] = { ...status, label: rules[status.key]?.label || status.label };
+    });
+
+  return rules;
+};
+
+/**
+ * Get how much a status adds to a subject's counters
+ * @param {String|null} status - Status key (null for no record)
+ * @param {Object} rules - Rules from getStatusRules
+ * @returns {Object} Object containing totalLectures and attendedLectures (0 or 1)
+ */
+export const getStatusCounts = (status, rules) => {
+  const rule = status ? rules[status] : null;
+
+  return {
+    totalLectures: rule?.countsTowardTotal ? 1 : 0,
+    attendedLectures: rule?.countsAsAttended ? 1 : 0,
+  };
+};
+
+/**
+ * Get the subject counter change when a record's status changes
+ * @param {String|null} oldStatus - Previous status (null when creating)
+ * @param {String|null} newStatus - New status (null when deleting)
+ * @param {Object} rules - Rules from getStatusRules
+ * @returns {Object} Object containing totalLectures and attendedLectures deltas
+ */
+export const getCounterDelta = (oldStatus, newStatus, rules) => {
+  const before = getStatusCounts(oldStatus, rules);
+  const after = getStatusCounts(newStatus, rules);
+
+  return {
+    totalLectures: after.totalLectures - before.totalLectures,
+    attendedLectures: after.attendedLectures - before.attendedLectures,
+  };
+};
+
+/**
+ * Check whether a status counts as attended
+ * @param {String} status - Status key
+ * @param {Object} rules - Rules from getStatusRules
+ * @returns {Boolean} True if attended
+ */
+export const isAttendedStatus = (status, rules) => Boolean(rules[status]?.countsAsAttended);
+
+/**
+ * Check whether a status counts toward the total
+ * @param {String} status - Status key
+ * @param {Object} rules - Rules from getStatusRules
+ * @returns {Boolean} True if counted
+ */
+export const isCountedStatus = (status, rules) => Boolean(rules[status]?.countsTowardTotal);
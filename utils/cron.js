@@ -0,0 +1,132 @@
+/**
+ * Cron schedule parsing
+ *
+ * Supports the classic five fields - minute, hour, day of month, month and
+ * day of week - with `*`, lists, ranges and steps (e.g. "*\/15 8-18 * * 1-5").
+ * Schedules are read in UTC.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// Schedules that match nothing (e.g. 31 February) give up after this long
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse one cron field into the values it matches
+ * @param {String} field - Field text, e.g. "1-5" or "*\/10"
+ * @param {Object} range - Field name, min and max
+ * @returns {Set} Matching values
+ */
+const parseField = (field, { name, min, max }) => {
+  const values = new Set();
+
+  field.split(',').forEach((part) => {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: "${part}"`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : Number(start);
+    const to = range === '*' ? max : end !== undefined ? Number(end) : step ? max : from;
+    const increment = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Cron ${name} "${part}" is out of range (${min}-${max})`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a five-field cron expression
+ * @param {String} expression - Cron expression, e.g. "0 * * * *"
+ * @returns {Object} Matching minutes, hours, days, months and weekdays
+ */
+export const parseCron = (expression) => {
+  const fields = String(expression).trim().split(/\s+/);
+
+  if (fields.length !== 5) {
+    throw new Error(
+      `Invalid cron expression "${expression}": expected minute, hour, day of month, month and day of week`
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) =>
+    parseField(field, FIELDS[i])
+  );
+
+  // Both 0 and 7 mean Sunday
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Like cron, a restricted day of month and day of week match when either does
+    anyDay: fields[2].startsWith('*'),
+    anyWeekday: fields[4].startsWith('*'),
+  };
+};
+
+/**
+ * Check whether a date's day matches a schedule
+ * @param {Object} cron - Parsed schedule
+ * @param {Date} date - Date
+ * @returns {Boolean} Whether the day matches
+ */
+const matchesDay = (cron, date) => {
+  const day = cron.days.has(date.getUTCDate());
+  const weekday = cron.weekdays.has(date.getUTCDay());
+
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+};
+
+/**
+ * Get the next time a schedule fires
+ * @param {String|Object} schedule - Cron expression or parsed schedule
+ * @param {Date} after - Time to search from (exclusive)
+ * @returns {Date} Next run, on a whole minute
+ */
+export const nextCronRun = (schedule, after = new Date()) => {
+  const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const limit = after.getTime() + MAX_SEARCH_MS;
+
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression "${schedule}" never fires`);
+};
@@ -272,3 +272,351 @@ export const sendWelcomeEmail = async (email, name) => {
     return false;
   }
 };
+
+/**
+ * Send account deletion confirmation with a cancel link
+ * @param {String} email - Recipient email
+ * @param {String} name - Recipient name
+ * @param {String} cancelToken - Deletion cancel token
+ * @param {Date} scheduledFor - When the account will be purged
+ */
+export const sendAccountDeletionEmail = async (email, name, cancelToken, scheduledFor) => {
+  const transporter = createTransporter();
+  
+  const cancelUrl = `${process.env.FRONTEND_URL}/cancel-deletion?token=${cancelToken}`;
+  const deletionDate = new Date(scheduledFor).toDateString();
+  
+  const mailOptions = {
+    from: `"Bunk Buzz" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: 'Your Bunk Buzz account is scheduled for deletion',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+          }
+          .header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 30px;
+            text-align: center;
+            border-radius: 10px 10px 0 0;
+          }
+          .content {
+            background: #f9f9f9;
+            padding: 30px;
+            border-radius: 0 0 10px 10px;
+          }
+          .button {
+            display: inline-block;
+            padding: 12px 30px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            text-decoration: none;
+            border-radius: 5px;
+            margin: 20px 0;
+            font-weight: bold;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>👋 Account Deletion</h1>
+        </div>
+        <div class="content">
+          <h2>Hi ${name},</h2>
+          <p>We received a request to permanently delete your Bunk Buzz account.</p>
+          <p><strong>Your account, subjects, timetable and attendance history will be deleted on ${deletionDate}.</strong> Until then you won't be able to log in.</p>
+          <p>Changed your mind? Click the button below to keep your account:</p>
+          <div style="text-align: center;">
+            <a href="${cancelUrl}" class="button">Cancel Deletion</a>
+          </div>
+          <p>If you requested this, no action is needed.</p>
+          <p>Best regards,<br>The Bunk Buzz Team</p>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`✓ Account deletion email sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error('✗ Failed to send account deletion email:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Send the daily digest of sessions that still need to be marked
+ * @param {String} email - Recipient email
+ * @param {String} name - Recipient name
+ * @param {Array} sessions - Pending sessions with markUrls (present, absent)
+ * @param {Number} totalPending - Number of pending sessions, including those not listed
+ */
+export const sendPendingAttendanceEmail = async (email, name, sessions, totalPending) => {
+  const transporter = createTransporter();
+  
+  const rows = sessions
+    .map(
+      (session) => `
+            <tr>
+              <td>${session.dayOfWeek.slice(0, 3)} ${session.date}</td>
+              <td>${session.startTime}-${session.endTime}</td>
+              <td><strong>${session.subject.name}</strong></td>
+              <td>
+                <a href="${session.markUrls.present}" class="mark present">Present</a>
+                <a href="${session.markUrls.absent}" class="mark absent">Absent</a>
+              </td>
+            </tr>`
+    )
+    .join('');
+  const notListed = totalPending - sessions.length;
+  
+  const mailOptions = {
+    from: `"Bunk Buzz" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: `You have ${totalPending} unmarked lecture${totalPending === 1 ? '' : 's'} - Bunk Buzz`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+          }
+          .header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 30px;
+            text-align: center;
+            border-radius: 10px 10px 0 0;
+          }
+          .content {
+            background: #f9f9f9;
+            padding: 30px;
+            border-radius: 0 0 10px 10px;
+          }
+          table {
+            width: 100%;
+            border-collapse: collapse;
+          }
+          td {
+            padding: 8px 4px;
+            border-bottom: 1px solid #e5e5e5;
+          }
+          .mark {
+            display: inline-block;
+            padding: 4px 10px;
+            color: white;
+            text-decoration: none;
+            border-radius: 4px;
+            font-size: 13px;
+          }
+          .present {
+            background: #16a34a;
+          }
+          .absent {
+            background: #dc2626;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>📝 Lectures to Mark</h1>
+        </div>
+        <div class="content">
+          <h2>Hi ${name},</h2>
+          <p>These lectures on your timetable haven't been marked yet. Until they are, your attendance figures and bunk predictions leave them out.</p>
+          <table>${rows}
+          </table>
+          ${notListed > 0 ? `<p>...and ${notListed} older lecture${notListed === 1 ? '' : 's'}. Open Bunk Buzz to mark them.</p>` : ''}
+          <p>Each button marks that lecture in one click.</p>
+          <p>Best regards,<br>The Bunk Buzz Team</p>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`✓ Attendance digest sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error('✗ Failed to send attendance digest:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Send the weekly attendance report
+ * @param {String} email - Recipient email
+ * @param {String} name - Recipient name
+ * @param {Object} report - Report from buildWeeklyReport
+ */
+export const sendWeeklyReportEmail = async (email, name, report) => {
+  const transporter = createTransporter();
+  const day = (date) => date.toISOString().slice(0, 10);
+  
+  const rows = report.subjects
+    .map(
+      (subject) => `
+            <tr>
+              <td><strong>${subject.name}</strong></td>
+              <td>${subject.week.attended}/${subject.week.total}</td>
+              <td class="${subject.belowMinimum ? 'low' : 'ok'}">${subject.percentage}%</td>
+              <td>${
+                subject.belowMinimum
+                  ? `Attend the next ${subject.classesNeeded}`
+                  : `${subject.safeBunks} bunk${subject.safeBunks === 1 ? '' : 's'} left`
+              }</td>
+            </tr>`
+    )
+    .join('');
+  
+  const mailOptions = {
+    from: `"Bunk Buzz" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: `Your week in attendance: ${report.week.attended}/${report.week.total} lectures - Bunk Buzz`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+          }
+          .header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 30px;
+            text-align: center;
+            border-radius: 10px 10px 0 0;
+          }
+          .content {
+            background: #f9f9f9;
+            padding: 30px;
+            border-radius: 0 0 10px 10px;
+          }
+          table {
+            width: 100%;
+            border-collapse: collapse;
+          }
+          th, td {
+            padding: 8px 4px;
+            border-bottom: 1px solid #e5e5e5;
+            text-align: left;
+          }
+          .ok {
+            color: #16a34a;
+          }
+          .low {
+            color: #dc2626;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>📊 Weekly Report</h1>
+          <p>${day(report.weekStart)} to ${day(report.weekEnd)}</p>
+        </div>
+        <div class="content">
+          <h2>Hi ${name},</h2>
+          <p>Last week you attended ${report.week.attended} of ${report.week.total} marked lectures${report.week.total > 0 ? ` (${report.week.percentage}%)` : ''}. Here is where each subject stands for the semester:</p>
+          <table>
+            <tr><th>Subject</th><th>This week</th><th>Overall</th><th></th></tr>${rows}
+          </table>
+          <p>Best regards,<br>The Bunk Buzz Team</p>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`✓ Weekly report sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error('✗ Failed to send weekly report:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Send a notification (e.g. a pre-lecture reminder) by email
+ * @param {String} email - Recipient email
+ * @param {String} name - Recipient name
+ * @param {Object} notification - Notification with title, body and url
+ */
+export const sendNotificationEmail = async (email, name, notification) => {
+  const transporter = createTransporter();
+  
+  const mailOptions = {
+    from: `"Bunk Buzz" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: `${notification.title} - Bunk Buzz`,
+    text: `${notification.body}\n\n${notification.url || ''}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+          }
+          .content {
+            background: #f9f9f9;
+            padding: 20px 30px;
+            border-left: 5px solid #764ba2;
+            border-radius: 10px;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="content">
+          <h2>${notification.title}</h2>
+          <p>Hi ${name},</p>
+          <p>${notification.body}</p>
+          ${notification.url ? `<p><a href="${notification.url}">Open Bunk Buzz</a></p>` : ''}
+        </div>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`✓ Notification email sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error('✗ Failed to send notification email:', error.message);
+    return false;
+  }
+};
@@ -0,0 +1,116 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for VEVENT components
+ */
+
+// Content lines longer than this are folded
+const MAX_LINE_LENGTH = 75;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Escape a TEXT value
+ * @param {String} value - Plain text
+ * @returns {String} Escaped text
+ */
+export const escapeText = (value) => {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/[,;]/g, (char) => `\\${char}`)
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line into 75-octet chunks joined by CRLF and a space
+ * @param {String} line - Content line
+ * @returns {String} Folded line
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? MAX_LINE_LENGTH : MAX_LINE_LENGTH - 1;
+
+    if (size + charSize > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      size = 0;
+    }
+
+    chunk += char;
+    size += charSize;
+  }
+
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Format a calendar day as a DATE value
+ * @param {Date} date - Day (midnight UTC)
+ * @returns {String} e.g. "20240115"
+ */
+export const formatDate = (date) => {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+};
+
+/**
+ * Format a day and an HH:mm time as a floating DATE-TIME value
+ * Floating times are shown in the calendar app's own time zone.
+ * @param {Date} date - Day
+ * @param {String} time - Time of day (HH:mm)
+ * @returns {String} e.g. "20240115T093000"
+ */
+export const formatLocalDateTime = (date, time) => {
+  const [hours, minutes] = time.split(':');
+  return `${formatDate(date)}T${pad(hours)}${pad(minutes)}00`;
+};
+
+/**
+ * Format an instant as a UTC DATE-TIME value
+ * @param {Date} date - Instant
+ * @returns {String} e.g. "20240115T040000Z"
+ */
+export const formatUTCDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Serialise a VEVENT
+ * @param {Array} properties - [name, value] pairs; names may carry parameters
+ * @returns {Array} Content lines
+ */
+const eventLines = (properties) => {
+  return [
+    'BEGIN:VEVENT',
+    ...properties
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([name, value]) => `${name}:${value}`),
+    'END:VEVENT',
+  ];
+};
+
+/**
+ * Build an iCalendar document
+ * @param {Object} options - name (calendar name), timeZone (zone floating times are meant in)
+ *                           and events (arrays of [name, value] pairs)
+ * @returns {String} iCalendar text with CRLF line endings
+ */
+export const buildICS = ({ name, timeZone, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Bunk Buzz//Timetable//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(timeZone ? [`X-WR-TIMEZONE:${timeZone}`] : []),
+    ...events.flatMap(eventLines),
+    'END:VCALENDAR',
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,164 @@
+import { DEFAULT_TIMEZONE, toWallClock } from './timezone.js';
+
+/**
+ * Minimal iCalendar (RFC 5545) parser for VEVENT components
+ */
+
+/**
+ * Unfold content lines (continuation lines start with a space or tab)
+ * @param {String} text - Raw iCalendar text
+ * @returns {Array} Unfolded content lines
+ */
+const unfoldLines = (text) => {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter((line) => line.trim() !== '');
+};
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {String} line - Content line, e.g. "DTSTART;VALUE=DATE:20240115"
+ * @returns {Object} Object containing name, params and value
+ */
+const parseContentLine = (line) => {
+  // The value starts at the first colon that is not inside a quoted parameter
+  let colonIndex = -1;
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+
+  if (colonIndex === -1) {
+    return { name: line.toUpperCase(), params: {}, value: '' };
+  }
+
+  const head = line.slice(0, colonIndex);
+  const value = line.slice(colonIndex + 1);
+
+  const [name, ...paramParts] = head.split(';');
+  const params = {};
+
+  paramParts.forEach((part) => {
+    const [key, paramValue = ''] = part.split('=');
+    params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value };
+};
+
+/**
+ * Unescape an iCalendar TEXT value
+ * @param {String} value - Escaped text
+ * @returns {String} Plain text
+ */
+export const unescapeText = (value) => {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+};
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value as a wall-clock time
+ * The returned date's UTC fields hold the day and time as shown on the
+ * calendar: floating and TZID times are kept as written, UTC times are
+ * converted to the given time zone.
+ * @param {String} value - e.g. "20240115" or "20240115T093000Z"
+ * @param {Object} params - Property parameters
+ * @param {String} timeZone - Time zone UTC times are shown in
+ * @returns {Object} Object containing date and allDay flag
+ */
+export const parseDateValue = (value, params = {}, timeZone = DEFAULT_TIMEZONE) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+
+  if (!match) {
+    throw new Error(`Invalid iCalendar date: ${value}`);
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+
+  if (!hours || params.VALUE === 'DATE') {
+    return { date: new Date(Date.UTC(Number(year), Number(month) - 1, Number(day))), allDay: true };
+  }
+
+  const date = new Date(Date.UTC(...[year, month - 1, day, hours, minutes, seconds].map(Number)));
+
+  return { date: utc ? toWallClock(date, timeZone) : date, allDay: false };
+};
+
+/**
+ * Parse VEVENT components from iCalendar text
+ * @param {String} text - Raw iCalendar text
+ * @param {String} timeZone - Time zone UTC times are shown in
+ * @returns {Array} Parsed events
+ */
+export const parseICS = (text, timeZone = DEFAULT_TIMEZONE) => {
+  if (typeof text !== 'string' || !text.includes('BEGIN:VCALENDAR')) {
+    throw new Error('Invalid iCalendar file');
+  }
+
+  const events = [];
+  let current = null;
+
+  unfoldLines(text).forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      current = { exdates: [], properties: {} };
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (current && current.start) {
+        events.push(current);
+      }
+      current = null;
+      return;
+    }
+
+    if (!current) return;
+
+    const { name, params, value } = parseContentLine(line);
+    current.properties[name] = { params, value };
+
+    switch (name) {
+      case 'UID':
+        current.uid = value;
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(value);
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(value);
+        break;
+      case 'LOCATION':
+        current.location = unescapeText(value);
+        break;
+      case 'DTSTART': {
+        const { date, allDay } = parseDateValue(value, params, timeZone);
+        current.start = date;
+        current.allDay = allDay;
+        break;
+      }
+      case 'DTEND':
+        current.end = parseDateValue(value, params, timeZone).date;
+        break;
+      case 'RRULE':
+        current.rrule = value;
+        break;
+      case 'EXDATE':
+        value.split(',').forEach((exdate) => {
+          current.exdates.push(parseDateValue(exdate, params, timeZone).date);
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
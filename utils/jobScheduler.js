@@ -0,0 +1,262 @@
+import os from 'os';
+import crypto from 'crypto';
+import Job from '../models/Job.js';
+import { parseCron, nextCronRun } from './cron.js';
+
+/**
+ * In-process job scheduler
+ *
+ * Jobs are defined in code and their state lives in the jobs collection, so
+ * schedules survive restarts. Every instance polls the collection, and a job
+ * that is due is claimed atomically, so each run happens on one instance only.
+ */
+
+// How often each instance looks for due jobs
+const POLL_INTERVAL_MS = 30 * 1000;
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 60 * 1000;
+
+// How long a run may take before another instance may take the job over
+const DEFAULT_LOCK_MS = 10 * 60 * 1000;
+
+// Identifies this process in job locks
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const definitions = new Map();
+
+let timer = null;
+
+/**
+ * Define a job
+ * @param {String} name - Unique job name
+ * @param {Object} options - schedule (cron, UTC), handler, retries, retryDelayMs and lockMs
+ */
+export const defineJob = (
+  name,
+  {
+    schedule,
+    handler,
+    retries = DEFAULT_RETRIES,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    lockMs = DEFAULT_LOCK_MS,
+  }
+) => {
+  // Fail at startup rather than on the first run
+  parseCron(schedule);
+
+  definitions.set(name, { name, schedule, handler, retries, retryDelayMs, lockMs });
+};
+
+/**
+ * Create the documents of newly defined jobs and pick up changed schedules
+ * @param {Date} now - Current time
+ */
+const syncJobs = async (now) => {
+  for (const job of definitions.values()) {
+    const nextRunAt = nextCronRun(job.schedule, now);
+
+    try {
+      await Job.updateOne(
+        { name: job.name },
+        { $setOnInsert: { schedule: job.schedule, nextRunAt } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Another instance created it first
+      if (error.code !== 11000) throw error;
+    }
+
+    await Job.updateOne(
+      { name: job.name, schedule: { $ne: job.schedule } },
+      { $set: { schedule: job.schedule, nextRunAt, attempt: 0 } }
+    );
+  }
+};
+
+/**
+ * Claim a job if it is due and no live instance holds it
+ * @param {Object} job - Job definition
+ * @param {Date} now - Current time
+ * @returns {Object|null} Claimed job document
+ */
+const claimJob = (job, now) => {
+  return Job.findOneAndUpdate(
+    {
+      name: job.name,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + job.lockMs),
+        lastRunAt: now,
+      },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Run a claimed job and record the outcome
+ * Failed runs are retried with exponential backoff; once retries run out the
+ * job waits for its next scheduled time.
+ * @param {Object} job - Job definition
+ * @param {Object} doc - Claimed job document
+ */
+const runJob = async (job, doc) => {
+  const startedAt = Date.now();
+  const release = { lockedBy: null, lockedUntil: null };
+  const owned = { _id: doc._id, lockedBy: INSTANCE_ID };
+
+  try {
+    const result = await job.handler();
+    const finishedAt = new Date();
+
+    await Job.updateOne(owned, {
+      $set: {
+        ...release,
+        attempt: 0,
+        lastStatus: 'success',
+        lastError: null,
+        lastResult: result ?? null,
+        lastFinishedAt: finishedAt,
+        lastDurationMs: finishedAt - startedAt,
+        nextRunAt: nextCronRun(job.schedule, finishedAt),
+      },
+      $inc: { runCount: 1 },
+    });
+  } catch (error) {
+    const finishedAt = new Date();
+    const attempt = doc.attempt + 1;
+    const willRetry = attempt <= job.retries;
+
+    console.error(`✗ Job ${job.name} failed (attempt ${attempt}):`, error.message);
+
+    await Job.updateOne(owned, {
+      $set: {
+        ...release,
+        attempt: willRetry ? attempt : 0,
+        lastStatus: 'failed',
+        lastError: error.message,
+        lastResult: null,
+        lastFinishedAt: finishedAt,
+        lastDurationMs: finishedAt - startedAt,
+        nextRunAt: willRetry
+          ? new Date(finishedAt.getTime() + job.retryDelayMs * 2 ** (attempt - 1))
+          : nextCronRun(job.schedule, finishedAt),
+      },
+      $inc: { runCount: 1, failCount: 1 },
+    });
+  }
+};
+
+/**
+ * Run every job that is due, one after another
+ * @param {Date} now - Current time
+ * @returns {Array} Names of the jobs this instance ran
+ */
+export const runDueJobs = async (now = new Date()) => {
+  const ran = [];
+
+  for (const job of definitions.values()) {
+    const doc = await claimJob(job, now);
+
+    if (doc) {
+      await runJob(job, doc);
+      ran.push(job.name);
+    }
+  }
+
+  return ran;
+};
+
+/**
+ * Start polling for due jobs for the lifetime of the process
+ * @returns {Object} Interval handle
+ */
+export const startScheduler = () => {
+  if (timer) return timer;
+
+  let synced = false;
+  let polling = false;
+
+  const poll = async () => {
+    // A slow job must not be claimed again by the same instance
+    if (polling) return;
+    polling = true;
+
+    try {
+      if (!synced) {
+        await syncJobs(new Date());
+        synced = true;
+      }
+      await runDueJobs();
+    } catch (error) {
+      console.error('✗ Job scheduler failed:', error.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  timer = setInterval(poll, POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Stop polling; a job that is running finishes
+ */
+export const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Get the state of every defined job
+ * @param {Date} now - Current time
+ * @returns {Array} Job statuses
+ */
+export const getJobStatuses = async (now = new Date()) => {
+  const docs = await Job.find({ name: { $in: [...definitions.keys()] } }).lean();
+  const byName = new Map(docs.map((doc) => [doc.name, doc]));
+
+  return [...definitions.values()].map(({ name, schedule, retries }) => {
+    const doc = byName.get(name);
+
+    return {
+      name,
+      schedule,
+      retries,
+      running: Boolean(doc?.lockedUntil && doc.lockedUntil > now),
+      lockedBy: doc?.lockedBy ?? null,
+      nextRunAt: doc?.nextRunAt ?? null,
+      attempt: doc?.attempt ?? 0,
+      lastRunAt: doc?.lastRunAt ?? null,
+      lastFinishedAt: doc?.lastFinishedAt ?? null,
+      lastStatus: doc?.lastStatus ?? null,
+      lastError: doc?.lastError ?? null,
+      lastResult: doc?.lastResult ?? null,
+      lastDurationMs: doc?.lastDurationMs ?? null,
+      runCount: doc?.runCount ?? 0,
+      failCount: doc?.failCount ?? 0,
+    };
+  });
+};
+
+/**
+ * Make a job due now; the next poll of any instance runs it
+ * @param {String} name - Job name
+ * @returns {Object|null} Job document (null for unknown jobs)
+ */
+export const triggerJob = async (name) => {
+  const job = definitions.get(name);
+  if (!job) return null;
+
+  return Job.findOneAndUpdate(
+    { name },
+    { $set: { nextRunAt: new Date(), attempt: 0 }, $setOnInsert: { schedule: job.schedule } },
+    { new: true, upsert: true }
+  );
+};
@@ -0,0 +1,60 @@
+import PendingUser from '../models/PendingUser.js';
+import { defineJob } from './jobScheduler.js';
+import { purgeDueAccounts } from './accountDeletion.js';
+import { sendDueDigests } from './attendanceDigest.js';
+import { sendDueLectureReminders } from './lectureReminders.js';
+import { sendDueWeeklyReports } from './weeklyReport.js';
+
+// Unverified signups are kept this long after their link expires, like the TTL index
+const PENDING_USER_RETENTION_MS = 60 * 60 * 1000;
+
+/**
+ * Delete signups whose verification link expired, in case the TTL index is missing or lagging
+ * @param {Date} now - Current time
+ * @returns {Object} Number of pending users deleted
+ */
+const purgeExpiredSignups = async (now = new Date()) => {
+  const result = await PendingUser.deleteMany({
+    tokenExpiry: { $lt: new Date(now.getTime() - PENDING_USER_RETENTION_MS) },
+  });
+
+  return { deleted: result.deletedCount };
+};
+
+/**
+ * Define the application's background jobs (schedules are UTC)
+ */
+export const registerJobs = () => {
+  // Permanently delete accounts whose deletion grace period has ended
+  defineJob('purge-deleted-accounts', {
+    schedule: '0 * * * *',
+    handler: () => purgeDueAccounts(),
+  });
+
+  // Email students the lectures they forgot to mark, at their local digest hour;
+  // a failed run is simply picked up by the next one
+  defineJob('attendance-digest', {
+    schedule: '*/15 * * * *',
+    handler: () => sendDueDigests(),
+    retries: 0,
+  });
+
+  // Last week's attendance summary, on Monday at the local digest hour
+  defineJob('weekly-report', {
+    schedule: '*/15 * * * *',
+    handler: () => sendDueWeeklyReports(),
+    retries: 0,
+  });
+
+  // "Should I go?" notifications before each lecture, at each user's lead time
+  defineJob('lecture-reminders', {
+    schedule: '* * * * *',
+    handler: () => sendDueLectureReminders(),
+    retries: 0,
+  });
+
+  defineJob('purge-expired-signups', {
+    schedule: '30 3 * * *',
+    handler: () => purgeExpiredSignups(),
+  });
+};
@@ -0,0 +1,167 @@
+import User from '../models/User.js';
+import Subject from '../models/Subject.js';
+import LectureNotification from '../models/LectureNotification.js';
+import { startOfDay, toDateKey } from './academicCalendar.js';
+import { getRangeSessions } from './timetableOverrides.js';
+import { userTimeZone, toWallClock } from './timezone.js';
+import { toMinutes } from './timeOfDay.js';
+import { meetsMinimum } from './attendanceMath.js';
+import { deliverNotification } from './notificationChannels.js';
+
+/**
+ * Check whether a time of day falls in quiet hours (which may span midnight)
+ * @param {Number} minutes - Minutes since midnight
+ * @param {String|null} start - Quiet hours start (HH:mm)
+ * @param {String|null} end - Quiet hours end (HH:mm, exclusive)
+ * @returns {Boolean} Whether notifications should be held back
+ */
+export const isQuietTime = (minutes, start, end) => {
+  if (!start || !end) return false;
+
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  if (from === to) return false;
+  return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+};
+
+/**
+ * Build the "should I go?" reminder for a session from the subject's prediction
+ * @param {Object} subject - Subject document
+ * @param {Object} session - Session from the timetable
+ * @param {Date} date - Day of the session
+ * @returns {Object} Notification with verdict ('attend' or 'safe')
+ */
+export const buildLectureReminder = (subject, session, date) => {
+  const { attendedLectures, totalLectures, minimumAttendance } = subject;
+  const percentage = subject.attendancePercentage;
+  const bunks = subject.safeBunks;
+
+  let verdict = 'attend';
+  let advice;
+
+  if (totalLectures === 0) {
+    advice = 'No attendance recorded yet - go and start strong';
+  } else if (!meetsMinimum(attendedLectures, totalLectures, minimumAttendance)) {
+    const needed = subject.classesNeeded;
+    advice = `You're at ${percentage}%, minimum ${minimumAttendance}% - do not bunk`;
+    if (Number.isFinite(needed)) advice += ` (${needed} more to recover)`;
+  } else if (bunks > 0) {
+    verdict = 'safe';
+    advice = Number.isFinite(bunks)
+      ? `You're at ${percentage}% - safe to skip, ${bunks} bunk${bunks === 1 ? '' : 's'} left`
+      : `You're at ${percentage}% - safe to skip, no minimum to meet`;
+  } else {
+    advice = `You're at ${percentage}%, minimum ${minimumAttendance}% - no bunks left, do not bunk`;
+  }
+
+  const title = `${subject.name} at ${session.startTime}${session.room ? ` in ${session.room}` : ''}`;
+
+  return {
+    type: 'lecture-reminder',
+    title,
+    body: advice,
+    url: `${process.env.FRONTEND_URL}/timetable`,
+    data: {
+      verdict,
+      subjectId: subject._id.toString(),
+      date: toDateKey(date),
+      startTime: session.startTime,
+      endTime: session.endTime,
+      room: session.room || null,
+      attendancePercentage: percentage,
+      minimumAttendance,
+      safeBunks: Number.isFinite(bunks) ? bunks : null,
+    },
+  };
+};
+
+/**
+ * Send the reminders of one user whose lectures start within their lead time
+ * @param {Object} user - User document with notification preferences
+ * @param {Date} now - Current time
+ * @returns {Number} Reminders sent
+ */
+const remindUser = async (user, now) => {
+  const preferences = user.notifications;
+  const localNow = toWallClock(now, userTimeZone(user));
+  const minutes = localNow.getUTCHours() * 60 + localNow.getUTCMinutes();
+
+  if (preferences.channels.length === 0) return 0;
+  if (isQuietTime(minutes, preferences.quietHoursStart, preferences.quietHoursEnd)) return 0;
+
+  const today = startOfDay(localNow);
+  const [{ sessions }] = await getRangeSessions(user, user.activeSemester, today, today);
+
+  const due = sessions.filter((session) => {
+    const startsIn = toMinutes(session.startTime) - minutes;
+    return startsIn > 0 && startsIn <= preferences.leadMinutes;
+  });
+
+  if (due.length === 0) return 0;
+
+  const subjects = await Subject.find({
+    _id: { $in: due.map((session) => session.subjectId) },
+    userId: user._id,
+    isActive: true,
+  });
+  const subjectsById = new Map(subjects.map((subject) => [subject._id.toString(), subject]));
+
+  let sent = 0;
+
+  for (const session of due) {
+    const subject = subjectsById.get(session.subjectId.toString());
+    if (!subject) continue;
+
+    const reminder = buildLectureReminder(subject, session, today);
+
+    // Claim the session first; another instance or an earlier run may have sent it
+    let notification;
+    try {
+      notification = await LectureNotification.create({
+        userId: user._id,
+        subjectId: subject._id,
+        timetableEntryId: session.timetableEntryId,
+        date: today,
+        startTime: session.startTime,
+        verdict: reminder.data.verdict,
+        message: `${reminder.title} - ${reminder.body}`,
+      });
+    } catch (error) {
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    notification.deliveries = await deliverNotification(user, reminder);
+    await notification.save();
+    sent++;
+  }
+
+  return sent;
+};
+
+/**
+ * Send pre-lecture reminders to every user with notifications enabled
+ * @param {Date} now - Current time
+ * @returns {Object} Number of reminders sent and users that failed
+ */
+export const sendDueLectureReminders = async (now = new Date()) => {
+  const users = await User.find({
+    isActive: true,
+    emailVerified: true,
+    'notifications.enabled': true,
+  }).select('+notifications.webhookSecret');
+
+  const summary = { sent: 0, failed: 0 };
+
+  for (const user of users) {
+    try {
+      summary.sent += await remindUser(user, now);
+    } catch (error) {
+      summary.failed++;
+      console.error(`✗ Failed to send lecture reminders to ${user._id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
@@ -0,0 +1,330 @@
+import CalendarEvent from '../models/CalendarEvent.js';
+import DailyAttendance from '../models/DailyAttendance.js';
+import Migration from '../models/Migration.js';
+import Semester from '../models/Semester.js';
+import Subject from '../models/Subject.js';
+import Timetable from '../models/Timetable.js';
+import TimetableOverride from '../models/TimetableOverride.js';
+import User from '../models/User.js';
+import { getStatusRules } from './attendanceStatus.js';
+import { computeCountersFromRecords, reconcileSubject } from './subjectCounters.js';
+import { toMinutes, normaliseTime } from './timeOfDay.js';
+
+/**
+ * Drop an index if it still exists
+ * @param {Object} model - Mongoose model
+ * @param {String} indexName - Index name
+ */
+const dropIndexIfExists = async (model, indexName) => {
+  try {
+    if (await model.collection.indexExists(indexName)) {
+      await model.collection.dropIndex(indexName);
+      console.log(`✓ Dropped index ${model.modelName}.${indexName}`);
+    }
+  } catch (error) {
+    // Collection doesn't exist yet - nothing to migrate
+    if (error.codeName !== 'NamespaceNotFound') throw error;
+  }
+};
+
+/**
+ * Split existing subject counters into a baseline and tracked records
+ * Whatever the records don't explain was entered by hand, so it becomes the
+ * baseline. Subjects that already have a baseline are left alone.
+ */
+const backfillSubjectBaselines = async () => {
+  const rulesByUser = new Map();
+  let migrated = 0;
+
+  const cursor = Subject.find({ baseline: { $exists: false } }).cursor();
+
+  for await (const subject of cursor) {
+    const ownerId = subject.userId.toString();
+
+    if (!rulesByUser.has(ownerId)) {
+      const owner = await User.findById(ownerId).select('attendanceStatuses');
+      rulesByUser.set(ownerId, getStatusRules(owner));
+    }
+
+    const tracked = await computeCountersFromRecords(
+      { _id: subject._id, baseline: null },
+      rulesByUser.get(ownerId)
+    );
+    const totalLectures = Math.max(0, subject.totalLectures - tracked.totalLectures);
+    const attendedLectures = Math.min(
+      totalLectures,
+      Math.max(0, subject.attendedLectures - tracked.attendedLectures)
+    );
+
+    await Subject.updateOne(
+      { _id: subject._id },
+      { $set: { baseline: { totalLectures, attendedLectures, asOf: null } } }
+    );
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    console.log(`✓ Backfilled baselines for ${migrated} subject(s)`);
+  }
+};
+
+/**
+ * Zero-pad stored times ("9:00" to "09:00") and store their minutes since
+ * midnight, so times compare and sort numerically
+ */
+const backfillTimeMinutes = async () => {
+  let migrated = 0;
+
+  for (const model of [Timetable, TimetableOverride]) {
+    const cursor = model
+      .find({ startMinutes: { $exists: false } })
+      .select('startTime endTime')
+      .lean()
+      .cursor();
+
+    for await (const doc of cursor) {
+      const startTime = normaliseTime(doc.startTime);
+      const endTime = normaliseTime(doc.endTime);
+
+      await model.collection.updateOne(
+        { _id: doc._id },
+        {
+          $set: {
+            startTime,
+            endTime,
+            startMinutes: toMinutes(startTime),
+            endMinutes: toMinutes(endTime),
+          },
+        }
+      );
+      migrated++;
+    }
+  }
+
+  // Attendance records are matched to sessions by their start time
+  const unpadded = await DailyAttendance.find({ startTime: /^\d:/ }).select('startTime').lean();
+  for (const record of unpadded) {
+    try {
+      await DailyAttendance.collection.updateOne(
+        { _id: record._id },
+        { $set: { startTime: normaliseTime(record.startTime) } }
+      );
+    } catch (error) {
+      // The session already has a record under the padded time - keep both
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (migrated + unpadded.length > 0) {
+    console.log(`✓ Backfilled times for ${migrated} timetable document(s), ${unpadded.length} attendance record(s)`);
+  }
+};
+
+// Fields that hold a calendar day rather than an instant
+const CALENDAR_DAY_FIELDS = [
+  [DailyAttendance, ['date']],
+  [CalendarEvent, ['startDate', 'endDate']],
+  [Semester, ['startDate', 'endDate']],
+  [User, ['semesterStart', 'semesterEnd']],
+  [Subject, ['baseline.asOf']],
+  [TimetableOverride, ['date', 'toDate']],
+  [Timetable, ['recurrence.anchorDate', 'recurrence.validFrom', 'recurrence.validUntil']],
+];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn a day stored as local midnight of the server into midnight UTC
+ * Older versions stored days with setHours(0, 0, 0, 0), so the day is read
+ * in the zone this server runs in.
+ * @param {Date} date - Stored date
+ * @returns {Date} Calendar day at midnight UTC
+ */
+const toCanonicalDay = (date) => {
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+};
+
+/**
+ * Merge an attendance record into the record that already holds its session
+ * on the canonical day; the one marked last is kept
+ * @param {ObjectId} recordId - Record still on a non-canonical day
+ * @param {Date} day - Canonical day
+ * @returns {ObjectId|null} Subject whose counters need recomputing
+ */
+const mergeDuplicateRecord = async (recordId, day) => {
+  const record = await DailyAttendance.collection.findOne({ _id: recordId });
+  const twin = await DailyAttendance.collection.findOne({
+    userId: record.userId,
+    subjectId: record.subjectId,
+    date: day,
+    timetableEntryId: record.timetableEntryId ?? null,
+    startTime: record.startTime ?? null,
+  });
+
+  if (!twin) return null;
+
+  if (record.markedAt > twin.markedAt) {
+    await DailyAttendance.collection.deleteOne({ _id: twin._id });
+    await DailyAttendance.collection.updateOne({ _id: record._id }, { $set: { date: day } });
+  } else {
+    await DailyAttendance.collection.deleteOne({ _id: record._id });
+  }
+
+  console.warn(
+    `⚠️ Merged duplicate attendance for subject ${record.subjectId} on ${day.toISOString().slice(0, 10)}`
+  );
+  return record.subjectId;
+};
+
+/**
+ * Recompute the counters of subjects that lost a merged record
+ * @param {Array} subjectIds - Subject IDs
+ */
+const reconcileMergedSubjects = async (subjectIds) => {
+  for (const subjectId of subjectIds) {
+    const subject = await Subject.findById(subjectId);
+    if (!subject) continue;
+
+    const owner = await User.findById(subject.userId).select('attendanceStatuses');
+    await reconcileSubject(subject, getStatusRules(owner), { fix: true });
+  }
+};
+
+/**
+ * Rewrite stored calendar days as midnight UTC
+ * Dates already at midnight UTC are left alone, so this only ever touches
+ * records written before days were time zone independent. Attendance records
+ * that land on a session already marked that day are merged into it.
+ */
+export const canonicaliseCalendarDays = async () => {
+  const mergedSubjects = new Map();
+  let migrated = 0;
+
+  for (const [model, fields] of CALENDAR_DAY_FIELDS) {
+    for (const field of fields) {
+      const cursor = model
+        .find({
+          [field]: { $type: 'date' },
+          $expr: { $ne: [{ $mod: [{ $toLong: `$${field}` }, MS_PER_DAY] }, 0] },
+        })
+        .select(field)
+        .lean()
+        .cursor();
+
+      for await (const doc of cursor) {
+        const value = field.split('.').reduce((object, key) => object?.[key], doc);
+
+        try {
+          await model.collection.updateOne(
+            { _id: doc._id },
+            { $set: { [field]: toCanonicalDay(value) } }
+          );
+          migrated++;
+        } catch (error) {
+          // Another record already holds this session on that day
+          if (error.code !== 11000 || model !== DailyAttendance) throw error;
+
+          const subjectId = await mergeDuplicateRecord(doc._id, toCanonicalDay(value));
+          if (subjectId) mergedSubjects.set(subjectId.toString(), subjectId);
+        }
+      }
+    }
+  }
+
+  // Exception dates are an array, so they are checked here instead of in the query
+  const cursor = Timetable.find({ 'recurrence.exceptionDates.0': { $exists: true } })
+    .select('recurrence.exceptionDates')
+    .lean()
+    .cursor();
+
+  for await (const entry of cursor) {
+    const dates = entry.recurrence.exceptionDates;
+
+    if (dates.some((date) => date.getTime() % MS_PER_DAY !== 0)) {
+      await Timetable.collection.updateOne(
+        { _id: entry._id },
+        {
+          $set: {
+            'recurrence.exceptionDates': dates.map((date) =>
+              date.getTime() % MS_PER_DAY === 0 ? date : toCanonicalDay(date)
+            ),
+          },
+        }
+      );
+      migrated++;
+    }
+  }
+
+  await reconcileMergedSubjects([...mergedSubjects.values()]);
+
+  if (migrated > 0) {
+    console.log(`✓ Moved ${migrated} stored date(s) to midnight UTC`);
+  }
+};
+
+/**
+ * Remove the plaintext refresh tokens stored on users before sessions existed
+ */
+const removeLegacyRefreshTokens = async () => {
+  const result = await User.collection.updateMany(
+    { refreshToken: { $exists: true } },
+    { $unset: { refreshToken: '' } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`✓ Removed legacy refresh tokens from ${result.modifiedCount} user(s)`);
+  }
+};
+
+/**
+ * Schema migrations in the order they run
+ * Names are recorded in the migrations collection once a migration completes,
+ * so never rename one. Each is idempotent: instances starting at the same
+ * time may both run a migration before either records it.
+ */
+export const MIGRATIONS = [
+  // Refresh tokens live (hashed) on sessions, not on the user
+  { name: 'remove-legacy-refresh-tokens', up: removeLegacyRefreshTokens },
+
+  // Attendance is unique per timetable session, not per subject per day
+  {
+    name: 'drop-attendance-subject-date-index',
+    up: () => dropIndexIfExists(DailyAttendance, 'userId_1_subjectId_1_date_1'),
+  },
+
+  // Subject counters are a baseline plus tracked records
+  { name: 'backfill-subject-baselines', up: backfillSubjectBaselines },
+
+  // Timetable times are compared by minutes since midnight
+  {
+    name: 'drop-timetable-semester-day-index',
+    up: () => dropIndexIfExists(Timetable, 'userId_1_semesterId_1_dayOfWeek_1'),
+  },
+  { name: 'backfill-time-minutes', up: backfillTimeMinutes },
+
+  // Calendar days are stored as midnight UTC, independent of the server's zone
+  { name: 'canonicalise-calendar-days', up: canonicaliseCalendarDays },
+];
+
+/**
+ * Run the migrations that have not completed yet, once the database is connected
+ * @param {Array} migrations - Migrations to run (name and up)
+ */
+const runMigrations = async (migrations = MIGRATIONS) => {
+  const completed = new Set(await Migration.distinct('name'));
+
+  for (const { name, up } of migrations) {
+    if (completed.has(name)) continue;
+
+    await up();
+
+    try {
+      await Migration.create({ name });
+    } catch (error) {
+      // Another instance finished it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+export default runMigrations;
@@ -0,0 +1,83 @@
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Public network address checks
+ *
+ * Requests the server makes to user-supplied URLs (webhooks) must not reach
+ * the server's own network, so loopback, private, link-local, unique-local,
+ * unspecified and other non-routable addresses are refused.
+ */
+
+const blockedAddresses = new net.BlockList();
+
+[
+  ['0.0.0.0', 8], // "This network", including the unspecified address
+  ['10.0.0.0', 8], // Private (RFC 1918)
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local, including cloud metadata services
+  ['172.16.0.0', 12], // Private (RFC 1918)
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private (RFC 1918)
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4], // Reserved, including broadcast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges above
+[
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['64:ff9b::', 96], // IPv4/IPv6 translation
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8], // Multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is publicly routable
+ * @param {String} address - IPv4 or IPv6 address
+ * @returns {Boolean} False for private, local and invalid addresses
+ */
+export const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+
+  return !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Check whether a URL hostname is obviously internal: a localhost name or a
+ * non-public IP literal (names are only resolved when the request is made)
+ * @param {String} hostname - URL hostname (IPv6 may be in brackets)
+ * @returns {Boolean} Whether the host must not be used
+ */
+export const isInternalHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return net.isIP(host) !== 0 && !isPublicAddress(host);
+};
+
+/**
+ * DNS lookup for http(s) requests that only returns public addresses
+ * The socket connects to the address checked here, so the hostname can't be
+ * re-resolved to an internal address between the check and the connection.
+ * @param {String} hostname - Hostname to resolve
+ * @param {Object} options - Lookup options from the socket
+ * @param {Function} callback - Lookup callback
+ */
+export const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
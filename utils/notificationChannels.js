@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import https from 'https';
+import webpush from 'web-push';
+import PushSubscription from '../models/PushSubscription.js';
+import { sendNotificationEmail } from './emailService.js';
+import { isInternalHost, lookupPublicAddress } from './networkAddress.js';
+
+/**
+ * Notification delivery channels
+ *
+ * A channel is a function `(user, notification) => details` that throws when
+ * delivery fails. Notifications are { type, title, body, url, data }.
+ * Email, Web Push and webhooks are built in; registerChannel adds others.
+ */
+
+export const NOTIFICATION_CHANNELS = ['email', 'push', 'webhook'];
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Push services drop notifications that wait longer than this
+const PUSH_TTL_SECONDS = 60 * 60;
+
+const channels = new Map();
+
+/**
+ * Add or replace a delivery channel
+ * @param {String} name - Channel name
+ * @param {Function} send - Async (user, notification) => delivery details
+ */
+export const registerChannel = (name, send) => {
+  channels.set(name, send);
+};
+
+/**
+ * Check whether VAPID keys are set, which Web Push needs
+ * @returns {Boolean} Whether push notifications can be sent
+ */
+export const isPushConfigured = () => {
+  return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+};
+
+/**
+ * Sign a webhook body so receivers can check it came from us
+ * @param {String} body - Request body
+ * @param {String} secret - User's webhook secret
+ * @returns {String} Signature header value
+ */
+export const signWebhookBody = (body, secret) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+};
+
+/**
+ * POST a webhook body to a public https URL
+ * The host is resolved and checked on every send and the connection is made
+ * to the checked address; redirects are not followed.
+ * @param {String} webhookUrl - Receiver URL
+ * @param {String} body - JSON body
+ * @param {Object} headers - Extra request headers
+ * @returns {Number} Response status code
+ */
+const postWebhook = (webhookUrl, body, headers) => {
+  const url = new URL(webhookUrl);
+
+  if (url.protocol !== 'https:') {
+    return Promise.reject(new Error('Webhook URL must be an https URL'));
+  }
+
+  // IP literals skip the DNS lookup, so they are checked here
+  if (isInternalHost(url.hostname)) {
+    return Promise.reject(new Error('Webhook URL points to a private or local address'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(
+      url,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          ...headers,
+        },
+        lookup: lookupPublicAddress,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      },
+      (response) => {
+        // The response body is not used
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+
+    request.on('error', reject);
+    request.end(body);
+  });
+};
+
+registerChannel('email', async (user, notification) => {
+  const sent = await sendNotificationEmail(user.email, user.name, notification);
+
+  if (!sent) {
+    throw new Error('Email could not be sent');
+  }
+
+  return {};
+});
+
+registerChannel('push', async (user, notification) => {
+  if (!isPushConfigured()) {
+    throw new Error('Web Push is not configured');
+  }
+
+  const subscriptions = await PushSubscription.find({ userId: user._id });
+
+  if (subscriptions.length === 0) {
+    throw new Error('No devices are subscribed to push notifications');
+  }
+
+  const vapid = {
+    subject: process.env.VAPID_SUBJECT || `mailto:${process.env.EMAIL_USER}`,
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+  };
+
+  let delivered = 0;
+  let lastError = null;
+
+  for (const subscription of subscriptions) {
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        JSON.stringify(notification),
+        { TTL: PUSH_TTL_SECONDS, vapidDetails: vapid }
+      );
+      delivered++;
+    } catch (error) {
+      lastError = error;
+
+      // The browser unsubscribed or the subscription expired
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await subscription.deleteOne();
+      }
+    }
+  }
+
+  if (delivered === 0) {
+    throw new Error(`No device accepted the notification: ${lastError.message}`);
+  }
+
+  return { devices: delivered };
+});
+
+registerChannel('webhook', async (user, notification) => {
+  const { webhookUrl, webhookSecret } = user.notifications;
+
+  if (!webhookUrl) {
+    throw new Error('No webhook URL is set');
+  }
+
+  const body = JSON.stringify({ ...notification, sentAt: new Date().toISOString() });
+
+  const status = await postWebhook(webhookUrl, body, {
+    'User-Agent': 'BunkBuzz-Webhook/1.0',
+    'X-BunkBuzz-Signature': signWebhookBody(body, webhookSecret || ''),
+  });
+
+  if (status < 200 || status >= 300) {
+    throw new Error(`Webhook responded with status ${status}`);
+  }
+
+  return { status };
+});
+
+/**
+ * Deliver a notification on several channels; one failing doesn't stop the others
+ * @param {Object} user - User document (with notifications.webhookSecret for webhooks)
+ * @param {Object} notification - Notification
+ * @param {Array} channelNames - Channels to use (default: the user's preference)
+ * @returns {Object} Outcome per channel: { ok, error } plus channel details
+ */
+export const deliverNotification = async (
+  user,
+  notification,
+  channelNames = user.notifications.channels
+) => {
+  const results = {};
+
+  for (const name of channelNames) {
+    const send = channels.get(name);
+
+    if (!send) {
+      results[name] = { ok: false, error: 'Unknown channel' };
+      continue;
+    }
+
+    try {
+      results[name] = { ok: true, ...(await send(user, notification)) };
+    } catch (error) {
+      results[name] = { ok: false, error: error.message };
+    }
+  }
+
+  return results;
+};
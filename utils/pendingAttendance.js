@@ -0,0 +1,105 @@
+import Subject from '../models/Subject.js';
+import DailyAttendance from '../models/DailyAttendance.js';
+import { userToday, addDays, toDateKey, dayName } from './academicCalendar.js';
+import { getRangeSessions, findSessionRecord } from './timetableOverrides.js';
+import { getSemesterRange } from './attendanceProjection.js';
+import { userTimeZone, minutesNow } from './timezone.js';
+import { toMinutes } from './timeOfDay.js';
+
+// How far back unmarked sessions are looked for by default, and at most
+export const PENDING_LOOKBACK_DAYS = 14;
+export const MAX_PENDING_DAYS = 60;
+
+/**
+ * Check whether a session already has a record among the day's records
+ * Records from before sessions were tracked have no session and cover any
+ * session of their subject.
+ * @param {Array} records - Attendance records of the day
+ * @param {Object} session - Session
+ * @returns {Boolean} Whether the session is marked
+ */
+const isMarked = (records, session) => {
+  if (findSessionRecord(records, session)) return true;
+
+  const subjectId = session.subjectId.toString();
+  return records.some(
+    (record) =>
+      !record.timetableEntryId && !record.startTime && record.subjectId.toString() === subjectId
+  );
+};
+
+/**
+ * Find the timetable sessions that have ended but were never marked
+ * Sessions covered by a subject's portal baseline, outside the semester or of
+ * archived subjects are not reported.
+ * @param {Object} user - User document
+ * @param {ObjectId|null} semesterId - Semester in scope
+ * @param {Object} options - days: how many days back to look, besides today
+ * @returns {Object} Object containing from, to and pending sessions, oldest first
+ */
+export const findPendingSessions = async (user, semesterId, { days = PENDING_LOOKBACK_DAYS } = {}) => {
+  const today = userToday(user);
+  const now = minutesNow(userTimeZone(user));
+  const semester = await getSemesterRange(user, semesterId);
+
+  let from = addDays(today, -days);
+  let to = today;
+
+  if (semester.start && from < semester.start) from = semester.start;
+  if (semester.end && to > semester.end) to = semester.end;
+
+  if (to < from) {
+    return { from: toDateKey(from), to: toDateKey(to), pending: [] };
+  }
+
+  const [subjects, records, rangeDays] = await Promise.all([
+    Subject.find({ userId: user._id, semesterId, isActive: true }).select('name code color baseline'),
+    DailyAttendance.find({ userId: user._id, semesterId, date: { $gte: from, $lte: to } })
+      .select('date subjectId timetableEntryId startTime')
+      .lean(),
+    getRangeSessions(user, semesterId, from, to),
+  ]);
+
+  const subjectsById = new Map(subjects.map((subject) => [subject._id.toString(), subject]));
+
+  const recordsByDay = records.reduce((acc, record) => {
+    const day = toDateKey(record.date);
+    (acc[day] = acc[day] || []).push(record);
+    return acc;
+  }, {});
+
+  const pending = [];
+
+  rangeDays.forEach(({ date, sessions }) => {
+    const dateKey = toDateKey(date);
+    const isToday = date.getTime() === today.getTime();
+
+    sessions.forEach((session) => {
+      const subject = subjectsById.get(session.subjectId.toString());
+
+      if (!subject) return;
+      if (subject.baseline?.asOf && date <= subject.baseline.asOf) return;
+      if (isToday && toMinutes(session.endTime) > now) return;
+      if (isMarked(recordsByDay[dateKey] || [], session)) return;
+
+      pending.push({
+        date: dateKey,
+        dayOfWeek: dayName(date),
+        subject: {
+          id: subject._id,
+          name: subject.name,
+          code: subject.code,
+          color: subject.color,
+        },
+        timetableEntryId: session.timetableEntryId,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        room: session.room,
+        lectureType: session.lectureType,
+        override: session.override,
+      });
+    });
+  });
+
+  return { from: toDateKey(from), to: toDateKey(to), pending };
+};
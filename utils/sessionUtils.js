@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import { generateTokens } from './tokenUtils.js';
+import { hashString } from './tokenGenerator.js';
+
+/**
+ * Get the expiry date encoded in a JWT
+ * @param {String} token - Signed JWT
+ * @returns {Date} Expiry date
+ */
+const getTokenExpiry = (token) => {
+  const { exp } = jwt.decode(token);
+  return new Date(exp * 1000);
+};
+
+/**
+ * Start a new session (token family) for a user on the requesting device
+ * @param {Object} user - User object
+ * @param {Object} req - Express request (used for device information)
+ * @returns {Object} Object containing accessToken, refreshToken and session
+ */
+export const createSession = async (user, req) => {
+  const family = crypto.randomUUID();
+  const { accessToken, refreshToken } = generateTokens(user, family);
+
+  const session = await Session.create({
+    userId: user._id,
+    family,
+    refreshTokenHash: hashString(refreshToken),
+    deviceLabel: req.body.deviceLabel || null,
+    userAgent: req.get('user-agent')?.slice(0, 500) || null,
+    ipAddress: req.ip || null,
+    expiresAt: getTokenExpiry(refreshToken),
+  });
+
+  return { accessToken, refreshToken, session };
+};
+
+/**
+ * Issue a new token pair for an existing session and invalidate the old refresh token
+ * The swap only happens while the presented token is still the latest one, so
+ * of two requests replaying the same token only one can rotate.
+ * @param {Object} session - Session document
+ * @param {String} presentedToken - Refresh token sent by the client
+ * @param {Object} user - User object
+ * @param {Object} req - Express request (used for device information)
+ * @returns {Object|null} Object containing accessToken and refreshToken (null if the token was already rotated or revoked)
+ */
+export const rotateSession = async (session, presentedToken, user, req) => {
+  const { accessToken, refreshToken } = generateTokens(user, session.family);
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashString(presentedToken), revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashString(refreshToken),
+        expiresAt: getTokenExpiry(refreshToken),
+        lastUsedAt: new Date(),
+        ipAddress: req.ip || session.ipAddress,
+      },
+    }
+  );
+
+  if (!rotated) return null;
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Revoke all live sessions matching a filter
+ * @param {Object} filter - Session query filter (should include userId)
+ * @param {String} reason - Revocation reason
+ * @returns {Number} Number of sessions revoked
+ */
+export const revokeSessions = async (filter, reason) => {
+  const result = await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  return result.modifiedCount;
+};
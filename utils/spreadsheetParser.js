@@ -0,0 +1,163 @@
+import ExcelJS from 'exceljs';
+
+/**
+ * Spreadsheet parsing for imports
+ *
+ * Both parsers return rows as { number, cells }, where number is the row's
+ * line or sheet row number for error messages. CSV cells are strings; XLSX
+ * cells may also be numbers or Dates.
+ */
+
+export const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Pick the delimiter used in the first line of a CSV file
+ * @param {String} line - First line
+ * @returns {String} Delimiter
+ */
+const detectDelimiter = (line) => {
+  const candidates = [',', ';', '\t'];
+  return candidates.reduce((best, delimiter) =>
+    line.split(delimiter).length > line.split(best).length ? delimiter : best
+  );
+};
+
+/**
+ * Parse CSV text (RFC 4180 quoting, comma, semicolon or tab separated)
+ * @param {String} text - CSV content
+ * @returns {Array} Rows of { number, cells } with string cells
+ */
+export const parseCSV = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('CSV file is empty');
+  }
+
+  const content = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content.split(/\r?\n/, 1)[0]);
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowStart = 1;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push({ number: rowStart, cells: row });
+      row = [];
+      cell = '';
+      line++;
+      rowStart = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV file has an unterminated quoted field');
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push({ number: rowStart, cells: row });
+  }
+
+  return rows.filter(({ cells }) => cells.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Get the plain value of an ExcelJS cell
+ * @param {*} value - Cell value
+ * @returns {*} String, number, Date or null
+ */
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map((part) => part.text).join('');
+  if ('result' in value) return cellValue(value.result);
+  if ('text' in value) return value.text;
+  return null;
+};
+
+/**
+ * Parse the first worksheet of an XLSX workbook
+ * @param {Buffer} buffer - XLSX file content
+ * @returns {Array} Rows of { number, cells }
+ */
+export const parseXLSX = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new Error('File is not a valid XLSX workbook');
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    throw new Error('Workbook has no worksheets');
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    // ExcelJS row values are 1-based
+    rows.push({ number: row.number, cells: row.values.slice(1).map(cellValue) });
+  });
+
+  return rows;
+};
+
+/**
+ * Convert spreadsheet rows to objects keyed by recognised column
+ * @param {Array} rows - Rows including the header row
+ * @param {Object} columns - Column key => accepted header names (normalised)
+ * @returns {Object} Object containing records ({ rowNumber, ...columns }) and missing columns
+ */
+export const rowsToRecords = (rows, columns) => {
+  if (rows.length === 0) {
+    throw new Error('File has no rows');
+  }
+
+  const normalise = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const header = rows[0].cells.map(normalise);
+
+  const indexes = {};
+  Object.entries(columns).forEach(([key, names]) => {
+    const index = header.findIndex((name) => names.includes(name));
+    if (index !== -1) indexes[key] = index;
+  });
+
+  const records = rows.slice(1).map(({ number, cells }) => {
+    const record = { rowNumber: number };
+    Object.entries(indexes).forEach(([key, index]) => {
+      const value = cells[index];
+      record[key] = typeof value === 'string' ? value.trim() : value ?? null;
+    });
+    return record;
+  });
+
+  return {
+    records,
+    missing: Object.keys(columns).filter((key) => indexes[key] === undefined),
+  };
+};
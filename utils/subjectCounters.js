@@ -0,0 +1,236 @@
+import mongoose from 'mongoose';
+import Subject from '../models/Subject.js';
+import User from '../models/User.js';
+import DailyAttendance from '../models/DailyAttendance.js';
+import { getStatusRules, getStatusCounts, getCounterDelta } from './attendanceStatus.js';
+import { runInTransaction } from './transaction.js';
+import { startOfDay } from './academicCalendar.js';
+
+/**
+ * Subject counter maintenance
+ *
+ * A subject's counters are its baseline (opening balance from the college
+ * portal) plus every attendance record dated after the baseline's as-of date.
+ * Counters are only ever changed with atomic `$inc` updates that also bump
+ * the document version, so a concurrent read-modify-save of the same subject
+ * fails with a VersionError instead of overwriting them.
+ */
+
+const NO_CHANGE = { totalLectures: 0, attendedLectures: 0 };
+
+/**
+ * Check whether a record's date is already included in the subject's baseline
+ * @param {Object} subject - Subject document
+ * @param {Date} date - Record date
+ * @returns {Boolean} True if the baseline covers the date
+ */
+export const isCoveredByBaseline = (subject, date) => {
+  const asOf = subject.baseline?.asOf;
+  return Boolean(asOf) && startOfDay(date) <= startOfDay(asOf);
+};
+
+/**
+ * Get the counter change for a record, ignoring records covered by the baseline
+ * @param {Object} subject - Subject document
+ * @param {Date} date - Record date
+ * @param {String|null} oldStatus - Previous status (null when creating)
+ * @param {String|null} newStatus - New status (null when deleting)
+ * @param {Object} rules - Status rules from getStatusRules
+ * @returns {Object} totalLectures and attendedLectures deltas
+ */
+export const getRecordDelta = (subject, date, oldStatus, newStatus, rules) => {
+  if (isCoveredByBaseline(subject, date)) return NO_CHANGE;
+  return getCounterDelta(oldStatus, newStatus, rules);
+};
+
+/**
+ * Build the update that applies a counter delta to a subject
+ * @param {Object} delta - totalLectures and attendedLectures deltas
+ * @returns {Object} MongoDB update document
+ */
+export const counterIncrement = (delta) => ({
+  $inc: {
+    totalLectures: delta.totalLectures,
+    attendedLectures: delta.attendedLectures,
+    __v: 1,
+  },
+});
+
+/**
+ * Atomically apply a counter delta to a subject
+ * @param {ObjectId} subjectId - Subject ID
+ * @param {Object} delta - totalLectures and attendedLectures deltas
+ * @param {ClientSession|null} session - Transaction session
+ * @returns {Boolean} True if the counters changed
+ */
+export const incrementCounters = async (subjectId, delta, session = null) => {
+  if (delta.totalLectures === 0 && delta.attendedLectures === 0) return false;
+
+  await Subject.updateOne({ _id: subjectId }, counterIncrement(delta), { session });
+  return true;
+};
+
+/**
+ * Compute a subject's counters from its baseline and attendance records
+ * @param {Object} subject - Subject document (only _id and baseline are used)
+ * @param {Object} rules - Status rules from getStatusRules
+ * @param {ClientSession|null} session - Transaction session
+ * @returns {Object} Object containing totalLectures, attendedLectures and tracked records
+ */
+export const computeCountersFromRecords = async (subject, rules, session = null) => {
+  const match = { subjectId: new mongoose.Types.ObjectId(subject._id) };
+  if (subject.baseline?.asOf) {
+    match.date = { $gt: startOfDay(subject.baseline.asOf) };
+  }
+
+  const usage = await DailyAttendance.aggregate([
+    { $match: match },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]).session(session);
+
+  const counters = {
+    totalLectures: subject.baseline?.totalLectures || 0,
+    attendedLectures: subject.baseline?.attendedLectures || 0,
+    records: 0,
+  };
+
+  usage.forEach(({ _id: status, count }) => {
+    const counts = getStatusCounts(status, rules);
+    counters.totalLectures += counts.totalLectures * count;
+    counters.attendedLectures += counts.attendedLectures * count;
+    counters.records += count;
+  });
+
+  return counters;
+};
+
+/**
+ * Compare a subject's stored counters with its records and optionally fix them
+ * @param {Object} subject - Subject document
+ * @param {Object} rules - Status rules for the subject's owner
+ * @param {Object} options - Options; fix writes the recomputed counters
+ * @returns {Object} Reconciliation report
+ */
+export const reconcileSubject = async (subject, rules, { fix = false } = {}) => {
+  return runInTransaction(async (session) => {
+    const current = await Subject.findById(subject._id).session(session);
+    const expected = await computeCountersFromRecords(current, rules, session);
+
+    const stored = {
+      totalLectures: current.totalLectures,
+      attendedLectures: current.attendedLectures,
+    };
+    const discrepancy = {
+      totalLectures: stored.totalLectures - expected.totalLectures,
+      attendedLectures: stored.attendedLectures - expected.attendedLectures,
+    };
+    const inSync = discrepancy.totalLectures === 0 && discrepancy.attendedLectures === 0;
+
+    if (fix && !inSync) {
+      // Match the version read above so a concurrent write aborts the fix
+      const result = await Subject.updateOne(
+        { _id: current._id, __v: current.__v },
+        {
+          $set: {
+            totalLectures: expected.totalLectures,
+            attendedLectures: expected.attendedLectures,
+          },
+          $inc: { __v: 1 },
+        },
+        { session }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new mongoose.Error.VersionError(current, current.__v, []);
+      }
+    }
+
+    return {
+      subjectId: current._id,
+      name: current.name,
+      baseline: current.baseline,
+      records: expected.records,
+      stored,
+      expected: {
+        totalLectures: expected.totalLectures,
+        attendedLectures: expected.attendedLectures,
+      },
+      discrepancy,
+      inSync,
+      fixed: fix && !inSync,
+    };
+  });
+};
+
+/**
+ * Replace a subject's baseline and recompute its counters
+ * Tracked records are kept; those dated on or before asOf stop counting on
+ * top of the baseline because the new portal figure already includes them.
+ * @param {ObjectId} subjectId - Subject ID
+ * @param {Object} baseline - totalLectures, attendedLectures and asOf
+ * @param {Object} rules - Status rules for the subject's owner
+ * @returns {Object} Updated subject document
+ */
+export const resyncBaseline = async (subjectId, baseline, rules) => {
+  await runInTransaction(async (session) => {
+    const expected = await computeCountersFromRecords({ _id: subjectId, baseline }, rules, session);
+
+    await Subject.updateOne(
+      { _id: subjectId },
+      {
+        $set: {
+          baseline,
+          totalLectures: expected.totalLectures,
+          attendedLectures: expected.attendedLectures,
+        },
+        $inc: { __v: 1 },
+      },
+      { session }
+    );
+  });
+
+  return Subject.findById(subjectId);
+};
+
+/**
+ * Reconcile every subject, optionally limited to one user
+ * @param {Object} options - fix writes the recomputed counters; userId limits the run
+ * @returns {Object} Summary with the subjects that were out of sync
+ */
+export const reconcileAllSubjects = async ({ fix = false, userId = null } = {}) => {
+  const summary = { checked: 0, outOfSync: 0, fixed: 0, failed: 0, discrepancies: [] };
+  const rulesByUser = new Map();
+
+  const cursor = Subject.find(userId ? { userId } : {}).cursor();
+
+  for await (const subject of cursor) {
+    const ownerId = subject.userId.toString();
+
+    if (!rulesByUser.has(ownerId)) {
+      const owner = await User.findById(ownerId).select('attendanceStatuses');
+      rulesByUser.set(ownerId, getStatusRules(owner));
+    }
+
+    summary.checked++;
+
+    try {
+      const report = await reconcileSubject(subject, rulesByUser.get(ownerId), { fix });
+
+      if (!report.inSync) {
+        summary.outOfSync++;
+        if (report.fixed) summary.fixed++;
+        summary.discrepancies.push({ userId: subject.userId, ...report });
+      }
+    } catch (error) {
+      summary.failed++;
+      summary.discrepancies.push({
+        userId: subject.userId,
+        subjectId: subject._id,
+        name: subject.name,
+        error: error.message,
+      });
+    }
+  }
+
+  return summary;
+};
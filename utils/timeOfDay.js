@@ -0,0 +1,61 @@
+/**
+ * Time-of-day helpers
+ *
+ * Times come in as "H:mm" or "HH:mm" strings. They are stored zero-padded and
+ * alongside their minutes since midnight, and compared by those minutes;
+ * comparing the strings puts "9:00" after "10:00".
+ */
+
+export const TIME_FORMAT = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+export const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert an HH:mm time to minutes since midnight
+ * @param {String} time - Time of day
+ * @returns {Number|null} Minutes, or null when the time is invalid
+ */
+export const toMinutes = (time) => {
+  if (typeof time !== 'string' || !TIME_FORMAT.test(time)) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to an HH:mm time
+ * @param {Number} minutes - Minutes since midnight
+ * @returns {String} Time of day
+ */
+export const fromMinutes = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Zero-pad a time of day, e.g. "9:00" to "09:00"
+ * Invalid values are returned unchanged so validation can reject them.
+ * @param {*} time - Time of day
+ * @returns {*} Normalised time
+ */
+export const normaliseTime = (time) => {
+  const minutes = toMinutes(typeof time === 'string' ? time.trim() : time);
+  return minutes === null ? time : fromMinutes(minutes);
+};
+
+/**
+ * Compare two HH:mm times, for sorting
+ * @param {String} a - Time of day
+ * @param {String} b - Time of day
+ * @returns {Number} Negative, zero or positive
+ */
+export const compareTimes = (a, b) => (toMinutes(a) ?? -1) - (toMinutes(b) ?? -1);
+
+/**
+ * Check whether two time slots overlap
+ * @param {Object} a - startTime and endTime
+ * @param {Object} b - startTime and endTime
+ * @returns {Boolean} Whether the slots share at least one minute
+ */
+export const slotsOverlap = (a, b) => {
+  return toMinutes(a.startTime) < toMinutes(b.endTime) && toMinutes(a.endTime) > toMinutes(b.startTime);
+};
@@ -0,0 +1,400 @@
+import Timetable from '../models/Timetable.js';
+import {
+  DAYS_OF_WEEK,
+  MAX_LOOKAHEAD_DAYS,
+  startOfDay,
+  addDays,
+  toDateKey,
+  weeksBetween,
+  occursOn,
+  batchFilter,
+  getCalendarEvents,
+  findCancellingEvent,
+  sortByWeek,
+  dayName,
+  userToday,
+} from './academicCalendar.js';
+import { getOverrides } from './timetableOverrides.js';
+import { getSemesterRange } from './attendanceProjection.js';
+import { parseDateValue } from './icsParser.js';
+import { userTimeZone } from './timezone.js';
+import {
+  escapeText,
+  formatLocalDateTime,
+  formatUTCDateTime,
+  buildICS,
+} from './icsBuilder.js';
+
+/**
+ * Timetable export to and import from iCalendar
+ *
+ * Each timetable entry becomes one weekly VEVENT. Sessions removed by
+ * exception dates, holidays or overrides become EXDATEs, and extra or moved
+ * lectures are exported as single events. Imports accept weekly RRULE events
+ * as well as files that list every lecture as its own event.
+ */
+
+// iCalendar weekday codes, indexed like DAYS_OF_WEEK
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const UID_DOMAIN = 'bunkbuzz';
+
+// Recurrence intervals the timetable supports
+const MAX_INTERVAL = 8;
+
+const LECTURE_TYPE_PATTERNS = [
+  ['Lab', /\b(lab|labs|laboratory)\b/i],
+  ['Tutorial', /\b(tut|tutorial)\b/i],
+  ['Practical', /\b(practical|practicals)\b/i],
+];
+
+// Lecture type words trailing a subject name, e.g. "DBMS Lab" or "Physics (Tutorial)"
+const LECTURE_TYPE_SUFFIX =
+  /[\s\-–:([]*\b(lab|labs|laboratory|tut|tutorial|practicals?|lecture|theory)\b[)\]]*\s*$/i;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format the time of day of a parsed wall-clock date as HH:mm
+ * @param {Date} date - Date
+ * @returns {String} Time of day
+ */
+const toTimeString = (date) => `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+
+/**
+ * Build the summary line shown in calendar apps
+ * @param {Object} subject - Populated subject
+ * @param {String} lectureType - Lecture type
+ * @returns {String} Event title
+ */
+const eventTitle = (subject, lectureType) => {
+  const name = subject?.name || 'Lecture';
+  return lectureType && lectureType !== 'Theory' ? `${name} (${lectureType})` : name;
+};
+
+/**
+ * Build the description of a lecture event
+ * @param {Object} lecture - Timetable entry or override
+ * @returns {String} Description
+ */
+const eventDescription = (lecture) => {
+  return [
+    lecture.subjectId?.code && `Code: ${lecture.subjectId.code}`,
+    lecture.lectureType && `Type: ${lecture.lectureType}`,
+    lecture.batch && `Batch: ${lecture.batch}`,
+    lecture.reason,
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Build the weekly VEVENT of a timetable entry
+ * @param {Object} entry - Timetable entry with populated subject
+ * @param {Object} context - from, until, overrides and calendar events
+ * @returns {Array|null} Event properties, or null when the entry is never held
+ */
+const entryEvent = (entry, { from, until, overrides, events }) => {
+  const rule = entry.recurrence || {};
+  const first = startOfDay(
+    rule.validFrom && startOfDay(rule.validFrom) > from ? rule.validFrom : from
+  );
+  const last = rule.validUntil && (!until || startOfDay(rule.validUntil) < until)
+    ? startOfDay(rule.validUntil)
+    : until;
+
+  // The pattern without exceptions decides where the series starts and which dates to exclude
+  const pattern = { ...entry.toObject(), recurrence: { ...rule, exceptionDates: [] } };
+  const removed = new Set(
+    overrides
+      .filter((override) => override.type !== 'add' && override.timetableEntryId?.equals(entry._id))
+      .map((override) => toDateKey(override.date))
+  );
+
+  let start = null;
+  const exdates = [];
+  const scanUntil = last || addDays(first, MAX_LOOKAHEAD_DAYS);
+
+  for (let day = first; day <= scanUntil; day = addDays(day, 1)) {
+    if (!occursOn(pattern, day)) continue;
+
+    const held = occursOn(entry, day) &&
+      !removed.has(toDateKey(day)) &&
+      !findCancellingEvent(events, day, entry.subjectId);
+
+    if (!start) {
+      start = day;
+    }
+
+    if (!held) {
+      exdates.push(formatLocalDateTime(day, entry.startTime));
+    }
+  }
+
+  if (!start) return null;
+
+  const interval = rule.weekParity && rule.weekParity !== 'any' ? 2 : rule.interval || 1;
+  const rrule = [
+    'FREQ=WEEKLY',
+    interval > 1 && `INTERVAL=${interval}`,
+    `BYDAY=${ICS_DAYS[DAYS_OF_WEEK.indexOf(entry.dayOfWeek)]}`,
+    last && `UNTIL=${formatLocalDateTime(last, '23:59')}`,
+  ]
+    .filter(Boolean)
+    .join(';');
+
+  return [
+    ['UID', `${entry._id}@${UID_DOMAIN}`],
+    ['DTSTAMP', formatUTCDateTime(new Date())],
+    ['LAST-MODIFIED', entry.updatedAt && formatUTCDateTime(entry.updatedAt)],
+    ['DTSTART', formatLocalDateTime(start, entry.startTime)],
+    ['DTEND', formatLocalDateTime(start, entry.endTime)],
+    ['RRULE', rrule],
+    ['EXDATE', exdates.join(',')],
+    ['SUMMARY', escapeText(eventTitle(entry.subjectId, entry.lectureType))],
+    ['LOCATION', escapeText(entry.room)],
+    ['CATEGORIES', escapeText(entry.lectureType)],
+    ['DESCRIPTION', escapeText(eventDescription(entry))],
+  ];
+};
+
+/**
+ * Build the single VEVENT of an extra or moved lecture
+ * @param {Object} override - Timetable override with populated subject
+ * @returns {Array} Event properties
+ */
+const overrideEvent = (override) => {
+  const day = override.type === 'move' ? override.toDate : override.date;
+
+  return [
+    ['UID', `${override._id}@${UID_DOMAIN}`],
+    ['DTSTAMP', formatUTCDateTime(new Date())],
+    ['LAST-MODIFIED', override.updatedAt && formatUTCDateTime(override.updatedAt)],
+    ['DTSTART', formatLocalDateTime(day, override.startTime)],
+    ['DTEND', formatLocalDateTime(day, override.endTime)],
+    ['SUMMARY', escapeText(eventTitle(override.subjectId, override.lectureType))],
+    ['LOCATION', escapeText(override.room)],
+    ['CATEGORIES', escapeText(override.lectureType)],
+    ['DESCRIPTION', escapeText(eventDescription(override))],
+  ];
+};
+
+/**
+ * Build a user's timetable for a semester as an iCalendar document
+ * @param {Object} user - User document
+ * @param {ObjectId|null} semesterId - Semester ID
+ * @returns {String} iCalendar text
+ */
+export const buildTimetableICS = async (user, semesterId) => {
+  const range = await getSemesterRange(user, semesterId);
+  const from = range.start ? startOfDay(range.start) : userToday(user);
+  const until = range.end ? startOfDay(range.end) : null;
+  const horizon = until || addDays(from, MAX_LOOKAHEAD_DAYS);
+
+  const [entries, overrides, events] = await Promise.all([
+    Timetable.find({
+      userId: user._id,
+      semesterId,
+      isActive: true,
+      ...batchFilter(user),
+    })
+      .populate('subjectId', 'name code')
+      .sort({ startMinutes: 1 })
+      .then(sortByWeek),
+    getOverrides(user._id, semesterId, from, horizon).populate('subjectId', 'name code'),
+    getCalendarEvents(user._id, from, horizon),
+  ]);
+
+  const context = { from, until, overrides, events };
+
+  return buildICS({
+    name: `${user.name}'s timetable`,
+    timeZone: userTimeZone(user),
+    events: [
+      ...entries.map((entry) => entryEvent(entry, context)).filter(Boolean),
+      ...overrides.filter((override) => override.type !== 'cancel').map(overrideEvent),
+    ],
+  });
+};
+
+/**
+ * Split an imported event title into a subject name and lecture type
+ * @param {Object} event - Parsed VEVENT
+ * @returns {Object} Object containing name and lectureType
+ */
+const describeImportedEvent = (event) => {
+  const summary = (event.summary || '').trim();
+  const hints = [event.properties.CATEGORIES?.value, summary, event.description].join(' ');
+  const match = LECTURE_TYPE_PATTERNS.find(([, pattern]) => pattern.test(hints));
+  const lectureType = match ? match[0] : 'Theory';
+
+  return {
+    name: summary.replace(LECTURE_TYPE_SUFFIX, '').trim() || summary,
+    lectureType,
+  };
+};
+
+/**
+ * Parse an RRULE value into its parts
+ * @param {String} value - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE"
+ * @returns {Object} Rule parts keyed by upper-case name
+ */
+const parseRRule = (value) => {
+  return Object.fromEntries(
+    value.split(';').map((part) => {
+      const [key, partValue = ''] = part.split('=');
+      return [key.toUpperCase(), partValue];
+    })
+  );
+};
+
+/**
+ * Greatest common divisor
+ * @param {Number} a - Integer
+ * @param {Number} b - Integer
+ * @returns {Number} GCD
+ */
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Turn a weekly RRULE event into timetable slots, one per weekday
+ * @param {Object} event - Parsed VEVENT
+ * @param {Object} slot - Fields shared by every slot of the event
+ * @param {String} timeZone - Time zone UTC times are shown in
+ * @returns {Object} Object containing slots or an error
+ */
+const slotsFromRRule = (event, slot, timeZone) => {
+  const rule = parseRRule(event.rrule);
+
+  if (rule.FREQ !== 'WEEKLY') {
+    return { error: 'Only weekly repeating events can be imported' };
+  }
+
+  const interval = Number(rule.INTERVAL || 1);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    return { error: `Repeats every ${rule.INTERVAL} weeks; at most ${MAX_INTERVAL} is supported` };
+  }
+
+  const days = rule.BYDAY
+    ? rule.BYDAY.split(',').map((code) => DAYS_OF_WEEK[ICS_DAYS.indexOf(code.slice(-2))])
+    : [dayName(event.start)];
+
+  if (days.some((day) => !day)) {
+    return { error: `Unsupported weekdays "${rule.BYDAY}"` };
+  }
+
+  const validFrom = startOfDay(event.start);
+  let validUntil = null;
+
+  if (rule.UNTIL) {
+    try {
+      validUntil = startOfDay(parseDateValue(rule.UNTIL, {}, timeZone).date);
+    } catch (error) {
+      return { error: error.message };
+    }
+  } else if (rule.COUNT) {
+    const weeks = Math.ceil(Number(rule.COUNT) / days.length);
+    validUntil = addDays(validFrom, (weeks - 1) * interval * 7 + 6);
+  }
+
+  return {
+    slots: days.map((dayOfWeek) => ({
+      ...slot,
+      dayOfWeek,
+      recurrence: {
+        interval,
+        weekParity: 'any',
+        anchorDate: validFrom,
+        validFrom,
+        validUntil,
+        exceptionDates: event.exdates.map((date) => startOfDay(date)),
+      },
+    })),
+  };
+};
+
+/**
+ * Turn one-off events that repeat the same lecture into a weekly slot,
+ * inferring the interval and the weeks it was not held
+ * @param {Object} group - Shared slot fields and the dates it was held
+ * @returns {Object} Timetable slot
+ */
+const slotFromDates = ({ slot, dates }) => {
+  const sorted = [...new Set(dates.map((date) => startOfDay(date).getTime()))]
+    .sort((a, b) => a - b)
+    .map((time) => new Date(time));
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+
+  const offsets = sorted.map((date) => weeksBetween(first, date));
+  let interval = offsets.reduce((result, offset) => gcd(result, offset), 0) || 1;
+  if (interval > MAX_INTERVAL) interval = 1;
+
+  const held = new Set(sorted.map(toDateKey));
+  const exceptionDates = [];
+  for (let week = 0; week <= offsets[offsets.length - 1]; week += interval) {
+    const date = addDays(first, week * 7);
+    if (!held.has(toDateKey(date))) exceptionDates.push(date);
+  }
+
+  return {
+    ...slot,
+    dayOfWeek: dayName(first),
+    recurrence: {
+      interval,
+      weekParity: 'any',
+      anchorDate: first,
+      validFrom: first,
+      validUntil: last,
+      exceptionDates,
+    },
+  };
+};
+
+/**
+ * Turn parsed iCalendar events into timetable slots
+ * @param {Array} events - Events from parseICS
+ * @param {String} timeZone - Time zone the events were parsed in
+ * @returns {Object} Object containing slots (name, lectureType, dayOfWeek, times, room, recurrence) and skipped events
+ */
+export const planTimetableImport = (events, timeZone) => {
+  const slots = [];
+  const skipped = [];
+  const oneOffGroups = new Map();
+
+  events.forEach((event) => {
+    const skip = (reason) => skipped.push({ uid: event.uid, title: event.summary, reason });
+
+    if (event.allDay) return skip('All-day events are not lectures');
+    if (!event.summary) return skip('Event has no title');
+
+    const end = event.end || new Date(event.start.getTime() + 60 * 60 * 1000);
+    if (toDateKey(end) !== toDateKey(event.start) || end <= event.start) {
+      return skip('Lectures must start and end on the same day');
+    }
+
+    const slot = {
+      ...describeImportedEvent(event),
+      startTime: toTimeString(event.start),
+      endTime: toTimeString(end),
+      room: event.location ? event.location.slice(0, 50) : undefined,
+    };
+
+    if (event.rrule) {
+      const result = slotsFromRRule(event, slot, timeZone);
+      if (result.error) return skip(result.error);
+      return slots.push(...result.slots);
+    }
+
+    const day = event.start.getUTCDay();
+    const key = [slot.name, slot.lectureType, day, slot.startTime, slot.endTime, slot.room]
+      .join('|')
+      .toLowerCase();
+    if (!oneOffGroups.has(key)) oneOffGroups.set(key, { slot, dates: [] });
+    oneOffGroups.get(key).dates.push(event.start);
+  });
+
+  oneOffGroups.forEach((group) => slots.push(slotFromDates(group)));
+
+  return { slots, skipped };
+};
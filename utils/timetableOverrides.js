@@ -0,0 +1,196 @@
+import Timetable from '../models/Timetable.js';
+import TimetableOverride from '../models/TimetableOverride.js';
+import {
+  dayName,
+  startOfDay,
+  addDays,
+  toDateKey,
+  occursOn,
+  batchFilter,
+  getCalendarEvents,
+  findCancellingEvent,
+} from './academicCalendar.js';
+import { compareTimes } from './timeOfDay.js';
+
+/**
+ * Get the overrides that remove or add sessions between two days
+ * @param {ObjectId} userId - User ID
+ * @param {ObjectId|null} semesterId - Semester in scope
+ * @param {Date} from - First day (inclusive)
+ * @param {Date} to - Last day (inclusive)
+ * @returns {Query} Overrides sorted by date
+ */
+export const getOverrides = (userId, semesterId, from, to) => {
+  const range = { $gte: startOfDay(from), $lt: addDays(startOfDay(to), 1) };
+
+  return TimetableOverride.find({
+    userId,
+    semesterId,
+    $or: [{ date: range }, { toDate: range }],
+  }).sort({ date: 1, startMinutes: 1 });
+};
+
+/**
+ * Build a session from a base timetable entry
+ * @param {Object} entry - Timetable entry
+ * @returns {Object} Session
+ */
+const entrySession = (entry) => ({
+  _id: entry._id,
+  timetableEntryId: entry._id,
+  overrideId: null,
+  override: null,
+  subjectId: entry.subjectId,
+  startTime: entry.startTime,
+  endTime: entry.endTime,
+  room: entry.room,
+  lectureType: entry.lectureType,
+  cancelled: null,
+});
+
+/**
+ * Build a session from an extra lecture or a moved session
+ * @param {Object} override - Timetable override
+ * @returns {Object} Session
+ */
+const overrideSession = (override) => ({
+  _id: override.timetableEntryId || override._id,
+  timetableEntryId: override.timetableEntryId,
+  overrideId: override._id,
+  override: override.type,
+  subjectId: override.subjectId,
+  startTime: override.startTime,
+  endTime: override.endTime,
+  room: override.room,
+  lectureType: override.lectureType,
+  cancelled: null,
+});
+
+/**
+ * Merge the base timetable with overrides into the sessions of a day.
+ * Cancelled sessions are kept with `cancelled` set; sessions moved away are dropped.
+ * Moved sessions keep their timetable entry ID, so their attendance stays linked.
+ * @param {Array} entries - Timetable entries
+ * @param {Array} overrides - Overrides covering the day
+ * @param {Date} day - Day
+ * @returns {Array} Sessions sorted by start time
+ */
+export const mergeOverrides = (entries, overrides, day) => {
+  const dayKey = toDateKey(day);
+  const onDay = (date) => date && toDateKey(date) === dayKey;
+
+  const replaced = new Map(
+    overrides
+      .filter((override) => override.type !== 'add' && onDay(override.date))
+      .map((override) => [override.timetableEntryId.toString(), override])
+  );
+
+  const sessions = [];
+
+  entries
+    .filter((entry) => occursOn(entry, day))
+    .forEach((entry) => {
+      const override = replaced.get(entry._id.toString());
+
+      if (!override) {
+        sessions.push(entrySession(entry));
+      } else if (override.type === 'cancel') {
+        sessions.push({
+          ...entrySession(entry),
+          overrideId: override._id,
+          override: 'cancel',
+          cancelled: override.reason || 'Cancelled',
+        });
+      }
+    });
+
+  overrides
+    .filter((override) =>
+      override.type === 'add' ? onDay(override.date) : override.type === 'move' && onDay(override.toDate)
+    )
+    .forEach((override) => sessions.push(overrideSession(override)));
+
+  return sessions.sort((a, b) => compareTimes(a.startTime, b.startTime));
+};
+
+/**
+ * Load the sessions of a day for a user, with overrides applied
+ * @param {Object} user - User document
+ * @param {ObjectId|null} semesterId - Semester in scope
+ * @param {Date} day - Day
+ * @param {Object} options - populate: subject fields to populate, subjectId: limit to one subject
+ * @returns {Array} Sessions sorted by start time
+ */
+export const getDaySessions = async (user, semesterId, day, { populate = null, subjectId = null } = {}) => {
+  const subjectFilter = subjectId ? { subjectId } : {};
+
+  let entriesQuery = Timetable.find({
+    userId: user._id,
+    semesterId,
+    dayOfWeek: dayName(day),
+    isActive: true,
+    ...subjectFilter,
+    ...batchFilter(user),
+  });
+  let overridesQuery = getOverrides(user._id, semesterId, day, day).where(subjectFilter);
+
+  if (populate) {
+    entriesQuery = entriesQuery.populate('subjectId', populate);
+    overridesQuery = overridesQuery.populate('subjectId', populate);
+  }
+
+  const [entries, overrides] = await Promise.all([entriesQuery, overridesQuery]);
+
+  return mergeOverrides(entries, overrides, day);
+};
+
+/**
+ * Load the sessions held on each day of a range, with overrides applied.
+ * Cancelled sessions and sessions on holidays are left out.
+ * @param {Object} user - User document
+ * @param {ObjectId|null} semesterId - Semester in scope
+ * @param {Date} from - First day (inclusive)
+ * @param {Date} to - Last day (inclusive)
+ * @returns {Array} One { date, sessions, holiday } per day, in order
+ */
+export const getRangeSessions = async (user, semesterId, from, to) => {
+  const [entries, overrides, events] = await Promise.all([
+    Timetable.find({ userId: user._id, semesterId, isActive: true, ...batchFilter(user) }),
+    getOverrides(user._id, semesterId, from, to),
+    getCalendarEvents(user._id, from, to),
+  ]);
+
+  const days = [];
+
+  for (let day = startOfDay(from); day <= to; day = addDays(day, 1)) {
+    const sessions = mergeOverrides(entries, overrides, day).filter(
+      (session) => !session.cancelled && !findCancellingEvent(events, day, session.subjectId)
+    );
+
+    days.push({ date: day, sessions, holiday: findCancellingEvent(events, day) || null });
+  }
+
+  return days;
+};
+
+/**
+ * Find the attendance record of a session among a day's records
+ * @param {Array} records - Attendance records of the day
+ * @param {Object} session - Session
+ * @returns {Object|undefined} Attendance record
+ */
+export const findSessionRecord = (records, session) => {
+  if (session.timetableEntryId) {
+    const entryId = session.timetableEntryId.toString();
+    return records.find((record) => record.timetableEntryId?.toString() === entryId);
+  }
+
+  // Extra lectures are identified by subject and start time
+  const subjectId = String(session.subjectId._id ?? session.subjectId);
+  return records.find(
+    (record) =>
+      !record.timetableEntryId &&
+      record.subjectId.toString() === subjectId &&
+      record.startTime === session.startTime
+  );
+};
@@ -0,0 +1,248 @@
+import mongoose from 'mongoose';
+import { DAYS_OF_WEEK, WEEK_ORDER, startOfDay, canCoincide } from './academicCalendar.js';
+import { toMinutes, fromMinutes, normaliseTime, MINUTES_PER_DAY } from './timeOfDay.js';
+import { toZonedCalendarDay } from './timezone.js';
+
+/**
+ * Whole-week timetable validation
+ *
+ * Every entry is checked on its own first (subject, day, times, recurrence),
+ * then the valid entries are compared pairwise for overlaps, so the client
+ * gets one report covering the whole week before anything is saved.
+ */
+
+export const MAX_WEEK_ENTRIES = 100;
+
+const LECTURE_TYPES = ['Theory', 'Lab', 'Tutorial', 'Practical'];
+const WEEK_PARITIES = ['any', 'odd', 'even'];
+
+/**
+ * Check an optional date value
+ * @param {*} value - Date input
+ * @returns {Boolean} Whether the value is empty or a valid date
+ */
+const isOptionalDate = (value) => {
+  return value === undefined || value === null || !Number.isNaN(new Date(value).getTime());
+};
+
+/**
+ * Validate a recurrence rule and fill in its defaults
+ * @param {Object} input - Recurrence from the request
+ * @param {Date} anchorDate - Anchor used when the rule has none
+ * @param {String} timeZone - Zone dates sent with a time are read in
+ * @param {Function} fail - Records an error for a field
+ * @returns {Object} Recurrence rule
+ */
+const normaliseRecurrence = (input = {}, anchorDate, timeZone, fail) => {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    fail('recurrence', 'Recurrence must be an object');
+    return null;
+  }
+
+  const interval = input.interval === undefined ? 1 : Number(input.interval);
+  const weekParity = input.weekParity || 'any';
+  const exceptionDates = input.exceptionDates || [];
+
+  if (!Number.isInteger(interval) || interval < 1 || interval > 8) {
+    fail('recurrence.interval', 'Interval must be between 1 and 8 weeks');
+  }
+
+  if (!WEEK_PARITIES.includes(weekParity)) {
+    fail('recurrence.weekParity', 'Week parity must be any, odd or even');
+  } else if (weekParity !== 'any' && interval > 1) {
+    fail('recurrence.weekParity', 'Odd/even weeks cannot be combined with an interval');
+  }
+
+  ['anchorDate', 'validFrom', 'validUntil'].forEach((field) => {
+    if (!isOptionalDate(input[field])) fail(`recurrence.${field}`, 'Please provide a valid date');
+  });
+
+  if (input.validFrom && input.validUntil && new Date(input.validUntil) < new Date(input.validFrom)) {
+    fail('recurrence.validUntil', 'Valid until must not be before valid from');
+  }
+
+  if (!Array.isArray(exceptionDates) || !exceptionDates.every(isOptionalDate)) {
+    fail('recurrence.exceptionDates', 'Please provide valid exception dates');
+  }
+
+  const toDate = (value) => (value ? toZonedCalendarDay(value, timeZone) : null);
+
+  return {
+    interval,
+    weekParity,
+    anchorDate: toDate(input.anchorDate || input.validFrom) || startOfDay(anchorDate),
+    validFrom: toDate(input.validFrom),
+    validUntil: toDate(input.validUntil),
+    exceptionDates: Array.isArray(exceptionDates) ? exceptionDates.map(toDate).filter(Boolean) : [],
+  };
+};
+
+/**
+ * Validate a whole week of timetable entries
+ * @param {Array} input - Entries from the request (entries with an id update that entry)
+ * @param {Object} context - subjects, existing (active entries), anchorDate and timeZone
+ * @returns {Object} Object containing entries (valid, normalised), errors, overlaps and valid
+ */
+export const validateWeek = (input, { subjects, existing, anchorDate, timeZone }) => {
+  const subjectsById = new Map(subjects.map((subject) => [subject._id.toString(), subject]));
+  const existingIds = new Set(existing.map((entry) => entry._id.toString()));
+  const seenIds = new Set();
+
+  const errors = [];
+  const entries = [];
+
+  input.forEach((raw, index) => {
+    const fail = (field, message) => errors.push({ index, field, message });
+    const errorCount = errors.length;
+
+    if (typeof raw !== 'object' || raw === null) {
+      fail(null, 'Entry must be an object');
+      return;
+    }
+
+    const id = raw.id ?? raw._id ?? null;
+    if (id !== null) {
+      if (!mongoose.isValidObjectId(id) || !existingIds.has(String(id))) {
+        fail('id', `Unknown timetable entry ${id}`);
+      } else if (seenIds.has(String(id))) {
+        fail('id', 'The same entry appears more than once');
+      }
+      seenIds.add(String(id));
+    }
+
+    const subject = subjectsById.get(String(raw.subjectId));
+    if (!subject) {
+      fail('subjectId', raw.subjectId ? `Unknown subject ${raw.subjectId}` : 'Subject ID is required');
+    }
+
+    if (!DAYS_OF_WEEK.includes(raw.dayOfWeek)) {
+      fail('dayOfWeek', 'Invalid day of week');
+    }
+
+    const start = toMinutes(normaliseTime(raw.startTime));
+    const end = toMinutes(normaliseTime(raw.endTime));
+
+    if (start === null) fail('startTime', 'Please provide valid time format (HH:mm)');
+    if (end === null) fail('endTime', 'Please provide valid time format (HH:mm)');
+    if (start !== null && end !== null && end <= start) {
+      fail('endTime', 'End time must be after start time');
+    }
+
+    if (raw.lectureType !== undefined && !LECTURE_TYPES.includes(raw.lectureType)) {
+      fail('lectureType', 'Invalid lecture type');
+    }
+
+    if (raw.room && String(raw.room).length > 50) {
+      fail('room', 'Room info must not exceed 50 characters');
+    }
+
+    if (raw.batch && String(raw.batch).length > 20) {
+      fail('batch', 'Batch must not exceed 20 characters');
+    }
+
+    const recurrence = normaliseRecurrence(raw.recurrence, anchorDate, timeZone, fail);
+
+    if (errors.length > errorCount) return;
+
+    entries.push({
+      index,
+      id,
+      subject,
+      start,
+      end,
+      data: {
+        subjectId: subject._id,
+        dayOfWeek: raw.dayOfWeek,
+        startTime: fromMinutes(start),
+        endTime: fromMinutes(end),
+        startMinutes: start,
+        endMinutes: end,
+        room: raw.room ? String(raw.room).trim() : null,
+        lectureType: raw.lectureType || 'Theory',
+        batch: raw.batch ? String(raw.batch).trim() : null,
+        recurrence,
+      },
+    });
+  });
+
+  // Pairs of valid entries held at the same time on at least one day
+  const overlaps = [];
+
+  entries.forEach((a, i) => {
+    entries.slice(i + 1).forEach((b) => {
+      const from = Math.max(a.start, b.start);
+      const to = Math.min(a.end, b.end);
+
+      if (to > from && canCoincide(a.data, b.data)) {
+        overlaps.push({
+          entries: [a.index, b.index],
+          subjects: [a.subject.name, b.subject.name],
+          dayOfWeek: a.data.dayOfWeek,
+          from: fromMinutes(from),
+          to: fromMinutes(to),
+          minutes: to - from,
+        });
+      }
+    });
+  });
+
+  return {
+    entries,
+    errors,
+    overlaps,
+    valid: errors.length === 0 && overlaps.length === 0,
+  };
+};
+
+/**
+ * Find the free windows of a day between its lectures
+ * @param {Array} lectures - Entries or sessions with startTime and endTime
+ * @param {Object} options - from and to (HH:mm bounds of the day) and minMinutes
+ * @returns {Array} Free windows as { from, to, minutes }
+ */
+export const findFreeSlots = (lectures, { from = '00:00', to = '24:00', minMinutes = 1 } = {}) => {
+  const dayStart = toMinutes(from) ?? 0;
+  // "24:00" is not a valid time of day, so it falls back to midnight
+  const dayEnd = toMinutes(to) ?? MINUTES_PER_DAY;
+
+  const busy = lectures
+    .map((lecture) => [toMinutes(lecture.startTime), toMinutes(lecture.endTime)])
+    .filter(([start, end]) => start !== null && end !== null)
+    .sort((a, b) => a[0] - b[0]);
+
+  const slots = [];
+  let cursor = dayStart;
+
+  [...busy, [dayEnd, dayEnd]].forEach(([start, end]) => {
+    const gapEnd = Math.min(start, dayEnd);
+
+    if (gapEnd - cursor >= minMinutes) {
+      slots.push({ from: fromMinutes(cursor), to: fromMinutes(gapEnd), minutes: gapEnd - cursor });
+    }
+    cursor = Math.max(cursor, end);
+  });
+
+  return slots;
+};
+
+/**
+ * Find the free windows of each day of a weekly timetable
+ * Entries that are held on any week of the day count as busy.
+ * @param {Array} entries - Active timetable entries
+ * @param {Object} options - days (defaults to the whole week), from, to and minMinutes
+ * @returns {Array} Days in week order as { dayOfWeek, freeSlots, freeMinutes }
+ */
+export const findWeeklyFreeSlots = (entries, { days = WEEK_ORDER, ...options } = {}) => {
+  return WEEK_ORDER.filter((day) => days.includes(day)).map((dayOfWeek) => {
+    const freeSlots = findFreeSlots(
+      entries.filter((entry) => entry.dayOfWeek === dayOfWeek),
+      options
+    );
+
+    return {
+      dayOfWeek,
+      freeSlots,
+      freeMinutes: freeSlots.reduce((sum, slot) => sum + slot.minutes, 0),
+    };
+  });
+};
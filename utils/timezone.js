@@ -0,0 +1,129 @@
+/**
+ * Time zone helpers
+ *
+ * Calendar days (attendance dates, holidays, semester bounds...) are stored as
+ * midnight UTC of that day, whatever zone the server runs in. Which day it is
+ * "now" depends on the user, so "today" and the current time of day are read
+ * in the user's time zone.
+ */
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// Intl formatters are slow to build, so one is kept per zone
+const formatters = new Map();
+
+/**
+ * Check whether a string is an IANA time zone, e.g. "Asia/Kolkata"
+ * @param {String} timeZone - Time zone name
+ * @returns {Boolean} Whether the zone is known
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the time zone a user's days are counted in
+ * @param {Object} user - User document
+ * @returns {String} Time zone name
+ */
+export const userTimeZone = (user) => {
+  return isValidTimeZone(user?.timezone) ? user.timezone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Get the calendar day of a date, as midnight UTC
+ * Strings starting with YYYY-MM-DD are taken as that day, and Date objects are
+ * read in UTC. Meant for days already stored or computed as midnight UTC;
+ * dates sent by clients go through toZonedCalendarDay first.
+ * Also used as a schema setter, so empty values are passed through.
+ * @param {Date|String} date - Date
+ * @returns {Date} Day at 00:00:00.000 UTC
+ */
+export const toCalendarDay = (date) => {
+  if (date === null || date === undefined || date === '') return date;
+
+  const dayString = typeof date === 'string' && date.match(/^(\d{4})-(\d{2})-(\d{2})/);
+
+  if (dayString) {
+    const [, year, month, day] = dayString.map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Read the wall-clock time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - Time zone name
+ * @returns {Date} Date whose UTC fields are the wall-clock time in the zone
+ */
+export const toWallClock = (date, timeZone = DEFAULT_TIMEZONE) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      })
+    );
+  }
+
+  const parts = Object.fromEntries(
+    formatters
+      .get(timeZone)
+      .formatToParts(new Date(date))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+
+  return new Date(
+    Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  );
+};
+
+// A calendar day without a time, e.g. "2024-08-01"
+const DAY_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get the calendar day a date sent by a client falls on in a time zone
+ * A bare YYYY-MM-DD is taken as that day. Anything with a time (a Date, or an
+ * ISO string with T...) is an instant, so its day is read on the zone's wall
+ * clock: 2024-08-01T19:30:00Z is already 2 August in Asia/Kolkata.
+ * @param {Date|String} date - Date from a request
+ * @param {String} timeZone - Time zone name
+ * @returns {Date} Day at 00:00:00.000 UTC
+ */
+export const toZonedCalendarDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+  if (date === null || date === undefined || date === '') return date;
+  if (typeof date === 'string' && DAY_ONLY.test(date)) return toCalendarDay(date);
+
+  const instant = new Date(date);
+  if (Number.isNaN(instant.getTime())) return instant;
+
+  return toCalendarDay(toWallClock(instant, timeZone));
+};
+
+/**
+ * Get the current time of day in a time zone
+ * @param {String} timeZone - Time zone name
+ * @returns {Number} Minutes since midnight
+ */
+export const minutesNow = (timeZone = DEFAULT_TIMEZONE) => {
+  const now = toWallClock(new Date(), timeZone);
+  return now.getUTCHours() * 60 + now.getUTCMinutes();
+};
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 
 /**
@@ -51,16 +52,59 @@ export const verifyRefreshToken = (token) => {
 /**
  * Generate both access and refresh tokens
  * @param {Object} user - User object
+ * @param {String} sessionId - Session token family the tokens belong to
  * @returns {Object} Object containing accessToken and refreshToken
  */
-export const generateTokens = (user) => {
+export const generateTokens = (user, sessionId) => {
   const payload = {
     userId: user._id,
     email: user.email,
+    sessionId,
   };
 
   const accessToken = generateAccessToken(payload);
-  const refreshToken = generateRefreshToken(payload);
+  // jti keeps rotated refresh tokens unique even within the same second
+  const refreshToken = generateRefreshToken({
+    ...payload,
+    jti: crypto.randomUUID(),
+  });
 
   return { accessToken, refreshToken };
 };
+
+// Audience of one-click attendance links, so they are never accepted as access tokens
+const ATTENDANCE_LINK_AUDIENCE = 'attendance-link';
+
+// Without ATTENDANCE_LINK_SECRET a key is derived from the access secret, never the secret itself
+const attendanceLinkSecret = () =>
+  process.env.ATTENDANCE_LINK_SECRET ||
+  crypto.createHash('sha256').update(`attendance-link:${process.env.JWT_ACCESS_SECRET}`).digest('hex');
+
+/**
+ * Generate a one-click link token that marks a single session
+ * @param {Object} payload - userId, semesterId, subjectId, date, timetableEntryId, startTime and status
+ * @returns {String} JWT link token
+ */
+export const generateAttendanceLinkToken = ({ userId, ...session }) => {
+  return jwt.sign(session, attendanceLinkSecret(), {
+    subject: userId.toString(),
+    audience: ATTENDANCE_LINK_AUDIENCE,
+    expiresIn: process.env.ATTENDANCE_LINK_EXPIRY || '7d',
+  });
+};
+
+/**
+ * Verify a one-click attendance link token
+ * @param {String} token - JWT link token
+ * @returns {Object} Session to mark, with userId
+ */
+export const verifyAttendanceLinkToken = (token) => {
+  try {
+    const { sub, aud, iat, exp, ...session } = jwt.verify(token, attendanceLinkSecret(), {
+      audience: ATTENDANCE_LINK_AUDIENCE,
+    });
+    return { userId: sub, ...session };
+  } catch (error) {
+    throw new Error('Invalid or expired attendance link');
+  }
+};
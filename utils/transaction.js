@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+let warnedNoTransactions = false;
+
+/**
+ * Run a unit of work in a MongoDB transaction
+ * Transactions need a replica set (MongoDB Atlas always has one). On a
+ * standalone development server the work runs without a session instead.
+ * @param {Function} work - async (session) => result; pass the session to every query
+ * @returns {*} Result of work
+ */
+export const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    // IllegalOperation: transactions are not supported by this deployment
+    if (error.code === 20 || /replica set|Transaction numbers/i.test(error.message)) {
+      if (!warnedNoTransactions) {
+        console.warn('⚠️ MongoDB transactions unavailable (standalone server) - running without');
+        warnedNoTransactions = true;
+      }
+      return work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
@@ -0,0 +1,140 @@
+import User from '../models/User.js';
+import Subject from '../models/Subject.js';
+import DailyAttendance from '../models/DailyAttendance.js';
+import { startOfDay } from './academicCalendar.js';
+import { calculatePercentage } from './attendanceMath.js';
+import { getStatusRules, getStatusCounts } from './attendanceStatus.js';
+import { getDigestHour } from './attendanceDigest.js';
+import { userTimeZone, toWallClock } from './timezone.js';
+import { sendWeeklyReportEmail } from './emailService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reports go out on Mondays (local time) and cover the seven days before
+const REPORT_WEEKDAY = 1;
+
+/**
+ * Summarise a week of a user's attendance in their active semester
+ * @param {Object} user - User document
+ * @param {Date} weekStart - First day of the week (calendar day)
+ * @returns {Object|null} Report with weekStart, weekEnd, subjects and week totals,
+ *   or null when there is no active semester or subject
+ */
+export const buildWeeklyReport = async (user, weekStart) => {
+  if (!user.activeSemester) return null;
+
+  const weekEnd = new Date(weekStart.getTime() + 7 * DAY_MS);
+  const subjects = await Subject.find({
+    userId: user._id,
+    semesterId: user.activeSemester,
+    isActive: true,
+  });
+
+  if (subjects.length === 0) return null;
+
+  const records = await DailyAttendance.find({
+    userId: user._id,
+    semesterId: user.activeSemester,
+    date: { $gte: weekStart, $lt: weekEnd },
+  })
+    .select('subjectId status')
+    .lean();
+
+  const rules = getStatusRules(user);
+  const week = new Map();
+  records.forEach((record) => {
+    const counts = getStatusCounts(record.status, rules);
+    const current = week.get(record.subjectId.toString()) || { attended: 0, total: 0 };
+    week.set(record.subjectId.toString(), {
+      attended: current.attended + counts.attendedLectures,
+      total: current.total + counts.totalLectures,
+    });
+  });
+
+  const rows = subjects.map((subject) => {
+    const thisWeek = week.get(subject._id.toString()) || { attended: 0, total: 0 };
+
+    return {
+      name: subject.name,
+      week: thisWeek,
+      percentage: subject.attendancePercentage,
+      minimumAttendance: subject.minimumAttendance,
+      belowMinimum: subject.attendancePercentage < subject.minimumAttendance,
+      safeBunks: subject.safeBunks,
+      classesNeeded: subject.classesNeeded,
+    };
+  });
+
+  const attended = rows.reduce((sum, row) => sum + row.week.attended, 0);
+  const total = rows.reduce((sum, row) => sum + row.week.total, 0);
+
+  return {
+    weekStart,
+    weekEnd: new Date(weekEnd.getTime() - DAY_MS),
+    subjects: rows,
+    week: { attended, total, percentage: calculatePercentage(attended, total) },
+  };
+};
+
+/**
+ * Email a user last week's attendance report
+ * @param {Object} user - User document
+ * @param {Date} weekStart - First day of the reported week
+ * @returns {Boolean} Whether an email was sent (false when there is nothing to report)
+ */
+export const sendWeeklyReport = async (user, weekStart) => {
+  const report = await buildWeeklyReport(user, weekStart);
+
+  if (!report) return false;
+
+  const sent = await sendWeeklyReportEmail(user.email, user.name, report);
+
+  if (!sent) {
+    throw new Error('Weekly report email could not be sent');
+  }
+
+  return true;
+};
+
+/**
+ * Send last week's report to every user whose Monday report hour has passed
+ * Each user's Monday is claimed before sending, so a report goes out at most once a week.
+ * @param {Date} now - Current time
+ * @returns {Object} Number of reports sent, skipped (nothing to report) and failed
+ */
+export const sendDueWeeklyReports = async (now = new Date()) => {
+  const hour = getDigestHour();
+  const users = await User.find({ isActive: true, emailVerified: true, weeklyReport: true });
+  const summary = { sent: 0, skipped: 0, failed: 0 };
+
+  for (const user of users) {
+    const localNow = toWallClock(now, userTimeZone(user));
+    if (localNow.getUTCDay() !== REPORT_WEEKDAY || localNow.getUTCHours() < hour) continue;
+
+    const today = startOfDay(localNow);
+    const previous = user.lastWeeklyReportSentOn ?? null;
+    if (previous && previous >= today) continue;
+
+    const claim = await User.updateOne(
+      { _id: user._id, lastWeeklyReportSentOn: previous },
+      { lastWeeklyReportSentOn: today }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    try {
+      const sent = await sendWeeklyReport(user, new Date(today.getTime() - 7 * DAY_MS));
+      sent ? summary.sent++ : summary.skipped++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`✗ Failed to send weekly report to ${user._id}:`, error.message);
+      // Release the claim so the next run tries again
+      await User.updateOne({ _id: user._id }, { lastWeeklyReportSentOn: previous });
+    }
+  }
+
+  if (summary.sent > 0) {
+    console.log(`✓ Sent ${summary.sent} weekly report(s)`);
+  }
+
+  return summary;
+};